@@ -0,0 +1,29 @@
+/**
+ * Controller for the effective access endpoints
+ */
+const _ = require('lodash')
+const service = require('../services/resource-authorization-service')
+
+/**
+ * Get the effective access of a member on a challenge
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getMemberAccess (req, res) {
+  res.send(await service.getMemberAccess(req.authUser, req.params.challengeId, req.params.memberId))
+}
+
+/**
+ * Get the effective access of many members on a challenge, the member ids are comma separated
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getMembersAccess (req, res) {
+  const memberIds = _.compact(_.map((req.query.memberIds || '').split(','), _.trim))
+  res.send(await service.getMembersAccess(req.authUser, req.params.challengeId, memberIds))
+}
+
+module.exports = {
+  getMemberAccess,
+  getMembersAccess
+}
@@ -0,0 +1,182 @@
+/*
+ * Audit Service recording the append-only history of resources, roles and phases
+ */
+
+const _ = require('lodash')
+const { PrismaClient } = require('@prisma/client')
+const helper = require('../common/helper')
+const logger = require('../common/logger')
+
+const prisma = new PrismaClient()
+
+const EntityType = {
+  Resource: 'resource',
+  Role: 'role',
+  Phase: 'phase',
+  RolePhaseDependency: 'role_phase_dependency',
+  Permission: 'permission',
+  RolePermission: 'role_permission',
+  PhaseTemplate: 'phase_template',
+  ChallengePhase: 'challenge_phase',
+  RoleQuota: 'role_quota',
+  RoleExclusion: 'role_exclusion'
+}
+
+const Action = {
+  Create: 'create',
+  Update: 'update',
+  Delete: 'delete',
+  Restore: 'restore',
+  PhaseAttach: 'phase_attach',
+  PhaseDetach: 'phase_detach',
+  Activate: 'activate',
+  Deactivate: 'deactivate',
+  Merge: 'merge',
+  Transfer: 'transfer',
+  Open: 'open',
+  Close: 'close',
+  PhaseComplete: 'phase_complete'
+}
+
+// Fields that change on every write and carry no information in the diff
+const IGNORED_DIFF_FIELDS = ['updated', 'updatedBy', 'version']
+
+/**
+ * Convert a value to its JSON representation, so it can be stored and compared
+ * @param {Object} value the value to convert
+ * @returns {Object} the JSON value
+ */
+function toJson(value) {
+  return _.isNil(value) ? null : JSON.parse(JSON.stringify(value))
+}
+
+/**
+ * Compute the fields that differ between two snapshots of an entity
+ * @param {Object} before the snapshot before the change
+ * @param {Object} after the snapshot after the change
+ * @returns {Object} the diff, keyed by field name, with the old and new values
+ */
+function computeDiff(before, after) {
+  const oldValues = toJson(before) || {}
+  const newValues = toJson(after) || {}
+
+  const diff = {}
+  for (const field of _.union(_.keys(oldValues), _.keys(newValues))) {
+    if (IGNORED_DIFF_FIELDS.includes(field)) {
+      continue
+    }
+    const from = _.isUndefined(oldValues[field]) ? null : oldValues[field]
+    const to = _.isUndefined(newValues[field]) ? null : newValues[field]
+    if (!_.isEqual(from, to)) {
+      diff[field] = { from, to }
+    }
+  }
+  return diff
+}
+
+/**
+ * Build the DB audit log of an audit entry
+ * @param {Object} entry the audit entry
+ * @returns {Object} the DB audit log
+ */
+function buildAuditLog(entry) {
+  return {
+    id: helper.generateUUID(),
+    entityType: entry.entityType,
+    entityId: entry.entityId,
+    action: entry.action,
+    actor: entry.actor,
+    timestamp: new Date(),
+    before: toJson(entry.before) || undefined,
+    after: toJson(entry.after) || undefined,
+    diff: computeDiff(entry.before, entry.after)
+  }
+}
+
+/**
+ * Record an audit entry. It must be called with the transaction client of the audited change,
+ * so the entry is only stored if the change is committed.
+ * @param {Object} tx the Prisma transaction client
+ * @param {Object} entry the audit entry
+ * @param {String} entry.entityType the entity type
+ * @param {String} entry.entityId the entity id
+ * @param {String} entry.action the action
+ * @param {String} entry.actor the user who made the change
+ * @param {Object} entry.before the entity before the change
+ * @param {Object} entry.after the entity after the change
+ * @returns {Object} the created audit entry
+ */
+async function recordAudit(tx, entry) {
+  return tx.auditLog.create({
+    data: buildAuditLog(entry)
+  })
+}
+
+/**
+ * Record audit entries in one insert, for the changes made to many entities at once.
+ * It must be called with the transaction client of the audited changes.
+ * @param {Object} tx the Prisma transaction client
+ * @param {Array} entries the audit entries, with the same fields as in recordAudit
+ * @returns {Number} the number of created audit entries
+ */
+async function recordAudits(tx, entries) {
+  if (entries.length === 0) {
+    return 0
+  }
+
+  const { count } = await tx.auditLog.createMany({
+    data: entries.map(buildAuditLog)
+  })
+  return count
+}
+
+/**
+ * Get the history of an entity, most recent entries first
+ * @param {String} entityType the entity type
+ * @param {String} entityId the entity id
+ * @param {Object} criteria the search criteria
+ * @returns {Object} the search result
+ */
+async function getHistory(entityType, entityId, criteria = {}) {
+  logger.debug(`Get history of ${entityType} ${entityId} with ${JSON.stringify(criteria)}`)
+
+  const page = criteria.page || 1
+  const perPage = criteria.perPage || 20
+  const skip = (page - 1) * perPage
+
+  const whereConditions = { entityType, entityId }
+  if (criteria.action) {
+    whereConditions.action = criteria.action
+  }
+
+  const totalCount = await prisma.auditLog.count({
+    where: whereConditions
+  })
+
+  const entries = await prisma.auditLog.findMany({
+    where: whereConditions,
+    skip,
+    take: perPage,
+    orderBy: {
+      timestamp: 'desc'
+    }
+  })
+
+  return {
+    total: totalCount,
+    page,
+    perPage,
+    result: entries.map(entry => _.pick(entry, [
+      'id', 'action', 'actor', 'timestamp', 'before', 'after', 'diff'
+    ]))
+  }
+}
+
+module.exports = {
+  EntityType,
+  Action,
+  computeDiff,
+  recordAudit,
+  recordAudits,
+  getHistory
+}
@@ -0,0 +1,166 @@
+/**
+ * The authentication and authorization middleware.
+ * It verifies the user and M2M JWT tokens, enforces the user roles and M2M scopes of the routes,
+ * and fills the actor fields of the request body from the token.
+ */
+const _ = require('lodash')
+const config = require('config')
+const jwt = require('jsonwebtoken')
+const errors = require('./errors')
+const logger = require('./logger')
+const { UserRoles } = require('../constants')
+
+/**
+ * Get a claim of the token payload, the claims of the user tokens are namespaced, e.g. https://topcoder-dev.com/handle
+ * @param {Object} payload the token payload
+ * @param {String} name the claim name
+ * @returns {Object} the claim value
+ */
+function getClaim (payload, name) {
+  if (!_.isUndefined(payload[name])) {
+    return payload[name]
+  }
+  const key = _.find(_.keys(payload), key => key.endsWith(`/${name}`))
+  return key ? payload[key] : undefined
+}
+
+/**
+ * Build the authenticated user from the token payload
+ * @param {Object} payload the token payload
+ * @returns {Object} the authenticated user
+ */
+function buildAuthUser (payload) {
+  if (payload.gty === 'client-credentials' || _.endsWith(payload.sub, '@clients')) {
+    return {
+      isMachine: true,
+      userId: payload.sub,
+      handle: payload.sub,
+      scopes: _.compact((payload.scope || '').split(' ')),
+      roles: []
+    }
+  }
+
+  const userId = getClaim(payload, 'userId')
+  const handle = getClaim(payload, 'handle')
+  if (!userId || !handle) {
+    throw new errors.UnauthorizedError('The token does not identify a user')
+  }
+
+  return {
+    isMachine: false,
+    userId: String(userId),
+    handle,
+    scopes: [],
+    roles: _.map(getClaim(payload, 'roles') || [], role => role.toLowerCase())
+  }
+}
+
+/**
+ * Check whether the authenticated user is an administrator
+ * @param {Object} authUser the authenticated user
+ * @returns {Boolean} whether the user is an administrator
+ */
+function isAdmin (authUser) {
+  return !!authUser && !authUser.isMachine && authUser.roles.includes(UserRoles.Admin)
+}
+
+/**
+ * Verify the JWT token of the request and set the authenticated user to req.authUser
+ * @param {Object} req the request
+ * @param {Object} res the response
+ * @param {Function} next the next middleware
+ */
+function authenticate (req, res, next) {
+  const header = req.get('Authorization') || ''
+  const match = header.match(/^Bearer (.+)$/)
+  if (!match) {
+    return next(new errors.UnauthorizedError('No token provided'))
+  }
+
+  let payload
+  try {
+    payload = jwt.verify(match[1], config.AUTH_SECRET, {
+      issuer: config.VALID_ISSUERS ? JSON.parse(config.VALID_ISSUERS) : undefined
+    })
+  } catch (e) {
+    logger.debug(`Invalid token: ${e.message}`)
+    return next(new errors.UnauthorizedError('Invalid or expired token'))
+  }
+
+  try {
+    req.authUser = buildAuthUser(payload)
+  } catch (e) {
+    return next(e)
+  }
+  next()
+}
+
+/**
+ * Create the middleware enforcing the access of a route:
+ * the administrators can access all the routes, the other users need one of the route roles,
+ * and the M2M tokens need one of the route scopes.
+ * @param {Object} def the route definition
+ * @param {Array} def.access the user roles allowed on the route
+ * @param {Array} def.scopes the M2M scopes allowed on the route
+ * @returns {Function} the middleware
+ */
+function authorize (def) {
+  return (req, res, next) => {
+    const authUser = req.authUser
+    let allowed
+    if (authUser.isMachine) {
+      allowed = _.intersection(authUser.scopes, def.scopes || []).length > 0
+    } else {
+      allowed = isAdmin(authUser) || _.intersection(authUser.roles, _.map(def.access || [], role => role.toLowerCase())).length > 0
+    }
+
+    if (!allowed) {
+      return next(new errors.ForbiddenError('You are not allowed to perform this action'))
+    }
+    next()
+  }
+}
+
+/**
+ * Fill the actor fields of the request body from the authenticated user, ignoring the values sent by the client:
+ * createdBy on POST requests and updatedBy on PUT and PATCH requests. The actor is also set to req.actor.
+ * @param {Object} req the request
+ * @param {Object} res the response
+ * @param {Function} next the next middleware
+ */
+function fillActorFields (req, res, next) {
+  req.actor = req.authUser.handle
+
+  const field = { POST: 'createdBy', PUT: 'updatedBy', PATCH: 'updatedBy' }[req.method]
+  if (field) {
+    const items = _.isArray(req.body) ? req.body : [req.body || {}]
+    for (const item of items) {
+      if (_.isPlainObject(item)) {
+        delete item.createdBy
+        delete item.updatedBy
+        item[field] = req.actor
+      }
+    }
+  }
+  next()
+}
+
+/**
+ * Get the middlewares securing a route
+ * @param {Object} def the route definition
+ * @returns {Array} the middlewares, empty if the route is public
+ */
+function forRoute (def) {
+  if (def.auth !== 'jwt') {
+    return []
+  }
+  return [authenticate, authorize(def), fillActorFields]
+}
+
+module.exports = {
+  isAdmin,
+  authenticate,
+  authorize,
+  fillActorFields,
+  forRoute
+}
@@ -0,0 +1,93 @@
+/**
+ * Controller for challenge phase endpoints
+ */
+const _ = require('lodash')
+const HttpStatus = require('http-status-codes')
+const service = require('../services/challenge-phase-service')
+const helper = require('../common/helper')
+
+/**
+ * Search the phases of challenge
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getChallengePhases (req, res) {
+  const result = await service.searchChallengePhases(req.params.challengeId, helper.toSearchCriteria(req.query))
+  helper.setResHeaders(req, res, result)
+  res.send(result.result)
+}
+
+/**
+ * Create challenge phase
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function createChallengePhase (req, res) {
+  const result = await service.createChallengePhase(_.assign({}, req.body, { challengeId: req.params.challengeId }))
+  helper.setETag(res, result)
+  res.status(HttpStatus.CREATED).send(result)
+}
+
+/**
+ * Get challenge phase
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getChallengePhase (req, res) {
+  const result = await service.getChallengePhase(req.params.challengeId, req.params.id)
+  helper.setETag(res, result)
+  res.send(result)
+}
+
+/**
+ * Update the schedule of challenge phase
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function updateChallengePhase (req, res) {
+  const result = await service.updateChallengePhase(req.params.challengeId, req.params.id, req.body, { version: helper.getIfMatchVersion(req) })
+  helper.setETag(res, result)
+  res.send(result)
+}
+
+/**
+ * Open challenge phase
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function openChallengePhase (req, res) {
+  const result = await service.openChallengePhase(req.params.challengeId, req.params.id, req.actor, { version: helper.getIfMatchVersion(req) })
+  helper.setETag(res, result)
+  res.send(result)
+}
+
+/**
+ * Close challenge phase
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function closeChallengePhase (req, res) {
+  const result = await service.closeChallengePhase(req.params.challengeId, req.params.id, req.actor, { version: helper.getIfMatchVersion(req) })
+  helper.setETag(res, result)
+  res.send(result)
+}
+
+/**
+ * Delete challenge phase
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function deleteChallengePhase (req, res) {
+  await service.deleteChallengePhase(req.params.challengeId, req.params.id, req.actor, { version: helper.getIfMatchVersion(req) })
+  res.status(HttpStatus.NO_CONTENT).end()
+}
+
+module.exports = {
+  getChallengePhases,
+  createChallengePhase,
+  getChallengePhase,
+  updateChallengePhase,
+  openChallengePhase,
+  closeChallengePhase,
+  deleteChallengePhase
+}
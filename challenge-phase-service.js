@@ -0,0 +1,395 @@
+/*
+ * Challenge Phase Service managing the phases scheduled on a challenge, created from the global phases
+ */
+
+const _ = require('lodash')
+const Joi = require('joi')
+const { PrismaClient } = require('@prisma/client')
+const helper = require('../common/helper')
+const logger = require('../common/logger')
+const errors = require('../common/errors')
+const { ChallengePhaseStatus } = require('../constants')
+const AuditService = require('./audit-service')
+
+const prisma = new PrismaClient()
+
+/**
+ * Transform DB challenge phase to API challenge phase
+ * @param {Object} challengePhase the DB challenge phase
+ * @returns {Object} the API challenge phase
+ */
+function transformChallengePhase(challengePhase) {
+  if (!challengePhase) return null
+
+  const result = _.pick(challengePhase, [
+    'id', 'challengeId', 'phaseId', 'status',
+    'scheduledStartDate', 'scheduledEndDate', 'actualStartDate', 'actualEndDate',
+    'created', 'createdBy', 'updated', 'updatedBy', 'version'
+  ])
+
+  if (challengePhase.phase) {
+    result.phaseName = challengePhase.phase.name
+  }
+
+  return result
+}
+
+/**
+ * Validate challenge phase
+ * @param {Object} challengePhase the challenge phase to validate
+ * @returns {undefined}
+ */
+function validateChallengePhase(challengePhase) {
+  const schema = Joi.object().keys({
+    id: Joi.string().uuid(),
+    challengeId: Joi.string().required(),
+    phaseId: Joi.string().required(),
+    scheduledStartDate: Joi.date().allow(null),
+    scheduledEndDate: Joi.date().min(Joi.ref('scheduledStartDate')).allow(null),
+    createdBy: Joi.string().required(),
+    updatedBy: Joi.string().allow(null)
+  }).required()
+
+  const { error } = schema.validate(challengePhase)
+  if (error) {
+    throw new errors.ValidationError(`Invalid challenge phase data: ${error.message}`)
+  }
+}
+
+/**
+ * Validate challenge phase data to update, only the schedule can be updated
+ * @param {Object} data the data to validate
+ * @returns {undefined}
+ */
+function validateChallengePhaseUpdate(data) {
+  const schema = Joi.object().keys({
+    scheduledStartDate: Joi.date().allow(null),
+    scheduledEndDate: Joi.date().allow(null),
+    updatedBy: Joi.string().required()
+  }).required()
+
+  const { error } = schema.validate(data)
+  if (error) {
+    throw new errors.ValidationError(`Invalid challenge phase data: ${error.message}`)
+  }
+}
+
+/**
+ * Get the DB challenge phase, ensuring it belongs to the challenge
+ * @param {String} challengeId the challenge id
+ * @param {String} id the challenge phase id
+ * @returns {Object} the DB challenge phase
+ */
+async function getDBChallengePhase(challengeId, id) {
+  const challengePhase = await prisma.challengePhase.findUnique({
+    where: { id },
+    include: { phase: true }
+  })
+
+  if (!challengePhase || challengePhase.challengeId !== challengeId) {
+    throw new errors.NotFoundError(`Phase with id ${id} not found on challenge ${challengeId}`)
+  }
+
+  return challengePhase
+}
+
+/**
+ * Get challenge phase by id
+ * @param {String} challengeId the challenge id
+ * @param {String} id the challenge phase id
+ * @returns {Object} the challenge phase
+ */
+async function getChallengePhase(challengeId, id) {
+  logger.debug(`Get phase ${id} of challenge ${challengeId}`)
+
+  return transformChallengePhase(await getDBChallengePhase(challengeId, id))
+}
+
+/**
+ * Create a phase on a challenge from a global phase
+ * @param {Object} challengePhase the challenge phase to create
+ * @returns {Object} the created challenge phase
+ */
+async function createChallengePhase(challengePhase) {
+  logger.debug(`Create challenge phase ${JSON.stringify(challengePhase)}`)
+  validateChallengePhase(challengePhase)
+
+  const phase = await prisma.phase.findUnique({
+    where: { id: challengePhase.phaseId }
+  })
+
+  if (!phase) {
+    throw new errors.BadRequestError(`Phase with id ${challengePhase.phaseId} does not exist`)
+  }
+
+  const existingChallengePhase = await prisma.challengePhase.findFirst({
+    where: {
+      challengeId: challengePhase.challengeId,
+      phaseId: challengePhase.phaseId
+    }
+  })
+
+  if (existingChallengePhase) {
+    throw new errors.ConflictError(`Phase ${phase.name} is already scheduled on challenge ${challengePhase.challengeId}`)
+  }
+
+  const created = await prisma.$transaction(async (tx) => {
+    const result = await tx.challengePhase.create({
+      data: {
+        id: challengePhase.id || helper.generateUUID(),
+        challengeId: challengePhase.challengeId,
+        phaseId: challengePhase.phaseId,
+        status: ChallengePhaseStatus.Scheduled,
+        scheduledStartDate: challengePhase.scheduledStartDate,
+        scheduledEndDate: challengePhase.scheduledEndDate,
+        createdBy: challengePhase.createdBy,
+        updatedBy: challengePhase.updatedBy
+      },
+      include: { phase: true }
+    })
+
+    await AuditService.recordAudit(tx, {
+      entityType: AuditService.EntityType.ChallengePhase,
+      entityId: result.id,
+      action: AuditService.Action.Create,
+      actor: result.createdBy,
+      after: transformChallengePhase(result)
+    })
+
+    return result
+  })
+
+  return transformChallengePhase(created)
+}
+
+/**
+ * Update the schedule of a challenge phase.
+ * The omitted dates are left unchanged and null clears a date.
+ * @param {String} challengeId the challenge id
+ * @param {String} id the challenge phase id
+ * @param {Object} data the data to update
+ * @param {Object} options the update options
+ * @param {Number} options.version the version expected by the client, if any
+ * @returns {Object} the updated challenge phase
+ */
+async function updateChallengePhase(challengeId, id, data, options = {}) {
+  logger.debug(`Update phase ${id} of challenge ${challengeId} with ${JSON.stringify(data)}`)
+  validateChallengePhaseUpdate(data)
+
+  const existingChallengePhase = await getDBChallengePhase(challengeId, id)
+
+  helper.ensureVersion(existingChallengePhase, options.version)
+
+  const scheduledStartDate = _.isUndefined(data.scheduledStartDate) ? existingChallengePhase.scheduledStartDate : data.scheduledStartDate
+  const scheduledEndDate = _.isUndefined(data.scheduledEndDate) ? existingChallengePhase.scheduledEndDate : data.scheduledEndDate
+
+  if (scheduledStartDate && scheduledEndDate && new Date(scheduledEndDate) < new Date(scheduledStartDate)) {
+    throw new errors.BadRequestError('The scheduled end date must not be before the scheduled start date')
+  }
+
+  const updated = await prisma.$transaction(async (tx) => {
+    const result = await helper.guardVersion(tx.challengePhase.update({
+      where: { id, version: existingChallengePhase.version },
+      data: {
+        scheduledStartDate,
+        scheduledEndDate,
+        updated: new Date(),
+        updatedBy: data.updatedBy,
+        version: { increment: 1 }
+      },
+      include: { phase: true }
+    }), existingChallengePhase)
+
+    await AuditService.recordAudit(tx, {
+      entityType: AuditService.EntityType.ChallengePhase,
+      entityId: id,
+      action: AuditService.Action.Update,
+      actor: data.updatedBy,
+      before: transformChallengePhase(existingChallengePhase),
+      after: transformChallengePhase(result)
+    })
+
+    return result
+  })
+
+  return transformChallengePhase(updated)
+}
+
+/**
+ * Move a challenge phase to a new status, recording the actual date of the change
+ * @param {String} challengeId the challenge id
+ * @param {String} id the challenge phase id
+ * @param {String} userId the user id
+ * @param {Object} options the options
+ * @param {String} options.fromStatus the status the challenge phase must have
+ * @param {String} options.toStatus the new status
+ * @param {String} options.dateField the actual date field to set
+ * @param {String} options.action the audit action
+ * @param {Number} options.version the version expected by the client, if any
+ * @returns {Object} the updated challenge phase
+ */
+async function changeStatus(challengeId, id, userId, options) {
+  const existingChallengePhase = await getDBChallengePhase(challengeId, id)
+
+  helper.ensureVersion(existingChallengePhase, options.version)
+
+  if (existingChallengePhase.status !== options.fromStatus) {
+    throw new errors.ConflictError(`Phase ${existingChallengePhase.phase.name} of challenge ${challengeId} is ${existingChallengePhase.status}, it must be ${options.fromStatus} to be ${options.toStatus}`)
+  }
+
+  const now = new Date()
+  const updated = await prisma.$transaction(async (tx) => {
+    const result = await helper.guardVersion(tx.challengePhase.update({
+      where: { id, version: existingChallengePhase.version },
+      data: {
+        status: options.toStatus,
+        [options.dateField]: now,
+        updated: now,
+        updatedBy: userId,
+        version: { increment: 1 }
+      },
+      include: { phase: true }
+    }), existingChallengePhase)
+
+    await AuditService.recordAudit(tx, {
+      entityType: AuditService.EntityType.ChallengePhase,
+      entityId: id,
+      action: options.action,
+      actor: userId,
+      before: transformChallengePhase(existingChallengePhase),
+      after: transformChallengePhase(result)
+    })
+
+    return result
+  })
+
+  return transformChallengePhase(updated)
+}
+
+/**
+ * Open a scheduled challenge phase
+ * @param {String} challengeId the challenge id
+ * @param {String} id the challenge phase id
+ * @param {String} userId the user id
+ * @param {Object} options the options
+ * @param {Number} options.version the version expected by the client, if any
+ * @returns {Object} the opened challenge phase
+ */
+async function openChallengePhase(challengeId, id, userId, options = {}) {
+  logger.debug(`Open phase ${id} of challenge ${challengeId}`)
+
+  return changeStatus(challengeId, id, userId, _.assign({
+    fromStatus: ChallengePhaseStatus.Scheduled,
+    toStatus: ChallengePhaseStatus.Open,
+    dateField: 'actualStartDate',
+    action: AuditService.Action.Open
+  }, _.pick(options, 'version')))
+}
+
+/**
+ * Close an open challenge phase
+ * @param {String} challengeId the challenge id
+ * @param {String} id the challenge phase id
+ * @param {String} userId the user id
+ * @param {Object} options the options
+ * @param {Number} options.version the version expected by the client, if any
+ * @returns {Object} the closed challenge phase
+ */
+async function closeChallengePhase(challengeId, id, userId, options = {}) {
+  logger.debug(`Close phase ${id} of challenge ${challengeId}`)
+
+  return changeStatus(challengeId, id, userId, _.assign({
+    fromStatus: ChallengePhaseStatus.Open,
+    toStatus: ChallengePhaseStatus.Closed,
+    dateField: 'actualEndDate',
+    action: AuditService.Action.Close
+  }, _.pick(options, 'version')))
+}
+
+/**
+ * Delete a challenge phase that has not been opened yet
+ * @param {String} challengeId the challenge id
+ * @param {String} id the challenge phase id
+ * @param {String} userId the user id
+ * @param {Object} options the delete options
+ * @param {Number} options.version the version expected by the client, if any
+ */
+async function deleteChallengePhase(challengeId, id, userId, options = {}) {
+  logger.debug(`Delete phase ${id} of challenge ${challengeId}`)
+
+  const existingChallengePhase = await getDBChallengePhase(challengeId, id)
+
+  helper.ensureVersion(existingChallengePhase, options.version)
+
+  if (existingChallengePhase.status !== ChallengePhaseStatus.Scheduled) {
+    throw new errors.ConflictError(`Phase ${existingChallengePhase.phase.name} of challenge ${challengeId} is ${existingChallengePhase.status} and can not be deleted`)
+  }
+
+  await prisma.$transaction(async (tx) => {
+    await helper.guardVersion(tx.challengePhase.delete({
+      where: { id, version: existingChallengePhase.version }
+    }), existingChallengePhase)
+
+    await AuditService.recordAudit(tx, {
+      entityType: AuditService.EntityType.ChallengePhase,
+      entityId: id,
+      action: AuditService.Action.Delete,
+      actor: userId,
+      before: transformChallengePhase(existingChallengePhase)
+    })
+  })
+}
+
+/**
+ * Search the phases of a challenge
+ * @param {String} challengeId the challenge id
+ * @param {Object} criteria the search criteria
+ * @returns {Object} the search result
+ */
+async function searchChallengePhases(challengeId, criteria) {
+  logger.debug(`Search phases of challenge ${challengeId} with ${JSON.stringify(criteria)}`)
+
+  const page = criteria.page || 1
+  const perPage = criteria.perPage || 20
+  const skip = (page - 1) * perPage
+
+  const whereConditions = { challengeId }
+  if (criteria.phaseId) {
+    whereConditions.phaseId = criteria.phaseId
+  }
+  if (criteria.status) {
+    whereConditions.status = criteria.status
+  }
+
+  const totalCount = await prisma.challengePhase.count({
+    where: whereConditions
+  })
+
+  const challengePhases = await prisma.challengePhase.findMany({
+    where: whereConditions,
+    include: { phase: true },
+    skip,
+    take: perPage,
+    orderBy: [
+      { scheduledStartDate: 'asc' },
+      { created: 'asc' }
+    ]
+  })
+
+  return {
+    total: totalCount,
+    page,
+    perPage,
+    result: challengePhases.map(transformChallengePhase)
+  }
+}
+
+module.exports = {
+  getChallengePhase,
+  createChallengePhase,
+  updateChallengePhase,
+  openChallengePhase,
+  closeChallengePhase,
+  deleteChallengePhase,
+  searchChallengePhases
+}
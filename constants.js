@@ -0,0 +1,72 @@
+/**
+ * App constants
+ */
+
+const UserRoles = {
+  Admin: 'administrator',
+  Copilot: 'copilot',
+  User: 'topcoder user'
+}
+
+const Scopes = {
+  ReadResources: 'read:resources',
+  WriteResources: 'write:resources',
+  AllResources: 'all:resources',
+  ReadResourceRoles: 'read:resource-roles',
+  AllResourceRoles: 'all:resource-roles',
+  ReadPhases: 'read:phases',
+  AllPhases: 'all:phases'
+}
+
+// The permissions known by the API, a full access role grants all of them
+const Permissions = {
+  ManageResources: 'manage:resources',
+  ViewSubmissions: 'view:submissions'
+}
+
+// The status of a phase on a challenge
+const ChallengePhaseStatus = {
+  Scheduled: 'scheduled',
+  Open: 'open',
+  Closed: 'closed'
+}
+
+// The completion status of a phase assignment of a resource
+const ResourcePhaseStatus = {
+  Pending: 'pending',
+  Completed: 'completed'
+}
+
+// The status of a request for a role that can not be self obtained
+const ResourceRequestStatus = {
+  Pending: 'pending',
+  Approved: 'approved',
+  Rejected: 'rejected',
+  Expired: 'expired'
+}
+
+// The status of an invitation of a member to a role on a challenge
+const InvitationStatus = {
+  Pending: 'pending',
+  Accepted: 'accepted',
+  Declined: 'declined',
+  Revoked: 'revoked',
+  Expired: 'expired'
+}
+
+// The capabilities a member derives from their resources on a challenge, on top of the permissions of their roles
+const Capabilities = {
+  ViewChallenge: 'view:challenge',
+  UnregisterSelf: 'unregister:self'
+}
+
+module.exports = {
+  UserRoles,
+  Scopes,
+  Permissions,
+  ChallengePhaseStatus,
+  ResourcePhaseStatus,
+  ResourceRequestStatus,
+  InvitationStatus,
+  Capabilities
+}
@@ -0,0 +1,23 @@
+/**
+ * Script to mark the resource requests pending for longer than RESOURCE_REQUEST_EXPIRY_DAYS as expired:
+ * node scripts/expire-resource-requests.js
+ */
+const logger = require('../src/common/logger')
+const ResourceRequestService = require('../src/services/resource-request-service')
+
+/**
+ * Main function
+ */
+async function main () {
+  try {
+    logger.info('Expiring pending resource requests...')
+    const count = await ResourceRequestService.expireRequests()
+    logger.info(`Expiry completed successfully, ${count} resource request(s) expired`)
+    process.exit(0)
+  } catch (error) {
+    logger.error(`Error expiring resource requests: ${error.message}`)
+    process.exit(1)
+  }
+}
+
+main()
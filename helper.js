@@ -3,7 +3,10 @@
  */
 const _ = require('lodash')
 const config = require('config')
+const querystring = require('querystring')
+const { v4: uuidv4 } = require('uuid')
 const logger = require('./logger')
+const errors = require('./errors')
 
 /**
  * Convert the first character of the string to uppercase and the remaining to lowercase
@@ -30,6 +33,14 @@ function toCamelCase (str) {
   return str
 }
 
+/**
+ * Generate a new UUID, used as the id of the created entities
+ * @returns {String} the UUID
+ */
+function generateUUID () {
+  return uuidv4()
+}
+
 /**
  * Get link for a given page
  * @param {Object} req the HTTP request
@@ -111,10 +122,110 @@ async function pagedResult (model, whereClause, page, perPage, total, fields) {
   }
 }
 
+/**
+ * Convert the query string parameters of a search request to search criteria:
+ * the page and perPage parameters are converted to numbers and the 'true'/'false' values to booleans
+ * @param {Object} query the query string parameters
+ * @returns {Object} the search criteria
+ */
+function toSearchCriteria (query) {
+  return _.mapValues(query, (value, key) => {
+    if (key === 'page' || key === 'perPage') {
+      return parseInt(value) || undefined
+    }
+    if (value === 'true' || value === 'false') {
+      return value === 'true'
+    }
+    return value
+  })
+}
+
+/**
+ * Set the ETag HTTP response header from the version of an entity
+ * @param {Object} res the HTTP response
+ * @param {Object} entity the entity
+ */
+function setETag (res, entity) {
+  res.set('ETag', `"${entity.version}"`)
+}
+
+/**
+ * Get the version expected by the client from the If-Match HTTP request header
+ * @param {Object} req the HTTP request
+ * @returns {Number} the expected version, undefined if any version is accepted
+ */
+function getIfMatchVersion (req) {
+  const ifMatch = req.get('If-Match')
+  if (!ifMatch || ifMatch.trim() === '*') {
+    return undefined
+  }
+  const match = ifMatch.trim().match(/^(?:W\/)?"(\d+)"$/)
+  if (!match) {
+    throw new errors.BadRequestError(`Invalid If-Match header: ${ifMatch}`)
+  }
+  return Number(match[1])
+}
+
+/**
+ * Ensure the version expected by the client is the current version of the entity
+ * @param {Object} entity the DB entity
+ * @param {Number} expectedVersion the expected version, undefined if any version is accepted
+ */
+function ensureVersion (entity, expectedVersion) {
+  if (!_.isUndefined(expectedVersion) && expectedVersion !== entity.version) {
+    throw new errors.PreconditionFailedError(`Version ${expectedVersion} is stale, the current version is ${entity.version}`)
+  }
+}
+
+/**
+ * Run a write guarded by the version of the entity as it was read, i.e. with the version in its where clause.
+ * Prisma rejects the write with P2025 when the entity has been changed since it was read,
+ * which is reported as a failed precondition like a stale If-Match header.
+ * @param {Promise} write the guarded write
+ * @param {Object} entity the DB entity as it was read
+ * @returns {Object} the result of the write
+ */
+async function guardVersion (write, entity) {
+  try {
+    return await write
+  } catch (e) {
+    if (e.code === 'P2025') {
+      throw new errors.PreconditionFailedError(`Version ${entity.version} is stale, the entity has been changed since it was read`)
+    }
+    throw e
+  }
+}
+
+/**
+ * Run a delete of an entity that must not be referenced by other entities.
+ * Prisma rejects the delete with P2003 when a reference has been added since the references were counted,
+ * which is reported as a conflict like the references found by the count.
+ * @param {Promise} write the guarded delete
+ * @param {String} message the message of the conflict
+ * @returns {Object} the result of the delete
+ */
+async function guardReferences (write, message) {
+  try {
+    return await write
+  } catch (e) {
+    if (e.code === 'P2003') {
+      throw new errors.ConflictError(message)
+    }
+    throw e
+  }
+}
+
 module.exports = {
   toProperCase,
   toCamelCase,
+  generateUUID,
   getPageLink,
   setResHeaders,
-  pagedResult
+  pagedResult,
+  toSearchCriteria,
+  setETag,
+  getIfMatchVersion,
+  ensureVersion,
+  guardVersion,
+  guardReferences
 }
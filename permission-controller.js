@@ -0,0 +1,115 @@
+/**
+ * Controller for permission endpoints
+ */
+const HttpStatus = require('http-status-codes')
+const service = require('../services/permission-service')
+const helper = require('../common/helper')
+
+/**
+ * Search permissions
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getPermissions (req, res) {
+  const result = await service.searchPermissions(helper.toSearchCriteria(req.query))
+  helper.setResHeaders(req, res, result)
+  res.send(result.result)
+}
+
+/**
+ * Create permission
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function createPermission (req, res) {
+  const result = await service.createPermission(req.body)
+  res.status(HttpStatus.CREATED).send(result)
+}
+
+/**
+ * Get permission
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getPermission (req, res) {
+  res.send(await service.getPermission(req.params.id))
+}
+
+/**
+ * Fully update permission
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function updatePermission (req, res) {
+  res.send(await service.updatePermission(req.params.id, req.body, { isFull: true }))
+}
+
+/**
+ * Partially update permission
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function partiallyUpdatePermission (req, res) {
+  res.send(await service.updatePermission(req.params.id, req.body))
+}
+
+/**
+ * Delete permission
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function deletePermission (req, res) {
+  await service.deletePermission(req.params.id, req.actor)
+  res.status(HttpStatus.NO_CONTENT).end()
+}
+
+/**
+ * Get the permissions of role
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getRolePermissions (req, res) {
+  res.send(await service.getRolePermissions(req.params.roleId))
+}
+
+/**
+ * Set the permissions of role
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function setRolePermissions (req, res) {
+  res.send(await service.setRolePermissions(req.params.roleId, req.body.permissionIds, req.body.updatedBy))
+}
+
+/**
+ * Assign a permission to role
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function addRolePermission (req, res) {
+  const result = await service.addRolePermission(req.params.roleId, req.body.permissionId, req.body.createdBy)
+  res.status(HttpStatus.CREATED).send(result)
+}
+
+/**
+ * Remove a permission from role
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function removeRolePermission (req, res) {
+  await service.removeRolePermission(req.params.roleId, req.params.permissionId, req.actor)
+  res.status(HttpStatus.NO_CONTENT).end()
+}
+
+module.exports = {
+  getPermissions,
+  createPermission,
+  getPermission,
+  updatePermission,
+  partiallyUpdatePermission,
+  deletePermission,
+  getRolePermissions,
+  setRolePermissions,
+  addRolePermission,
+  removeRolePermission
+}
@@ -0,0 +1,502 @@
+/*
+ * Permission Service managing the permission catalog and the permissions of the roles
+ */
+
+const _ = require('lodash')
+const Joi = require('joi')
+const { PrismaClient } = require('@prisma/client')
+const helper = require('../common/helper')
+const logger = require('../common/logger')
+const errors = require('../common/errors')
+const { Permissions } = require('../constants')
+const AuditService = require('./audit-service')
+
+const prisma = new PrismaClient()
+
+/**
+ * Transform DB permission to API permission
+ * @param {Object} permission the DB permission
+ * @returns {Object} the API permission
+ */
+function transformPermission(permission) {
+  if (!permission) return null
+
+  return _.pick(permission, [
+    'id', 'name', 'description',
+    'created', 'createdBy', 'updated', 'updatedBy'
+  ])
+}
+
+/**
+ * Validate permission
+ * @param {Object} permission the permission to validate
+ * @returns {undefined}
+ */
+function validatePermission(permission) {
+  const schema = Joi.object().keys({
+    id: Joi.string().uuid(),
+    name: Joi.string().required(),
+    description: Joi.string().allow(null),
+    createdBy: Joi.string().required(),
+    updatedBy: Joi.string().allow(null)
+  }).required()
+
+  const { error } = schema.validate(permission)
+  if (error) {
+    throw new errors.ValidationError(`Invalid permission data: ${error.message}`)
+  }
+}
+
+/**
+ * Validate permission data to update
+ * @param {Object} data the data to validate
+ * @param {Boolean} isFull whether the data fully replaces the permission
+ * @returns {undefined}
+ */
+function validatePermissionUpdate(data, isFull) {
+  const schema = Joi.object().keys({
+    name: isFull ? Joi.string().required() : Joi.string(),
+    description: Joi.string().allow(null),
+    updatedBy: Joi.string().required()
+  }).required()
+
+  const { error } = schema.validate(data)
+  if (error) {
+    throw new errors.ValidationError(`Invalid permission data: ${error.message}`)
+  }
+}
+
+/**
+ * Get the DB role, with its permissions
+ * @param {String} roleId the role id
+ * @returns {Object} the DB role
+ */
+async function getDBRole(roleId) {
+  const role = await prisma.role.findUnique({
+    where: { id: roleId },
+    include: {
+      permissions: {
+        include: {
+          permission: true
+        }
+      }
+    }
+  })
+
+  if (!role) {
+    throw new errors.NotFoundError(`Role with id ${roleId} not found`)
+  }
+
+  return role
+}
+
+/**
+ * Get the names of the permissions granted by roles.
+ * A full access role grants all the permissions, those of the catalog and those known by the API.
+ * @param {Array} roles the DB roles, with their permissions
+ * @returns {Array} the permission names
+ */
+async function getEffectivePermissions(roles) {
+  if (_.some(roles, 'fullAccess')) {
+    const permissions = await prisma.permission.findMany()
+    return _.union(_.values(Permissions), permissions.map(permission => permission.name)).sort()
+  }
+
+  return _.uniq(_.flatMap(roles, role => (role.permissions || []).map(rp => rp.permission.name))).sort()
+}
+
+/**
+ * Get permission by id
+ * @param {String} id the permission id
+ * @returns {Object} the permission
+ */
+async function getPermission(id) {
+  logger.debug(`Get permission by id ${id}`)
+
+  const permission = await prisma.permission.findUnique({
+    where: { id }
+  })
+
+  if (!permission) {
+    throw new errors.NotFoundError(`Permission with id ${id} not found`)
+  }
+
+  return transformPermission(permission)
+}
+
+/**
+ * Create permission
+ * @param {Object} permission the permission to create
+ * @returns {Object} the created permission
+ */
+async function createPermission(permission) {
+  logger.debug(`Create permission ${JSON.stringify(permission)}`)
+  validatePermission(permission)
+
+  const existingPermission = await prisma.permission.findUnique({
+    where: { name: permission.name }
+  })
+
+  if (existingPermission) {
+    throw new errors.ConflictError(`Permission with name ${permission.name} already exists`)
+  }
+
+  const created = await prisma.$transaction(async (tx) => {
+    const result = await tx.permission.create({
+      data: {
+        id: permission.id || helper.generateUUID(),
+        name: permission.name,
+        description: permission.description,
+        createdBy: permission.createdBy,
+        updatedBy: permission.updatedBy
+      }
+    })
+
+    await AuditService.recordAudit(tx, {
+      entityType: AuditService.EntityType.Permission,
+      entityId: result.id,
+      action: AuditService.Action.Create,
+      actor: result.createdBy,
+      after: transformPermission(result)
+    })
+
+    return result
+  })
+
+  return transformPermission(created)
+}
+
+/**
+ * Update permission
+ * @param {String} id the permission id
+ * @param {Object} data the data to update
+ * @param {Object} options the update options
+ * @param {Boolean} options.isFull whether to fully replace the permission
+ * @returns {Object} the updated permission
+ */
+async function updatePermission(id, data, options = {}) {
+  logger.debug(`Update permission ${id} with ${JSON.stringify(data)}`)
+  validatePermissionUpdate(data, options.isFull)
+
+  const existingPermission = await prisma.permission.findUnique({
+    where: { id }
+  })
+
+  if (!existingPermission) {
+    throw new errors.NotFoundError(`Permission with id ${id} not found`)
+  }
+
+  if (!_.isUndefined(data.name) && data.name !== existingPermission.name) {
+    const permissionWithName = await prisma.permission.findUnique({
+      where: { name: data.name }
+    })
+
+    if (permissionWithName) {
+      throw new errors.ConflictError(`Permission with name ${data.name} already exists`)
+    }
+  }
+
+  const updated = await prisma.$transaction(async (tx) => {
+    const result = await tx.permission.update({
+      where: { id },
+      data: {
+        name: _.isUndefined(data.name) ? existingPermission.name : data.name,
+        description: _.isUndefined(data.description) ? (options.isFull ? null : existingPermission.description) : data.description,
+        updated: new Date(),
+        updatedBy: data.updatedBy
+      }
+    })
+
+    await AuditService.recordAudit(tx, {
+      entityType: AuditService.EntityType.Permission,
+      entityId: id,
+      action: AuditService.Action.Update,
+      actor: data.updatedBy,
+      before: transformPermission(existingPermission),
+      after: transformPermission(result)
+    })
+
+    return result
+  })
+
+  return transformPermission(updated)
+}
+
+/**
+ * Delete permission, it is removed from the roles as well
+ * @param {String} id the permission id
+ * @param {String} userId the user id
+ */
+async function deletePermission(id, userId) {
+  logger.debug(`Delete permission ${id}`)
+
+  const existingPermission = await prisma.permission.findUnique({
+    where: { id }
+  })
+
+  if (!existingPermission) {
+    throw new errors.NotFoundError(`Permission with id ${id} not found`)
+  }
+
+  await prisma.$transaction(async (tx) => {
+    const rolePermissions = await tx.rolePermission.findMany({
+      where: { permissionId: id }
+    })
+
+    // The role permissions are deleted as well thanks to onDelete: Cascade in the schema
+    await tx.permission.delete({
+      where: { id }
+    })
+
+    await AuditService.recordAudits(tx, [
+      ...rolePermissions.map(rolePermission => ({
+        entityType: AuditService.EntityType.RolePermission,
+        entityId: rolePermission.id,
+        action: AuditService.Action.Delete,
+        actor: userId,
+        before: rolePermission
+      })),
+      {
+        entityType: AuditService.EntityType.Permission,
+        entityId: id,
+        action: AuditService.Action.Delete,
+        actor: userId,
+        before: transformPermission(existingPermission)
+      }
+    ])
+  })
+}
+
+/**
+ * Search permissions
+ * @param {Object} criteria the search criteria
+ * @returns {Object} the search result
+ */
+async function searchPermissions(criteria) {
+  logger.debug(`Search permissions with ${JSON.stringify(criteria)}`)
+
+  const page = criteria.page || 1
+  const perPage = criteria.perPage || 20
+  const skip = (page - 1) * perPage
+
+  const whereConditions = {}
+  if (criteria.name) {
+    whereConditions.name = { contains: criteria.name, mode: 'insensitive' }
+  }
+
+  const totalCount = await prisma.permission.count({
+    where: whereConditions
+  })
+
+  const permissions = await prisma.permission.findMany({
+    where: whereConditions,
+    skip,
+    take: perPage,
+    orderBy: {
+      name: 'asc'
+    }
+  })
+
+  return {
+    total: totalCount,
+    page,
+    perPage,
+    result: permissions.map(transformPermission)
+  }
+}
+
+/**
+ * Get the permissions of a role
+ * @param {String} roleId the role id
+ * @returns {Object} the assigned permissions and the effective permission names of the role, inherited ones included
+ */
+async function getRolePermissions(roleId) {
+  logger.debug(`Get permissions of role ${roleId}`)
+
+  // Required here as the role service depends on this service
+  const RoleService = require('./role-service')
+
+  const chain = await RoleService.getRoleChain(roleId)
+  if (chain.length === 0) {
+    throw new errors.NotFoundError(`Role with id ${roleId} not found`)
+  }
+
+  const [role] = chain
+
+  return {
+    roleId,
+    fullAccess: role.fullAccess,
+    permissions: role.permissions.map(rp => transformPermission(rp.permission)),
+    effectivePermissions: await getEffectivePermissions(chain)
+  }
+}
+
+/**
+ * Set the permissions of a role, replacing its assigned permissions
+ * @param {String} roleId the role id
+ * @param {Array} permissionIds the permission ids
+ * @param {String} userId the user id
+ * @returns {Object} the permissions of the role
+ */
+async function setRolePermissions(roleId, permissionIds, userId) {
+  logger.debug(`Set permissions ${JSON.stringify(permissionIds)} of role ${roleId}`)
+
+  const schema = Joi.object().keys({
+    roleId: Joi.string().required(),
+    permissionIds: Joi.array().items(Joi.string()).unique().required(),
+    userId: Joi.string().required()
+  })
+
+  const { error } = schema.validate({ roleId, permissionIds, userId })
+  if (error) {
+    throw new errors.ValidationError(`Invalid role permissions data: ${error.message}`)
+  }
+
+  await getDBRole(roleId)
+
+  const permissions = await prisma.permission.findMany({
+    where: { id: { in: permissionIds } }
+  })
+
+  const missingPermissionIds = _.difference(permissionIds, permissions.map(permission => permission.id))
+  if (missingPermissionIds.length > 0) {
+    throw new errors.BadRequestError(`Permissions with ids ${missingPermissionIds.join(', ')} do not exist`)
+  }
+
+  await prisma.$transaction(async (tx) => {
+    const existingRolePermissions = await tx.rolePermission.findMany({
+      where: { roleId }
+    })
+    const removedRolePermissions = existingRolePermissions.filter(rp => !permissionIds.includes(rp.permissionId))
+
+    await tx.rolePermission.deleteMany({
+      where: {
+        roleId,
+        permissionId: { notIn: permissionIds }
+      }
+    })
+
+    const newRolePermissions = _.difference(permissionIds, existingRolePermissions.map(rp => rp.permissionId))
+      .map(permissionId => ({
+        id: helper.generateUUID(),
+        roleId,
+        permissionId,
+        created: new Date(),
+        createdBy: userId
+      }))
+    if (newRolePermissions.length > 0) {
+      await tx.rolePermission.createMany({
+        data: newRolePermissions
+      })
+    }
+
+    await AuditService.recordAudits(tx, [
+      ...removedRolePermissions.map(rolePermission => ({
+        entityType: AuditService.EntityType.RolePermission,
+        entityId: rolePermission.id,
+        action: AuditService.Action.Delete,
+        actor: userId,
+        before: rolePermission
+      })),
+      ...newRolePermissions.map(rolePermission => ({
+        entityType: AuditService.EntityType.RolePermission,
+        entityId: rolePermission.id,
+        action: AuditService.Action.Create,
+        actor: userId,
+        after: rolePermission
+      }))
+    ])
+  })
+
+  return getRolePermissions(roleId)
+}
+
+/**
+ * Assign a permission to a role
+ * @param {String} roleId the role id
+ * @param {String} permissionId the permission id
+ * @param {String} userId the user id
+ * @returns {Object} the permissions of the role
+ */
+async function addRolePermission(roleId, permissionId, userId) {
+  logger.debug(`Add permission ${permissionId} to role ${roleId}`)
+
+  const role = await getDBRole(roleId)
+
+  const permission = await prisma.permission.findUnique({
+    where: { id: permissionId || '' }
+  })
+
+  if (!permission) {
+    throw new errors.BadRequestError(`Permission with id ${permissionId} does not exist`)
+  }
+
+  if (_.some(role.permissions, { permissionId })) {
+    throw new errors.ConflictError(`Role ${roleId} already has permission ${permission.name}`)
+  }
+
+  await prisma.$transaction(async (tx) => {
+    const result = await tx.rolePermission.create({
+      data: {
+        id: helper.generateUUID(),
+        roleId,
+        permissionId,
+        createdBy: userId
+      }
+    })
+
+    await AuditService.recordAudit(tx, {
+      entityType: AuditService.EntityType.RolePermission,
+      entityId: result.id,
+      action: AuditService.Action.Create,
+      actor: userId,
+      after: result
+    })
+  })
+
+  return getRolePermissions(roleId)
+}
+
+/**
+ * Remove a permission from a role
+ * @param {String} roleId the role id
+ * @param {String} permissionId the permission id
+ * @param {String} userId the user id
+ */
+async function removeRolePermission(roleId, permissionId, userId) {
+  logger.debug(`Remove permission ${permissionId} from role ${roleId}`)
+
+  const role = await getDBRole(roleId)
+
+  const rolePermission = _.find(role.permissions, { permissionId })
+  if (!rolePermission) {
+    throw new errors.NotFoundError(`Role ${roleId} does not have permission ${permissionId}`)
+  }
+
+  await prisma.$transaction(async (tx) => {
+    await tx.rolePermission.delete({
+      where: { id: rolePermission.id }
+    })
+
+    await AuditService.recordAudit(tx, {
+      entityType: AuditService.EntityType.RolePermission,
+      entityId: rolePermission.id,
+      action: AuditService.Action.Delete,
+      actor: userId,
+      before: _.omit(rolePermission, 'permission')
+    })
+  })
+}
+
+module.exports = {
+  getEffectivePermissions,
+  getPermission,
+  createPermission,
+  updatePermission,
+  deletePermission,
+  searchPermissions,
+  getRolePermissions,
+  setRolePermissions,
+  addRolePermission,
+  removeRolePermission
+}
@@ -0,0 +1,92 @@
+/**
+ * Controller for resource phase endpoints
+ */
+const HttpStatus = require('http-status-codes')
+const service = require('../services/phase-service')
+const helper = require('../common/helper')
+
+/**
+ * Search phases
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getPhases (req, res) {
+  const result = await service.searchPhases(helper.toSearchCriteria(req.query))
+  helper.setResHeaders(req, res, result)
+  res.send(result.result)
+}
+
+/**
+ * Create phase
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function createPhase (req, res) {
+  const result = await service.createPhase(req.body)
+  helper.setETag(res, result)
+  res.status(HttpStatus.CREATED).send(result)
+}
+
+/**
+ * Get phase
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getPhase (req, res) {
+  const result = await service.getPhase(req.params.id)
+  helper.setETag(res, result)
+  res.send(result)
+}
+
+/**
+ * Fully update phase
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function updatePhase (req, res) {
+  const result = await service.updatePhase(req.params.id, req.body, { isFull: true, version: helper.getIfMatchVersion(req) })
+  helper.setETag(res, result)
+  res.send(result)
+}
+
+/**
+ * Partially update phase
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function partiallyUpdatePhase (req, res) {
+  const result = await service.updatePhase(req.params.id, req.body, { version: helper.getIfMatchVersion(req) })
+  helper.setETag(res, result)
+  res.send(result)
+}
+
+/**
+ * Delete phase
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function deletePhase (req, res) {
+  await service.deletePhase(req.params.id, req.actor, { version: helper.getIfMatchVersion(req) })
+  res.status(HttpStatus.NO_CONTENT).end()
+}
+
+/**
+ * Get the audit history of phase
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getPhaseHistory (req, res) {
+  const result = await service.getPhaseHistory(req.params.id, helper.toSearchCriteria(req.query))
+  helper.setResHeaders(req, res, result)
+  res.send(result.result)
+}
+
+module.exports = {
+  getPhases,
+  createPhase,
+  getPhase,
+  updatePhase,
+  partiallyUpdatePhase,
+  deletePhase,
+  getPhaseHistory
+}
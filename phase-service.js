@@ -9,6 +9,7 @@ const { PrismaClient } = require('@prisma/client')
 const helper = require('../common/helper')
 const logger = require('../common/logger')
 const errors = require('../common/errors')
+const AuditService = require('./audit-service')
 
 const prisma = new PrismaClient()
 
@@ -40,7 +41,7 @@ function transformPhase(phase) {
 
   return _.pick(phase, [
     'id', 'name', 'description', 
-    'created', 'createdBy', 'updated', 'updatedBy'
+    'created', 'createdBy', 'updated', 'updatedBy', 'version'
   ])
 }
 
@@ -66,6 +67,25 @@ function validatePhase(phase) {
   }
 }
 
+/**
+ * Validate phase data to update
+ * @param {Object} data the data to validate
+ * @param {Boolean} isFull whether the data fully replaces the phase
+ * @returns {undefined}
+ */
+function validatePhaseUpdate(data, isFull) {
+  const schema = Joi.object().keys({
+    name: isFull ? Joi.string().required() : Joi.string(),
+    description: Joi.string().allow(null),
+    updatedBy: Joi.string().required()
+  }).required()
+
+  const { error } = schema.validate(data)
+  if (error) {
+    throw new errors.ValidationError(`Invalid phase data: ${error.message}`)
+  }
+}
+
 /**
  * Get phase by id
  * @param {String} id the phase id
@@ -112,21 +132,39 @@ async function createPhase(phase) {
   }
 
   // Create phase
-  const created = await prisma.phase.create({
-    data: dbPhase
+  const created = await prisma.$transaction(async (tx) => {
+    const result = await tx.phase.create({
+      data: dbPhase
+    })
+
+    await AuditService.recordAudit(tx, {
+      entityType: AuditService.EntityType.Phase,
+      entityId: result.id,
+      action: AuditService.Action.Create,
+      actor: result.createdBy,
+      after: transformPhase(result)
+    })
+
+    return result
   })
 
   return transformPhase(created)
 }
 
 /**
- * Update phase
+ * Update phase.
+ * A full update (PUT) clears the omitted fields, a partial update (PATCH) follows
+ * JSON Merge Patch (RFC 7396): the omitted fields are left unchanged and null clears a field.
  * @param {String} id the phase id
  * @param {Object} data the data to update
+ * @param {Object} options the update options
+ * @param {Boolean} options.isFull whether to fully replace the phase
+ * @param {Number} options.version the version expected by the client, if any
  * @returns {Object} the updated phase
  */
-async function updatePhase(id, data) {
+async function updatePhase(id, data, options = {}) {
   logger.debug(`Update phase ${id} with ${JSON.stringify(data)}`)
+  validatePhaseUpdate(data, options.isFull)
   
   // Get existing phase
   const existingPhase = await prisma.phase.findUnique({
@@ -137,8 +175,10 @@ async function updatePhase(id, data) {
     throw new errors.NotFoundError(`Phase with id ${id} not found`)
   }
 
+  helper.ensureVersion(existingPhase, options.version)
+
   // Check if name is already used by another phase
-  if (data.name && data.name !== existingPhase.name) {
+  if (!_.isUndefined(data.name) && data.name !== existingPhase.name) {
     const phaseWithName = await prisma.phase.findUnique({
       where: { name: data.name }
     })
@@ -150,16 +190,30 @@ async function updatePhase(id, data) {
 
   // Prepare data for update
   const updateData = {
-    name: data.name || existingPhase.name,
-    description: _.isUndefined(data.description) ? existingPhase.description : data.description,
+    name: _.isUndefined(data.name) ? existingPhase.name : data.name,
+    description: _.isUndefined(data.description) ? (options.isFull ? null : existingPhase.description) : data.description,
     updated: new Date(),
-    updatedBy: data.updatedBy || existingPhase.updatedBy
+    updatedBy: data.updatedBy,
+    version: { increment: 1 }
   }
 
   // Update phase
-  const updated = await prisma.phase.update({
-    where: { id },
-    data: updateData
+  const updated = await prisma.$transaction(async (tx) => {
+    const result = await helper.guardVersion(tx.phase.update({
+      where: { id, version: existingPhase.version },
+      data: updateData
+    }), existingPhase)
+
+    await AuditService.recordAudit(tx, {
+      entityType: AuditService.EntityType.Phase,
+      entityId: id,
+      action: AuditService.Action.Update,
+      actor: updateData.updatedBy,
+      before: transformPhase(existingPhase),
+      after: transformPhase(result)
+    })
+
+    return result
   })
 
   return transformPhase(updated)
@@ -168,8 +222,11 @@ async function updatePhase(id, data) {
 /**
  * Delete phase
  * @param {String} id the phase id
+ * @param {String} userId the user id
+ * @param {Object} options the delete options
+ * @param {Number} options.version the version expected by the client, if any
  */
-async function deletePhase(id) {
+async function deletePhase(id, userId, options = {}) {
   logger.debug(`Delete phase ${id}`)
 
   const existingPhase = await prisma.phase.findUnique({
@@ -180,18 +237,73 @@ async function deletePhase(id) {
     throw new errors.NotFoundError(`Phase with id ${id} not found`)
   }
 
-  // Check if phase is used by any resource
-  const resourcePhaseCount = await prisma.resourcePhase.count({
-    where: { phaseId: id }
+  helper.ensureVersion(existingPhase, options.version)
+
+  await prisma.$transaction(async (tx) => {
+    // Check if phase is used by any resource
+    const resourcePhaseCount = await tx.resourcePhase.count({
+      where: { phaseId: id }
+    })
+
+    if (resourcePhaseCount > 0) {
+      throw new errors.ConflictError(`Phase ${id} is used by ${resourcePhaseCount} resource(s)`)
+    }
+
+    // Check if phase is scheduled on any challenge
+    const challengePhaseCount = await tx.challengePhase.count({
+      where: { phaseId: id }
+    })
+
+    if (challengePhaseCount > 0) {
+      throw new errors.ConflictError(`Phase ${id} is scheduled on ${challengePhaseCount} challenge(s)`)
+    }
+
+    // Check if phase is used by any phase template
+    const templateStepCount = await tx.phaseTemplateStep.count({
+      where: { phaseId: id }
+    })
+
+    if (templateStepCount > 0) {
+      throw new errors.ConflictError(`Phase ${id} is used by ${templateStepCount} phase template(s)`)
+    }
+
+    // A reference added concurrently makes the delete fail on the foreign key
+    await helper.guardReferences(helper.guardVersion(tx.phase.delete({
+      where: { id, version: existingPhase.version }
+    }), existingPhase), `Phase ${id} is in use`)
+
+    await AuditService.recordAudit(tx, {
+      entityType: AuditService.EntityType.Phase,
+      entityId: id,
+      action: AuditService.Action.Delete,
+      actor: userId,
+      before: transformPhase(existingPhase)
+    })
   })
+}
 
-  if (resourcePhaseCount > 0) {
-    throw new errors.ConflictError(`Phase ${id} is used by ${resourcePhaseCount} resource(s)`)
+/**
+ * Get the audit history of phase, deleted phases included
+ * @param {String} id the phase id
+ * @param {Object} criteria the search criteria
+ * @returns {Object} the search result
+ */
+async function getPhaseHistory(id, criteria) {
+  logger.debug(`Get history of phase ${id}`)
+
+  const history = await AuditService.getHistory(AuditService.EntityType.Phase, id, criteria)
+
+  if (history.total === 0) {
+    const phase = await prisma.phase.findUnique({
+      where: { id }
+    })
+
+    if (!phase) {
+      throw new errors.NotFoundError(`Phase with id ${id} not found`)
+    }
   }
 
-  await prisma.phase.delete({
-    where: { id }
-  })
+  return history
 }
 
 /**
@@ -243,5 +355,6 @@ module.exports = {
   createPhase,
   updatePhase,
   deletePhase,
+  getPhaseHistory,
   searchPhases
 }
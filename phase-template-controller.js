@@ -0,0 +1,92 @@
+/**
+ * Controller for phase template endpoints
+ */
+const HttpStatus = require('http-status-codes')
+const service = require('../services/phase-template-service')
+const helper = require('../common/helper')
+
+/**
+ * Search phase templates
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getTemplates (req, res) {
+  const result = await service.searchTemplates(helper.toSearchCriteria(req.query))
+  helper.setResHeaders(req, res, result)
+  res.send(result.result)
+}
+
+/**
+ * Create phase template
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function createTemplate (req, res) {
+  const result = await service.createTemplate(req.body)
+  helper.setETag(res, result)
+  res.status(HttpStatus.CREATED).send(result)
+}
+
+/**
+ * Get phase template
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getTemplate (req, res) {
+  const result = await service.getTemplate(req.params.id)
+  helper.setETag(res, result)
+  res.send(result)
+}
+
+/**
+ * Fully update phase template
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function updateTemplate (req, res) {
+  const result = await service.updateTemplate(req.params.id, req.body, { isFull: true, version: helper.getIfMatchVersion(req) })
+  helper.setETag(res, result)
+  res.send(result)
+}
+
+/**
+ * Partially update phase template
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function partiallyUpdateTemplate (req, res) {
+  const result = await service.updateTemplate(req.params.id, req.body, { version: helper.getIfMatchVersion(req) })
+  helper.setETag(res, result)
+  res.send(result)
+}
+
+/**
+ * Delete phase template
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function deleteTemplate (req, res) {
+  await service.deleteTemplate(req.params.id, req.actor, { version: helper.getIfMatchVersion(req) })
+  res.status(HttpStatus.NO_CONTENT).end()
+}
+
+/**
+ * Get the audit history of phase template
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getTemplateHistory (req, res) {
+  const result = await service.getTemplateHistory(req.params.id, helper.toSearchCriteria(req.query))
+  helper.setResHeaders(req, res, result)
+  res.send(result.result)
+}
+
+module.exports = {
+  getTemplates,
+  createTemplate,
+  getTemplate,
+  updateTemplate,
+  partiallyUpdateTemplate,
+  deleteTemplate,
+  getTemplateHistory
+}
@@ -0,0 +1,490 @@
+/*
+ * Phase Template Service managing the ordered phase templates, e.g. "Design Challenge" or "Code Challenge"
+ */
+
+const _ = require('lodash')
+const Joi = require('joi')
+const { PrismaClient } = require('@prisma/client')
+const helper = require('../common/helper')
+const logger = require('../common/logger')
+const errors = require('../common/errors')
+const AuditService = require('./audit-service')
+
+const prisma = new PrismaClient()
+
+// The steps are loaded in order with their phase
+const STEPS_INCLUDE = {
+  steps: {
+    include: {
+      phase: true
+    },
+    orderBy: {
+      step: 'asc'
+    }
+  }
+}
+
+/**
+ * Transform DB template to API template
+ * @param {Object} template the DB template, with its steps
+ * @returns {Object} the API template
+ */
+function transformTemplate(template) {
+  if (!template) return null
+
+  const result = _.pick(template, [
+    'id', 'name', 'description',
+    'created', 'createdBy', 'updated', 'updatedBy', 'version'
+  ])
+
+  if (template.steps) {
+    result.steps = template.steps.map(step => ({
+      step: step.step,
+      phaseId: step.phaseId,
+      phaseName: step.phase ? step.phase.name : undefined,
+      predecessors: step.predecessorIds
+    }))
+  }
+
+  return result
+}
+
+// The steps of a template, in order
+const stepsSchema = Joi.array().items(Joi.object().keys({
+  phaseId: Joi.string().required(),
+  predecessors: Joi.array().items(Joi.string()).unique()
+})).unique('phaseId').min(1)
+
+/**
+ * Validate template
+ * @param {Object} template the template to validate
+ * @returns {undefined}
+ */
+function validateTemplate(template) {
+  const schema = Joi.object().keys({
+    id: Joi.string().uuid(),
+    name: Joi.string().required(),
+    description: Joi.string().allow(null),
+    steps: stepsSchema.required(),
+    createdBy: Joi.string().required(),
+    updatedBy: Joi.string().allow(null)
+  }).required()
+
+  const { error } = schema.validate(template)
+  if (error) {
+    throw new errors.ValidationError(`Invalid phase template data: ${error.message}`)
+  }
+}
+
+/**
+ * Validate template data to update
+ * @param {Object} data the data to validate
+ * @param {Boolean} isFull whether the data fully replaces the template
+ * @returns {undefined}
+ */
+function validateTemplateUpdate(data, isFull) {
+  const schema = Joi.object().keys({
+    name: isFull ? Joi.string().required() : Joi.string(),
+    description: Joi.string().allow(null),
+    steps: isFull ? stepsSchema.required() : stepsSchema,
+    updatedBy: Joi.string().required()
+  }).required()
+
+  const { error } = schema.validate(data)
+  if (error) {
+    throw new errors.ValidationError(`Invalid phase template data: ${error.message}`)
+  }
+}
+
+/**
+ * Find a cycle in the predecessor dependencies of the steps
+ * @param {Array} steps the steps
+ * @returns {Array} the phase ids forming the cycle, null if there is none
+ */
+function findCycle(steps) {
+  const predecessors = _.fromPairs(steps.map(step => [step.phaseId, step.predecessors || []]))
+  const visiting = []
+  const visited = new Set()
+
+  const visit = (phaseId) => {
+    const index = visiting.indexOf(phaseId)
+    if (index >= 0) {
+      return [...visiting.slice(index), phaseId]
+    }
+    if (visited.has(phaseId)) {
+      return null
+    }
+
+    visiting.push(phaseId)
+    for (const predecessorId of predecessors[phaseId]) {
+      const cycle = visit(predecessorId)
+      if (cycle) {
+        return cycle
+      }
+    }
+    visiting.pop()
+    visited.add(phaseId)
+    return null
+  }
+
+  for (const step of steps) {
+    const cycle = visit(step.phaseId)
+    if (cycle) {
+      return cycle
+    }
+  }
+  return null
+}
+
+/**
+ * Ensure the steps reference existing phases, their predecessors are steps of the template,
+ * the dependencies have no cycle and every step comes after its predecessors
+ * @param {Array} steps the steps, in order
+ */
+async function ensureValidSteps(steps) {
+  const phaseIds = steps.map(step => step.phaseId)
+
+  const phases = await prisma.phase.findMany({
+    where: { id: { in: phaseIds } }
+  })
+
+  const missingPhaseIds = _.difference(phaseIds, phases.map(phase => phase.id))
+  if (missingPhaseIds.length > 0) {
+    throw new errors.BadRequestError(`Phases with ids ${missingPhaseIds.join(', ')} do not exist`)
+  }
+
+  for (const step of steps) {
+    const unknownPredecessorIds = _.difference(step.predecessors || [], phaseIds)
+    if (unknownPredecessorIds.length > 0) {
+      throw new errors.BadRequestError(`Predecessors ${unknownPredecessorIds.join(', ')} of phase ${step.phaseId} are not steps of the template`)
+    }
+  }
+
+  const cycle = findCycle(steps)
+  if (cycle) {
+    const phaseNames = cycle.map(phaseId => _.find(phases, { id: phaseId }).name)
+    const error = new errors.BadRequestError(`Phase template steps have a cyclic dependency: ${phaseNames.join(' -> ')}`)
+    error.details = cycle
+    throw error
+  }
+
+  steps.forEach((step, index) => {
+    const laterPredecessorIds = _.intersection(step.predecessors || [], phaseIds.slice(index))
+    if (laterPredecessorIds.length > 0) {
+      throw new errors.BadRequestError(`Phase ${step.phaseId} must come after its predecessors ${laterPredecessorIds.join(', ')}`)
+    }
+  })
+}
+
+/**
+ * Build the DB steps of a template
+ * @param {String} templateId the template id
+ * @param {Array} steps the steps, in order
+ * @returns {Array} the DB steps
+ */
+function buildDBSteps(templateId, steps) {
+  return steps.map((step, index) => ({
+    id: helper.generateUUID(),
+    templateId,
+    phaseId: step.phaseId,
+    step: index + 1,
+    predecessorIds: step.predecessors || []
+  }))
+}
+
+/**
+ * Get template by id
+ * @param {String} id the template id
+ * @returns {Object} the template
+ */
+async function getTemplate(id) {
+  logger.debug(`Get phase template by id ${id}`)
+
+  const template = await prisma.phaseTemplate.findUnique({
+    where: { id },
+    include: STEPS_INCLUDE
+  })
+
+  if (!template) {
+    throw new errors.NotFoundError(`Phase template with id ${id} not found`)
+  }
+
+  return transformTemplate(template)
+}
+
+/**
+ * Create template
+ * @param {Object} template the template to create
+ * @returns {Object} the created template
+ */
+async function createTemplate(template) {
+  logger.debug(`Create phase template ${JSON.stringify(template)}`)
+  validateTemplate(template)
+
+  const existingTemplate = await prisma.phaseTemplate.findUnique({
+    where: { name: template.name }
+  })
+
+  if (existingTemplate) {
+    throw new errors.ConflictError(`Phase template with name ${template.name} already exists`)
+  }
+
+  await ensureValidSteps(template.steps)
+
+  const id = template.id || helper.generateUUID()
+
+  const created = await prisma.$transaction(async (tx) => {
+    await tx.phaseTemplate.create({
+      data: {
+        id,
+        name: template.name,
+        description: template.description,
+        createdBy: template.createdBy,
+        updatedBy: template.updatedBy
+      }
+    })
+
+    await tx.phaseTemplateStep.createMany({
+      data: buildDBSteps(id, template.steps)
+    })
+
+    const result = await tx.phaseTemplate.findUnique({
+      where: { id },
+      include: STEPS_INCLUDE
+    })
+
+    await AuditService.recordAudit(tx, {
+      entityType: AuditService.EntityType.PhaseTemplate,
+      entityId: id,
+      action: AuditService.Action.Create,
+      actor: template.createdBy,
+      after: transformTemplate(result)
+    })
+
+    return result
+  })
+
+  return transformTemplate(created)
+}
+
+/**
+ * Update template.
+ * A full update (PUT) replaces the template, a partial update (PATCH) leaves the omitted fields unchanged.
+ * The steps are replaced as a whole when provided.
+ * @param {String} id the template id
+ * @param {Object} data the data to update
+ * @param {Object} options the update options
+ * @param {Boolean} options.isFull whether to fully replace the template
+ * @param {Number} options.version the version expected by the client, if any
+ * @returns {Object} the updated template
+ */
+async function updateTemplate(id, data, options = {}) {
+  logger.debug(`Update phase template ${id} with ${JSON.stringify(data)}`)
+  validateTemplateUpdate(data, options.isFull)
+
+  const existingTemplate = await prisma.phaseTemplate.findUnique({
+    where: { id },
+    include: STEPS_INCLUDE
+  })
+
+  if (!existingTemplate) {
+    throw new errors.NotFoundError(`Phase template with id ${id} not found`)
+  }
+
+  helper.ensureVersion(existingTemplate, options.version)
+
+  if (!_.isUndefined(data.name) && data.name !== existingTemplate.name) {
+    const templateWithName = await prisma.phaseTemplate.findUnique({
+      where: { name: data.name }
+    })
+
+    if (templateWithName) {
+      throw new errors.ConflictError(`Phase template with name ${data.name} already exists`)
+    }
+  }
+
+  if (data.steps) {
+    await ensureValidSteps(data.steps)
+  }
+
+  const current = options.isFull ? { description: null } : existingTemplate
+
+  const updated = await prisma.$transaction(async (tx) => {
+    await helper.guardVersion(tx.phaseTemplate.update({
+      where: { id, version: existingTemplate.version },
+      data: {
+        name: _.isUndefined(data.name) ? existingTemplate.name : data.name,
+        description: _.isUndefined(data.description) ? current.description : data.description,
+        updated: new Date(),
+        updatedBy: data.updatedBy,
+        version: { increment: 1 }
+      }
+    }), existingTemplate)
+
+    if (data.steps) {
+      await tx.phaseTemplateStep.deleteMany({
+        where: { templateId: id }
+      })
+
+      await tx.phaseTemplateStep.createMany({
+        data: buildDBSteps(id, data.steps)
+      })
+    }
+
+    const result = await tx.phaseTemplate.findUnique({
+      where: { id },
+      include: STEPS_INCLUDE
+    })
+
+    await AuditService.recordAudit(tx, {
+      entityType: AuditService.EntityType.PhaseTemplate,
+      entityId: id,
+      action: AuditService.Action.Update,
+      actor: data.updatedBy,
+      before: transformTemplate(existingTemplate),
+      after: transformTemplate(result)
+    })
+
+    return result
+  })
+
+  return transformTemplate(updated)
+}
+
+/**
+ * Delete template
+ * @param {String} id the template id
+ * @param {String} userId the user id
+ * @param {Object} options the delete options
+ * @param {Number} options.version the version expected by the client, if any
+ */
+async function deleteTemplate(id, userId, options = {}) {
+  logger.debug(`Delete phase template ${id}`)
+
+  const existingTemplate = await prisma.phaseTemplate.findUnique({
+    where: { id },
+    include: STEPS_INCLUDE
+  })
+
+  if (!existingTemplate) {
+    throw new errors.NotFoundError(`Phase template with id ${id} not found`)
+  }
+
+  helper.ensureVersion(existingTemplate, options.version)
+
+  await prisma.$transaction(async (tx) => {
+    // The steps are deleted as well thanks to onDelete: Cascade in the schema
+    await helper.guardVersion(tx.phaseTemplate.delete({
+      where: { id, version: existingTemplate.version }
+    }), existingTemplate)
+
+    await AuditService.recordAudit(tx, {
+      entityType: AuditService.EntityType.PhaseTemplate,
+      entityId: id,
+      action: AuditService.Action.Delete,
+      actor: userId,
+      before: transformTemplate(existingTemplate)
+    })
+  })
+}
+
+/**
+ * Get the audit history of template, deleted templates included
+ * @param {String} id the template id
+ * @param {Object} criteria the search criteria
+ * @returns {Object} the search result
+ */
+async function getTemplateHistory(id, criteria) {
+  logger.debug(`Get history of phase template ${id}`)
+
+  const history = await AuditService.getHistory(AuditService.EntityType.PhaseTemplate, id, criteria)
+
+  if (history.total === 0) {
+    const template = await prisma.phaseTemplate.findUnique({
+      where: { id }
+    })
+
+    if (!template) {
+      throw new errors.NotFoundError(`Phase template with id ${id} not found`)
+    }
+  }
+
+  return history
+}
+
+/**
+ * Search templates
+ * @param {Object} criteria the search criteria
+ * @returns {Object} the search result
+ */
+async function searchTemplates(criteria) {
+  logger.debug(`Search phase templates with ${JSON.stringify(criteria)}`)
+
+  const page = criteria.page || 1
+  const perPage = criteria.perPage || 20
+  const skip = (page - 1) * perPage
+
+  const whereConditions = {}
+  if (criteria.name) {
+    whereConditions.name = { contains: criteria.name, mode: 'insensitive' }
+  }
+  if (criteria.phaseId) {
+    whereConditions.steps = { some: { phaseId: criteria.phaseId } }
+  }
+
+  const totalCount = await prisma.phaseTemplate.count({
+    where: whereConditions
+  })
+
+  const templates = await prisma.phaseTemplate.findMany({
+    where: whereConditions,
+    include: STEPS_INCLUDE,
+    skip,
+    take: perPage,
+    orderBy: {
+      name: 'asc'
+    }
+  })
+
+  return {
+    total: totalCount,
+    page,
+    perPage,
+    result: templates.map(transformTemplate)
+  }
+}
+
+/**
+ * Get the phases of a template from a step on, in order
+ * @param {String} templateId the template id
+ * @param {Number} fromStep the first step, starting at 1
+ * @returns {Array} the phase ids
+ */
+async function getPhaseIdsFromStep(templateId, fromStep) {
+  const template = await prisma.phaseTemplate.findUnique({
+    where: { id: templateId },
+    include: STEPS_INCLUDE
+  })
+
+  if (!template) {
+    throw new errors.BadRequestError(`Phase template with id ${templateId} does not exist`)
+  }
+
+  if (fromStep > template.steps.length) {
+    throw new errors.BadRequestError(`Phase template ${template.name} has only ${template.steps.length} step(s)`)
+  }
+
+  return template.steps
+    .filter(step => step.step >= fromStep)
+    .map(step => step.phaseId)
+}
+
+module.exports = {
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  getTemplateHistory,
+  searchTemplates,
+  getPhaseIdsFromStep
+}
@@ -0,0 +1,27 @@
+/**
+ * Script to permanently delete the resources that have been soft deleted for longer than the retention period.
+ * The retention period defaults to the DELETED_RESOURCES_RETENTION_DAYS config and can be passed as argument:
+ * node scripts/purge-deleted-resources.js [retentionDays]
+ */
+const config = require('config')
+const logger = require('../src/common/logger')
+const ResourceService = require('../src/services/resource-service')
+
+/**
+ * Main function
+ */
+async function main () {
+  const retentionDays = process.argv[2] || config.DELETED_RESOURCES_RETENTION_DAYS
+
+  try {
+    logger.info(`Purging resources deleted more than ${retentionDays} day(s) ago...`)
+    const count = await ResourceService.purgeDeletedResources(retentionDays)
+    logger.info(`Purge completed successfully, ${count} resource(s) deleted`)
+    process.exit(0)
+  } catch (error) {
+    logger.error(`Error purging deleted resources: ${error.message}`)
+    process.exit(1)
+  }
+}
+
+main()
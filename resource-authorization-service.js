@@ -0,0 +1,314 @@
+/*
+ * Resource Authorization Service deciding what the non-admin callers may do on resources.
+ * Every decision is logged with the reason it was granted or denied.
+ */
+
+const _ = require('lodash')
+const Joi = require('joi')
+const { PrismaClient } = require('@prisma/client')
+const logger = require('../common/logger')
+const errors = require('../common/errors')
+const { isAdmin } = require('../common/auth-middleware')
+const { Permissions, Capabilities } = require('../constants')
+const PermissionService = require('./permission-service')
+const RoleService = require('./role-service')
+
+const prisma = new PrismaClient()
+
+/**
+ * Check whether the caller is trusted to manage any resource:
+ * administrators and M2M tokens (already checked against the route scopes).
+ * A missing caller is denied.
+ * @param {Object} authUser the authenticated user
+ * @returns {Boolean} whether the caller is trusted
+ */
+function isTrusted(authUser) {
+  if (!authUser) {
+    logger.warn('Denied access to resources without authenticated user')
+    throw new errors.ForbiddenError('You are not allowed to access resources without authentication')
+  }
+  return authUser.isMachine || isAdmin(authUser)
+}
+
+/**
+ * Get a role the user holds on a challenge that grants a permission,
+ * either through its permissions or because it is a full access role, directly or through its ancestors
+ * @param {Object} authUser the authenticated user
+ * @param {String} challengeId the challenge id
+ * @param {String} permission the permission name
+ * @returns {Object} the role, null if the user holds none
+ */
+async function getChallengeRoleWithPermission(authUser, challengeId, permission) {
+  if (!challengeId) {
+    return null
+  }
+
+  const resources = await prisma.resource.findMany({
+    where: {
+      challengeId,
+      memberId: authUser.userId,
+      deleted: false
+    },
+    include: {
+      role: true
+    }
+  })
+
+  for (const resource of resources) {
+    const chain = await RoleService.getRoleChain(resource.roleId)
+    const permissions = await PermissionService.getEffectivePermissions(chain)
+    if (permissions.includes(permission)) {
+      return resource.role
+    }
+  }
+
+  return null
+}
+
+/**
+ * Log an access decision and throw ForbiddenError if it is denied
+ * @param {Object} authUser the authenticated user
+ * @param {String} action the action on the resource
+ * @param {String} challengeId the challenge id
+ * @param {String} reason the reason of the decision
+ * @param {Boolean} granted whether the access is granted
+ */
+function decide(authUser, action, challengeId, reason, granted) {
+  const message = `${granted ? 'Granted' : 'Denied'} ${action} resource on challenge ${challengeId} to ${authUser.handle}: ${reason}`
+  if (granted) {
+    logger.info(message)
+  } else {
+    logger.warn(message)
+    throw new errors.ForbiddenError(`You are not allowed to ${action} this resource: ${reason}`)
+  }
+}
+
+/**
+ * Grant the access if the user holds a role granting the manage:resources permission on the challenge
+ * @param {Object} authUser the authenticated user
+ * @param {String} action the action on the resource
+ * @param {String} challengeId the challenge id
+ * @returns {Boolean} whether the access is granted
+ */
+async function grantChallengeManageAccess(authUser, action, challengeId) {
+  const role = await getChallengeRoleWithPermission(authUser, challengeId, Permissions.ManageResources)
+  if (role) {
+    decide(authUser, action, challengeId, `role ${role.name} grants ${Permissions.ManageResources} on the challenge`, true)
+    return true
+  }
+  return false
+}
+
+/**
+ * Ensure the caller may create the resource.
+ * A non-admin caller may create any resource on a challenge where they hold a role granting manage:resources,
+ * otherwise they may only register themselves, with a self obtainable role and their own handle.
+ * @param {Object} authUser the authenticated user
+ * @param {Object} resource the resource to create
+ * @param {Object} role the role of the resource
+ */
+async function checkCreateAccess(authUser, resource, role) {
+  if (isTrusted(authUser) || await grantChallengeManageAccess(authUser, 'create', resource.challengeId)) {
+    return
+  }
+
+  if (resource.memberId !== authUser.userId) {
+    decide(authUser, 'create', resource.challengeId, `only self registration is allowed without ${Permissions.ManageResources} on the challenge`, false)
+  }
+
+  if (!role.selfObtainable) {
+    decide(authUser, 'create', resource.challengeId, `role ${role.name} can not be self obtained`, false)
+  }
+
+  resource.memberHandle = authUser.handle
+  decide(authUser, 'create', resource.challengeId, `self registration with self obtainable role ${role.name}`, true)
+}
+
+/**
+ * Ensure the caller may update the resource.
+ * A non-admin caller needs a role granting manage:resources on the challenge of the resource,
+ * and on the new challenge if the resource is moved to another challenge.
+ * @param {Object} authUser the authenticated user
+ * @param {Object} existingResource the resource before the update
+ * @param {Object} resource the resource after the update
+ */
+async function checkUpdateAccess(authUser, existingResource, resource) {
+  if (isTrusted(authUser)) {
+    return
+  }
+
+  for (const challengeId of _.uniq([existingResource.challengeId, resource.challengeId])) {
+    if (!await grantChallengeManageAccess(authUser, 'update', challengeId)) {
+      decide(authUser, 'update', challengeId, `no role granting ${Permissions.ManageResources} on the challenge`, false)
+    }
+  }
+}
+
+/**
+ * Ensure the caller may delete the resource.
+ * A non-admin caller may delete any resource on a challenge where they hold a role granting manage:resources,
+ * otherwise they may only unregister their own self obtained resources.
+ * @param {Object} authUser the authenticated user
+ * @param {Object} resource the resource to delete
+ * @param {Object} role the role of the resource
+ */
+async function checkDeleteAccess(authUser, resource, role) {
+  if (isTrusted(authUser) || await grantChallengeManageAccess(authUser, 'delete', resource.challengeId)) {
+    return
+  }
+
+  if (resource.memberId !== authUser.userId || !role.selfObtainable) {
+    decide(authUser, 'delete', resource.challengeId, `only own self obtained resources can be unregistered without ${Permissions.ManageResources} on the challenge`, false)
+  }
+
+  decide(authUser, 'delete', resource.challengeId, `self unregistration from self obtainable role ${role.name}`, true)
+}
+
+/**
+ * Ensure the caller may complete a phase assignment of the resource.
+ * A non-admin caller may complete the phases of their own resources,
+ * or of any resource on a challenge where they hold a role granting manage:resources.
+ * @param {Object} authUser the authenticated user
+ * @param {Object} resource the resource
+ */
+async function checkCompleteAccess(authUser, resource) {
+  if (isTrusted(authUser)) {
+    return
+  }
+
+  if (resource.memberId === authUser.userId) {
+    decide(authUser, 'complete phase of', resource.challengeId, 'the resource belongs to the caller', true)
+    return
+  }
+
+  if (!await grantChallengeManageAccess(authUser, 'complete phase of', resource.challengeId)) {
+    decide(authUser, 'complete phase of', resource.challengeId, `only own phases can be completed without ${Permissions.ManageResources} on the challenge`, false)
+  }
+}
+
+/**
+ * Ensure the caller may manage the resources of a challenge,
+ * a non-admin caller needs a role granting manage:resources on the challenge
+ * @param {Object} authUser the authenticated user
+ * @param {String} action the action on the resource
+ * @param {String} challengeId the challenge id
+ */
+async function checkManageAccess(authUser, action, challengeId) {
+  if (isTrusted(authUser) || await grantChallengeManageAccess(authUser, action, challengeId)) {
+    return
+  }
+
+  decide(authUser, action, challengeId, `no role granting ${Permissions.ManageResources} on the challenge`, false)
+}
+
+/**
+ * Build the effective access of a member from their resources on a challenge,
+ * the roles have the full access flag and the permissions of their ancestors
+ * @param {String} challengeId the challenge id
+ * @param {String} memberId the member id
+ * @param {Array} resources the resources of the member on the challenge, with their role and phases
+ * @returns {Object} the effective access
+ */
+async function buildMemberAccess(challengeId, memberId, resources) {
+  const chains = await Promise.all(resources.map(resource => RoleService.getRoleChain(resource.roleId)))
+  const roles = resources.map((resource, index) => _.assign(
+    _.pick(resource.role, ['id', 'name', 'selfObtainable']),
+    { fullAccess: _.some(chains[index], 'fullAccess'), resourceId: resource.id }
+  ))
+  const phases = _.uniqBy(_.flatMap(resources, resource => resource.resourcePhases.map(rp => _.pick(rp.phase, ['id', 'name']))), 'id')
+  const fullAccess = _.some(roles, 'fullAccess')
+  const permissions = await PermissionService.getEffectivePermissions(_.flatten(chains))
+
+  const capabilities = []
+  if (roles.length > 0) {
+    capabilities.push(Capabilities.ViewChallenge)
+  }
+  capabilities.push(...permissions)
+  if (_.some(roles, 'selfObtainable')) {
+    capabilities.push(Capabilities.UnregisterSelf)
+  }
+
+  return {
+    challengeId,
+    memberId,
+    memberHandle: resources.length > 0 ? resources[0].memberHandle : null,
+    roles,
+    fullAccess,
+    permissions,
+    phases,
+    capabilities
+  }
+}
+
+/**
+ * Get the effective access of members on a challenge, combining all their resources on the challenge.
+ * A non-admin caller may get their own access, or the access of any member of a challenge where they hold a role granting manage:resources.
+ * @param {Object} authUser the authenticated user
+ * @param {String} challengeId the challenge id
+ * @param {Array} memberIds the member ids
+ * @returns {Array} the effective access of each member
+ */
+async function getMembersAccess(authUser, challengeId, memberIds) {
+  logger.debug(`Get access of members ${JSON.stringify(memberIds)} on challenge ${challengeId}`)
+
+  const schema = Joi.object().keys({
+    challengeId: Joi.string().required(),
+    memberIds: Joi.array().items(Joi.string()).min(1).max(100).required()
+  })
+
+  const { error } = schema.validate({ challengeId, memberIds })
+  if (error) {
+    throw new errors.ValidationError(`Invalid member access criteria: ${error.message}`)
+  }
+
+  if (!isTrusted(authUser) && _.some(memberIds, memberId => memberId !== authUser.userId) &&
+    !await grantChallengeManageAccess(authUser, 'view access of', challengeId)) {
+    decide(authUser, 'view access of', challengeId, `only own access can be viewed without ${Permissions.ManageResources} on the challenge`, false)
+  }
+
+  const resources = await prisma.resource.findMany({
+    where: {
+      challengeId,
+      memberId: { in: memberIds },
+      deleted: false
+    },
+    include: {
+      role: true,
+      resourcePhases: {
+        include: {
+          phase: true
+        }
+      }
+    },
+    orderBy: {
+      created: 'asc'
+    }
+  })
+
+  const resourcesByMember = _.groupBy(resources, 'memberId')
+  return Promise.all(_.uniq(memberIds).map(memberId => buildMemberAccess(challengeId, memberId, resourcesByMember[memberId] || [])))
+}
+
+/**
+ * Get the effective access of a member on a challenge
+ * @param {Object} authUser the authenticated user
+ * @param {String} challengeId the challenge id
+ * @param {String} memberId the member id
+ * @returns {Object} the effective access
+ */
+async function getMemberAccess(authUser, challengeId, memberId) {
+  const [access] = await getMembersAccess(authUser, challengeId, [memberId])
+  return access
+}
+
+module.exports = {
+  isTrusted,
+  getChallengeRoleWithPermission,
+  checkCreateAccess,
+  checkUpdateAccess,
+  checkDeleteAccess,
+  checkCompleteAccess,
+  checkManageAccess,
+  getMemberAccess,
+  getMembersAccess
+}
@@ -0,0 +1,209 @@
+/**
+ * Controller for resource endpoints
+ */
+const HttpStatus = require('http-status-codes')
+const service = require('../services/resource-service')
+const ResourceDependencyService = require('../services/resource-dependency-service')
+const helper = require('../common/helper')
+
+/**
+ * Search resources
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getResources (req, res) {
+  const result = await service.searchResources(helper.toSearchCriteria(req.query), req.authUser)
+  helper.setResHeaders(req, res, result)
+  res.send(result.result)
+}
+
+/**
+ * Create resource
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function createResource (req, res) {
+  const result = await service.createResource(req.body, { authUser: req.authUser })
+  helper.setETag(res, result)
+  res.status(HttpStatus.CREATED).send(result)
+}
+
+/**
+ * Get resource
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getResource (req, res) {
+  const result = await service.getResource(req.params.id, req.query.includeRole === 'true', req.query.includePhases === 'true')
+  helper.setETag(res, result)
+  res.send(result)
+}
+
+/**
+ * Fully update resource
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function updateResource (req, res) {
+  const result = await service.updateResource(req.params.id, req.body, { isFull: true, version: helper.getIfMatchVersion(req), authUser: req.authUser })
+  helper.setETag(res, result)
+  res.send(result)
+}
+
+/**
+ * Partially update resource
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function partiallyUpdateResource (req, res) {
+  const result = await service.updateResource(req.params.id, req.body, { version: helper.getIfMatchVersion(req), authUser: req.authUser })
+  helper.setETag(res, result)
+  res.send(result)
+}
+
+/**
+ * Delete resource
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function deleteResource (req, res) {
+  await service.deleteResource(req.params.id, req.actor, { version: helper.getIfMatchVersion(req), authUser: req.authUser })
+  res.status(HttpStatus.NO_CONTENT).end()
+}
+
+/**
+ * Create resources in bulk.
+ * Responds 201 when all the resources are created, 207 when only some of them are created
+ * and 400 when none of them is created.
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function createResources (req, res) {
+  const result = await service.createResources(req.body, req.query.mode || 'atomic')
+  let status = HttpStatus.CREATED
+  if (result.created === 0) {
+    status = HttpStatus.BAD_REQUEST
+  } else if (result.failed > 0) {
+    status = HttpStatus.MULTI_STATUS
+  }
+  res.status(status).send(result)
+}
+
+/**
+ * Copy the resources of a challenge to another challenge
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function copyResources (req, res) {
+  const result = await service.copyResources(req.body)
+  res.status(HttpStatus.CREATED).send(result)
+}
+
+/**
+ * Delete all the resources of a challenge
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function deleteChallengeResources (req, res) {
+  res.send(await service.deleteChallengeResources(req.params.challengeId, req.query, req.actor))
+}
+
+/**
+ * Replace the roster of a challenge
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function replaceChallengeResources (req, res) {
+  res.send(await service.replaceChallengeResources(req.params.challengeId, req.body))
+}
+
+/**
+ * Transfer resource to another member
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function transferResource (req, res) {
+  const result = await service.transferResource(req.params.id, req.body, req.actor, { version: helper.getIfMatchVersion(req), authUser: req.authUser })
+  helper.setETag(res, result)
+  res.send(result)
+}
+
+/**
+ * Restore soft deleted resource
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function restoreResource (req, res) {
+  const result = await service.restoreResource(req.params.id, req.actor, { version: helper.getIfMatchVersion(req) })
+  helper.setETag(res, result)
+  res.send(result)
+}
+
+/**
+ * Get the phases of resource, with whether they are currently active on the challenge
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getResourcePhases (req, res) {
+  res.send(await ResourceDependencyService.getResourcePhases(req.params.id))
+}
+
+/**
+ * Assign phases to resource, optionally limited in time
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function createResourcePhases (req, res) {
+  const result = await ResourceDependencyService.createResourcePhases(req.params.id, req.body.phases, req.actor)
+  res.status(HttpStatus.CREATED).send(result)
+}
+
+/**
+ * Remove a phase from resource
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function deleteResourcePhase (req, res) {
+  await ResourceDependencyService.deleteResourcePhase(req.params.id, req.params.phaseId, req.actor)
+  res.status(HttpStatus.NO_CONTENT).end()
+}
+
+/**
+ * Mark a phase assignment of resource as completed
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function completeResourcePhase (req, res) {
+  res.send(await ResourceDependencyService.completeResourcePhase(req.params.id, req.params.phaseId, req.actor, { authUser: req.authUser }))
+}
+
+/**
+ * Get the audit history of resource
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getResourceHistory (req, res) {
+  const result = await service.getResourceHistory(req.params.id, helper.toSearchCriteria(req.query))
+  helper.setResHeaders(req, res, result)
+  res.send(result.result)
+}
+
+module.exports = {
+  getResources,
+  createResource,
+  getResource,
+  updateResource,
+  partiallyUpdateResource,
+  deleteResource,
+  createResources,
+  copyResources,
+  deleteChallengeResources,
+  replaceChallengeResources,
+  transferResource,
+  restoreResource,
+  getResourcePhases,
+  createResourcePhases,
+  deleteResourcePhase,
+  completeResourcePhase,
+  getResourceHistory
+}
@@ -3,14 +3,49 @@
  */
 
 const _ = require('lodash')
-const config = require('config')
+const Joi = require('joi')
 const { PrismaClient } = require('@prisma/client')
 const logger = require('../common/logger')
 const errors = require('../common/errors')
 const helper = require('../common/helper')
+const AuditService = require('./audit-service')
+const RoleService = require('./role-service')
+const ResourceAuthorizationService = require('./resource-authorization-service')
+const { ChallengePhaseStatus, ResourcePhaseStatus } = require('../constants')
 
 const prisma = new PrismaClient()
 
+/**
+ * Get the role/phase pairs that are not allowed by the role phase dependencies,
+ * a role is allowed in the phases of its ancestors as well
+ * @param {Object} role the role
+ * @param {Array} phases the phases to assign to the role
+ * @returns {Array} the violating role/phase pairs
+ */
+async function getRolePhaseViolations(role, phases) {
+  const chain = await RoleService.getRoleChain(role.id)
+  const dependencies = await prisma.resourceRolePhaseDependency.findMany({
+    where: {
+      resourceRoleId: {
+        in: chain.map(chainRole => chainRole.id)
+      },
+      phaseId: {
+        in: phases.map(phase => phase.id)
+      }
+    }
+  })
+  const allowedPhaseIds = dependencies.map(dependency => dependency.phaseId)
+
+  return phases
+    .filter(phase => !allowedPhaseIds.includes(phase.id))
+    .map(phase => ({
+      roleId: role.id,
+      roleName: role.name,
+      phaseId: phase.id,
+      phaseName: phase.name
+    }))
+}
+
 /**
  * Ensures the role phases dependency
  * @param {String} roleId the role id
@@ -33,7 +68,8 @@ async function ensureRolePhasesDependency(roleId, phaseIds) {
   }
 
   // Check if all phases exist
-  for (const phaseId of phaseIds) {
+  const phases = []
+  for (const phaseId of _.uniq(phaseIds)) {
     const phase = await prisma.phase.findUnique({
       where: { id: phaseId }
     })
@@ -41,13 +77,46 @@ async function ensureRolePhasesDependency(roleId, phaseIds) {
     if (!phase) {
       throw new errors.NotFoundError(`Phase with id ${phaseId} not found`)
     }
+
+    phases.push(phase)
   }
+
+  // Check if the role is allowed in all phases
+  const violations = await getRolePhaseViolations(role, phases)
+  if (violations.length > 0) {
+    const error = new errors.BadRequestError(`Role ${role.name} is not allowed in phases: ${violations.map(v => v.phaseName).join(', ')}`)
+    error.details = violations
+    throw error
+  }
+}
+
+/**
+ * Transform DB resource phase to API phase assignment
+ * @param {Object} resourcePhase the DB resource phase, with its phase
+ * @returns {Object} the API phase assignment
+ */
+function transformResourcePhase(resourcePhase) {
+  return _.assign(_.pick(resourcePhase.phase, ['id', 'name', 'description']), _.pick(resourcePhase, [
+    'effectiveFrom', 'effectiveTo', 'completionStatus', 'completedAt', 'completedBy'
+  ]))
+}
+
+/**
+ * Check whether a phase assignment is effective at a time
+ * @param {Object} resourcePhase the resource phase
+ * @param {Date} time the time
+ * @returns {Boolean} whether the assignment is effective
+ */
+function isEffectiveAt(resourcePhase, time) {
+  return (!resourcePhase.effectiveFrom || resourcePhase.effectiveFrom <= time) &&
+    (!resourcePhase.effectiveTo || resourcePhase.effectiveTo >= time)
 }
 
 /**
- * Get resource phases
+ * Get resource phases.
+ * A phase is active when it is open on the challenge of the resource and the assignment is effective now.
  * @param {String} resourceId the resource id
- * @returns {Array} the resource phases
+ * @returns {Array} the resource phases, with their assignment window and their status on the challenge
  */
 async function getResourcePhases(resourceId) {
   logger.debug(`Get resource phases for resource ${resourceId}`)
@@ -63,30 +132,67 @@ async function getResourcePhases(resourceId) {
     }
   })
 
-  if (!resource) {
+  if (!resource || resource.deleted) {
     throw new errors.NotFoundError(`Resource with id ${resourceId} not found`)
   }
 
-  return resource.resourcePhases.map(rp => ({
-    id: rp.phase.id,
-    name: rp.phase.name,
-    description: rp.phase.description
-  }))
+  // A resource without a challenge has no phase scheduled
+  let challengePhases = []
+  if (resource.challengeId) {
+    challengePhases = await prisma.challengePhase.findMany({
+      where: {
+        challengeId: resource.challengeId,
+        phaseId: { in: resource.resourcePhases.map(rp => rp.phaseId) }
+      }
+    })
+  }
+
+  const now = new Date()
+  return resource.resourcePhases.map(rp => {
+    const challengePhase = _.find(challengePhases, { phaseId: rp.phaseId })
+    return _.assign(transformResourcePhase(rp), {
+      challengePhaseId: challengePhase ? challengePhase.id : null,
+      status: challengePhase ? challengePhase.status : null,
+      active: challengePhase ? challengePhase.status === ChallengePhaseStatus.Open && isEffectiveAt(rp, now) : false
+    })
+  })
 }
 
 /**
- * Create resource phases
+ * Create resource phases.
+ * Each phase is either a phase id, or a phase assignment limited in time with the phase id
+ * and the optional effectiveFrom/effectiveTo dates.
  * @param {String} resourceId the resource id
- * @param {Array} phaseIds the phase ids
+ * @param {Array} phases the phase ids or phase assignments
  * @param {String} userId the user id
- * @returns {Array} the created resource phases
+ * @returns {Array} the created phase assignments
  */
-async function createResourcePhases(resourceId, phaseIds, userId) {
-  logger.debug(`Create resource phases for resource ${resourceId} and phases ${JSON.stringify(phaseIds)}`)
+async function createResourcePhases(resourceId, phases, userId) {
+  logger.debug(`Create resource phases for resource ${resourceId} and phases ${JSON.stringify(phases)}`)
   
-  if (!phaseIds || phaseIds.length === 0) {
+  if (!phases || phases.length === 0) {
     return []
   }
+
+  const schema = Joi.array().items(Joi.alternatives().try(
+    Joi.string(),
+    Joi.object().keys({
+      phaseId: Joi.string().required(),
+      effectiveFrom: Joi.date().allow(null),
+      effectiveTo: Joi.date().allow(null).when('effectiveFrom', {
+        is: Joi.date().required(),
+        then: Joi.date().min(Joi.ref('effectiveFrom'))
+      })
+    })
+  )).unique((a, b) => (a.phaseId || a) === (b.phaseId || b))
+
+  const { error, value } = schema.validate(phases)
+  if (error) {
+    throw new errors.ValidationError(`Invalid resource phases data: ${error.message}`)
+  }
+
+  const assignments = value.map(phase => _.isString(phase) ? { phaseId: phase } : phase)
+  const phaseIds = assignments.map(assignment => assignment.phaseId)
   
   // Check if resource exists
   const resource = await prisma.resource.findUnique({
@@ -96,12 +202,11 @@ async function createResourcePhases(resourceId, phaseIds, userId) {
     }
   })
 
-  if (!resource) {
+  if (!resource || resource.deleted) {
     throw new errors.NotFoundError(`Resource with id ${resourceId} not found`)
   }
 
-  // Check if all phases exist and get their details
-  const phases = []
+  // Check if all phases exist
   for (const phaseId of phaseIds) {
     const phase = await prisma.phase.findUnique({
       where: { id: phaseId }
@@ -110,8 +215,6 @@ async function createResourcePhases(resourceId, phaseIds, userId) {
     if (!phase) {
       throw new errors.NotFoundError(`Phase with id ${phaseId} not found`)
     }
-    
-    phases.push(phase)
   }
 
   // Check if the resource already has any of these phases
@@ -133,11 +236,13 @@ async function createResourcePhases(resourceId, phaseIds, userId) {
   await ensureRolePhasesDependency(resource.roleId, phaseIds)
 
   // Create resource phases
-  const resourcePhases = phaseIds.map(phaseId => {
+  const resourcePhases = assignments.map(assignment => {
     return {
       id: helper.generateUUID(),
       resourceId,
-      phaseId,
+      phaseId: assignment.phaseId,
+      effectiveFrom: assignment.effectiveFrom,
+      effectiveTo: assignment.effectiveTo,
       created: new Date(),
       createdBy: userId,
       updated: new Date(),
@@ -145,19 +250,44 @@ async function createResourcePhases(resourceId, phaseIds, userId) {
     }
   })
   
-  await prisma.resourcePhase.createMany({
-    data: resourcePhases
+  const created = await prisma.$transaction(async (tx) => {
+    await tx.resourcePhase.createMany({
+      data: resourcePhases
+    })
+
+    await tx.resource.update({
+      where: { id: resourceId },
+      data: { version: { increment: 1 } }
+    })
+
+    await AuditService.recordAudit(tx, {
+      entityType: AuditService.EntityType.Resource,
+      entityId: resourceId,
+      action: AuditService.Action.PhaseAttach,
+      actor: userId,
+      after: { phases: phaseIds }
+    })
+
+    return tx.resourcePhase.findMany({
+      where: {
+        id: { in: resourcePhases.map(rp => rp.id) }
+      },
+      include: {
+        phase: true
+      }
+    })
   })
 
-  return phases
+  return created.map(transformResourcePhase)
 }
 
 /**
  * Delete resource phase
  * @param {String} resourceId the resource id
  * @param {String} phaseId the phase id
+ * @param {String} userId the user id
  */
-async function deleteResourcePhase(resourceId, phaseId) {
+async function deleteResourcePhase(resourceId, phaseId, userId) {
   logger.debug(`Delete resource phase for resource ${resourceId} and phase ${phaseId}`)
   
   // Check if resource exists
@@ -165,7 +295,7 @@ async function deleteResourcePhase(resourceId, phaseId) {
     where: { id: resourceId }
   })
 
-  if (!resource) {
+  if (!resource || resource.deleted) {
     throw new errors.NotFoundError(`Resource with id ${resourceId} not found`)
   }
 
@@ -191,16 +321,109 @@ async function deleteResourcePhase(resourceId, phaseId) {
   }
 
   // Delete resource phase
-  await prisma.resourcePhase.delete({
+  await prisma.$transaction(async (tx) => {
+    await tx.resourcePhase.delete({
+      where: {
+        id: resourcePhase.id
+      }
+    })
+
+    await tx.resource.update({
+      where: { id: resourceId },
+      data: { version: { increment: 1 } }
+    })
+
+    await AuditService.recordAudit(tx, {
+      entityType: AuditService.EntityType.Resource,
+      entityId: resourceId,
+      action: AuditService.Action.PhaseDetach,
+      actor: userId,
+      before: { phases: [phaseId] }
+    })
+  })
+}
+
+/**
+ * Mark a phase assignment of a resource as completed, once the assignment is effective.
+ * The member of the resource records that they finished their own work,
+ * a non-admin caller may otherwise complete the phases of a challenge where they hold a role granting manage:resources.
+ * @param {String} resourceId the resource id
+ * @param {String} phaseId the phase id
+ * @param {String} userId the user id
+ * @param {Object} options the options
+ * @param {Object} options.authUser the authenticated user
+ * @returns {Object} the completed phase assignment
+ */
+async function completeResourcePhase(resourceId, phaseId, userId, options = {}) {
+  logger.debug(`Complete phase ${phaseId} of resource ${resourceId}`)
+
+  const resource = await prisma.resource.findUnique({
+    where: { id: resourceId }
+  })
+
+  if (!resource || resource.deleted) {
+    throw new errors.NotFoundError(`Resource with id ${resourceId} not found`)
+  }
+
+  await ResourceAuthorizationService.checkCompleteAccess(options.authUser, resource)
+
+  const resourcePhase = await prisma.resourcePhase.findFirst({
     where: {
-      id: resourcePhase.id
+      resourceId,
+      phaseId
     }
   })
+
+  if (!resourcePhase) {
+    throw new errors.NotFoundError(`Resource ${resourceId} does not have phase ${phaseId}`)
+  }
+
+  if (resourcePhase.completionStatus === ResourcePhaseStatus.Completed) {
+    throw new errors.ConflictError(`Phase ${phaseId} of resource ${resourceId} is already completed`)
+  }
+
+  if (resourcePhase.effectiveFrom && resourcePhase.effectiveFrom > new Date()) {
+    throw new errors.ConflictError(`Phase ${phaseId} of resource ${resourceId} can not be completed before ${resourcePhase.effectiveFrom.toISOString()}`)
+  }
+
+  const completed = await prisma.$transaction(async (tx) => {
+    const result = await tx.resourcePhase.update({
+      where: { id: resourcePhase.id },
+      data: {
+        completionStatus: ResourcePhaseStatus.Completed,
+        completedAt: new Date(),
+        completedBy: userId,
+        updated: new Date(),
+        updatedBy: userId
+      },
+      include: {
+        phase: true
+      }
+    })
+
+    await tx.resource.update({
+      where: { id: resourceId },
+      data: { version: { increment: 1 } }
+    })
+
+    await AuditService.recordAudit(tx, {
+      entityType: AuditService.EntityType.Resource,
+      entityId: resourceId,
+      action: AuditService.Action.PhaseComplete,
+      actor: userId,
+      after: { phaseId, completedAt: result.completedAt }
+    })
+
+    return result
+  })
+
+  return transformResourcePhase(completed)
 }
 
 module.exports = {
   ensureRolePhasesDependency,
   getResourcePhases,
   createResourcePhases,
-  deleteResourcePhase
+  deleteResourcePhase,
+  completeResourcePhase
 }
@@ -0,0 +1,81 @@
+/**
+ * Controller for resource invitation endpoints
+ */
+const HttpStatus = require('http-status-codes')
+const service = require('../services/resource-invitation-service')
+const helper = require('../common/helper')
+
+/**
+ * Search invitations
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getInvitations (req, res) {
+  const result = await service.searchInvitations(helper.toSearchCriteria(req.query), { authUser: req.authUser })
+  helper.setResHeaders(req, res, result)
+  res.send(result.result)
+}
+
+/**
+ * Invite a member to a role on challenge
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function createInvitation (req, res) {
+  const result = await service.createInvitation(req.body, { authUser: req.authUser })
+  helper.setETag(res, result)
+  res.status(HttpStatus.CREATED).send(result)
+}
+
+/**
+ * Accept invitation with its token
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function acceptInvitation (req, res) {
+  const result = await service.acceptInvitation(req.body.token, req.authUser)
+  helper.setETag(res, result)
+  res.send(result)
+}
+
+/**
+ * Decline invitation with its token
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function declineInvitation (req, res) {
+  const result = await service.declineInvitation(req.body.token, req.body.reason, req.authUser)
+  helper.setETag(res, result)
+  res.send(result)
+}
+
+/**
+ * Get invitation
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getInvitation (req, res) {
+  const result = await service.getInvitation(req.params.id, { authUser: req.authUser })
+  helper.setETag(res, result)
+  res.send(result)
+}
+
+/**
+ * Revoke invitation
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function revokeInvitation (req, res) {
+  const result = await service.revokeInvitation(req.params.id, req.actor, { version: helper.getIfMatchVersion(req), authUser: req.authUser })
+  helper.setETag(res, result)
+  res.send(result)
+}
+
+module.exports = {
+  getInvitations,
+  createInvitation,
+  acceptInvitation,
+  declineInvitation,
+  getInvitation,
+  revokeInvitation
+}
@@ -0,0 +1,461 @@
+/*
+ * Resource Invitation Service managing the invitations of members to a role on a challenge.
+ * The invited member accepts or declines with the signed token of the invitation, the acceptance creates the resource.
+ */
+
+const _ = require('lodash')
+const Joi = require('joi')
+const config = require('config')
+const jwt = require('jsonwebtoken')
+const { PrismaClient } = require('@prisma/client')
+const helper = require('../common/helper')
+const logger = require('../common/logger')
+const errors = require('../common/errors')
+const { Permissions, InvitationStatus } = require('../constants')
+const ResourceService = require('./resource-service')
+const ResourceDependencyService = require('./resource-dependency-service')
+const RoleExclusionService = require('./role-exclusion-service')
+const ResourceAuthorizationService = require('./resource-authorization-service')
+
+const prisma = new PrismaClient()
+
+// The audience of the invitation tokens, so that no other token can be used as an invitation
+const TOKEN_AUDIENCE = 'resource-invitation'
+
+/**
+ * Get the secret signing the invitation tokens
+ * @returns {String} the secret
+ */
+function getTokenSecret() {
+  if (!config.INVITATION_TOKEN_SECRET) {
+    throw new errors.ServiceUnavailableError('Invitations are not available: INVITATION_TOKEN_SECRET is not configured')
+  }
+  return config.INVITATION_TOKEN_SECRET
+}
+
+/**
+ * Check whether a pending invitation is past its expiry date
+ * @param {Object} invitation the DB invitation
+ * @returns {Boolean} whether the invitation is expired
+ */
+function isExpired(invitation) {
+  return invitation.status === InvitationStatus.Pending && invitation.expiresAt < new Date()
+}
+
+/**
+ * Transform DB invitation to API invitation, a pending invitation past its expiry date is reported as expired
+ * @param {Object} invitation the DB invitation
+ * @returns {Object} the API invitation
+ */
+function transformInvitation(invitation) {
+  if (!invitation) return null
+
+  const result = _.pick(invitation, [
+    'id', 'challengeId', 'memberHandle', 'memberId', 'roleId', 'phases', 'status', 'reason',
+    'expiresAt', 'resourceId', 'respondedAt',
+    'created', 'createdBy', 'updated', 'updatedBy', 'version'
+  ])
+
+  if (isExpired(invitation)) {
+    result.status = InvitationStatus.Expired
+  }
+
+  if (invitation.role) {
+    result.roleName = invitation.role.name
+  }
+
+  return result
+}
+
+/**
+ * Check whether two handles are the same, the handles are case insensitive
+ * @param {String} handle the first handle
+ * @param {String} otherHandle the other handle
+ * @returns {Boolean} whether the handles are the same
+ */
+function isSameHandle(handle, otherHandle) {
+  return _.toLower(handle) === _.toLower(otherHandle)
+}
+
+/**
+ * Validate invitation
+ * @param {Object} invitation the invitation to validate
+ * @returns {undefined}
+ */
+function validateInvitation(invitation) {
+  const schema = Joi.object().keys({
+    id: Joi.string().uuid(),
+    challengeId: Joi.string().required(),
+    memberHandle: Joi.string().required(),
+    roleId: Joi.string().required(),
+    phases: Joi.array().items(Joi.string().uuid()),
+    createdBy: Joi.string().required(),
+    updatedBy: Joi.string().allow(null)
+  }).required()
+
+  const { error } = schema.validate(invitation)
+  if (error) {
+    throw new errors.ValidationError(`Invalid invitation data: ${error.message}`)
+  }
+}
+
+/**
+ * Check whether the caller may see the invitations of other members on a challenge
+ * @param {Object} authUser the authenticated user
+ * @param {String} challengeId the challenge id
+ * @returns {Boolean} whether the caller may see the invitations of other members
+ */
+async function canManageInvitations(authUser, challengeId) {
+  return ResourceAuthorizationService.isTrusted(authUser) ||
+    !!await ResourceAuthorizationService.getChallengeRoleWithPermission(authUser, challengeId, Permissions.ManageResources)
+}
+
+/**
+ * Get DB invitation by id
+ * @param {String} id the invitation id
+ * @returns {Object} the DB invitation with its role
+ */
+async function getDBInvitation(id) {
+  const invitation = await prisma.resourceInvitation.findUnique({
+    where: { id },
+    include: { role: true }
+  })
+
+  if (!invitation) {
+    throw new errors.NotFoundError(`Invitation with id ${id} not found`)
+  }
+
+  return invitation
+}
+
+/**
+ * Ensure an invitation can still be answered or revoked
+ * @param {Object} invitation the DB invitation
+ * @param {String} action the action on the invitation
+ */
+function ensurePending(invitation, action) {
+  if (isExpired(invitation)) {
+    throw new errors.ConflictError(`Invitation ${invitation.id} expired on ${invitation.expiresAt.toISOString()}`)
+  }
+
+  if (invitation.status !== InvitationStatus.Pending) {
+    throw new errors.ConflictError(`Invitation ${invitation.id} is ${invitation.status}, it must be pending to be ${action}`)
+  }
+}
+
+/**
+ * Get invitation by id, a non-admin caller may get the invitations sent to them
+ * or the invitations of a challenge where they hold a role granting manage:resources
+ * @param {String} id the invitation id
+ * @param {Object} options the options
+ * @param {Object} options.authUser the authenticated user
+ * @returns {Object} the invitation
+ */
+async function getInvitation(id, options = {}) {
+  logger.debug(`Get invitation by id ${id}`)
+
+  const invitation = await getDBInvitation(id)
+
+  if (!isSameHandle(invitation.memberHandle, _.get(options.authUser, 'handle')) && !await canManageInvitations(options.authUser, invitation.challengeId)) {
+    throw new errors.ForbiddenError('You are not allowed to view this invitation')
+  }
+
+  return transformInvitation(invitation)
+}
+
+/**
+ * Invite a member to a role on a challenge, the caller needs a role granting manage:resources on the challenge.
+ * The token of the invitation is only returned here, it should be sent to the invited member.
+ * @param {Object} invitation the invitation to create
+ * @param {Object} options the options
+ * @param {Object} options.authUser the authenticated user
+ * @returns {Object} the created invitation with its token
+ */
+async function createInvitation(invitation, options = {}) {
+  logger.debug(`Create invitation ${JSON.stringify(invitation)}`)
+  validateInvitation(invitation)
+  const secret = getTokenSecret()
+
+  await ResourceAuthorizationService.checkManageAccess(options.authUser, 'invite', invitation.challengeId)
+
+  const role = await prisma.role.findUnique({
+    where: { id: invitation.roleId }
+  })
+
+  if (!role) {
+    throw new errors.BadRequestError(`Role with id ${invitation.roleId} does not exist`)
+  }
+
+  if (!role.isActive) {
+    throw new errors.BadRequestError(`Role ${role.name} is inactive and can not be assigned to new resources`)
+  }
+
+  // The phases and the exclusion rules are checked now, so that the acceptance does not fail on them
+  const phaseIds = _.uniq(invitation.phases || [])
+  await ResourceDependencyService.ensureRolePhasesDependency(invitation.roleId, phaseIds)
+  await RoleExclusionService.ensureNoInvitationExclusion(invitation)
+
+  const existingResource = await prisma.resource.findFirst({
+    where: {
+      challengeId: invitation.challengeId,
+      memberHandle: { equals: invitation.memberHandle, mode: 'insensitive' },
+      roleId: invitation.roleId,
+      deleted: false
+    }
+  })
+
+  if (existingResource) {
+    throw new errors.ConflictError(`Member ${invitation.memberHandle} already holds role ${role.name} on challenge ${invitation.challengeId}`)
+  }
+
+  const pendingInvitation = await prisma.resourceInvitation.findFirst({
+    where: {
+      challengeId: invitation.challengeId,
+      memberHandle: { equals: invitation.memberHandle, mode: 'insensitive' },
+      roleId: invitation.roleId,
+      status: InvitationStatus.Pending,
+      expiresAt: { gte: new Date() }
+    }
+  })
+
+  if (pendingInvitation) {
+    throw new errors.ConflictError(`Member ${invitation.memberHandle} already has a pending invitation to role ${role.name} on challenge ${invitation.challengeId}`)
+  }
+
+  // Sign the token first, so that a signing failure does not leave a pending invitation blocking a new one
+  const expiryDays = config.INVITATION_EXPIRY_DAYS || 7
+  const id = invitation.id || helper.generateUUID()
+  const token = jwt.sign({ invitationId: id, memberHandle: invitation.memberHandle }, secret, {
+    audience: TOKEN_AUDIENCE,
+    expiresIn: `${expiryDays}d`
+  })
+
+  const created = await prisma.resourceInvitation.create({
+    data: {
+      id,
+      challengeId: invitation.challengeId,
+      memberHandle: invitation.memberHandle,
+      roleId: invitation.roleId,
+      phases: phaseIds,
+      status: InvitationStatus.Pending,
+      expiresAt: new Date(Date.now() + expiryDays * 24 * 60 * 60 * 1000),
+      createdBy: invitation.createdBy,
+      updatedBy: invitation.updatedBy
+    },
+    include: { role: true }
+  })
+
+  return _.assign(transformInvitation(created), { token })
+}
+
+/**
+ * Get the pending invitation of a token, the caller must be the invited member
+ * @param {String} token the invitation token
+ * @param {String} action the answer to the invitation
+ * @param {Object} authUser the authenticated user
+ * @returns {Object} the DB invitation
+ */
+async function getInvitationFromToken(token, action, authUser) {
+  const { error } = Joi.string().required().validate(token)
+  if (error) {
+    throw new errors.ValidationError(`Invalid invitation token: ${error.message}`)
+  }
+  const secret = getTokenSecret()
+
+  let payload
+  try {
+    payload = jwt.verify(token, secret, { audience: TOKEN_AUDIENCE })
+  } catch (e) {
+    logger.debug(`Invalid invitation token: ${e.message}`)
+    throw new errors.BadRequestError('Invalid or expired invitation token')
+  }
+
+  const invitation = await getDBInvitation(payload.invitationId)
+
+  if (!isSameHandle(invitation.memberHandle, authUser.handle)) {
+    throw new errors.ForbiddenError(`The invitation was sent to ${invitation.memberHandle}, only they can answer it`)
+  }
+
+  ensurePending(invitation, action)
+
+  return invitation
+}
+
+/**
+ * Update a pending invitation, unless it has been changed since it was read,
+ * e.g. by a concurrent answer or revocation which then fails with 412
+ * @param {Object} client the Prisma client or transaction client
+ * @param {Object} invitation the DB invitation
+ * @param {Object} data the data to update
+ * @param {String} userId the user id
+ * @returns {Object} the updated invitation
+ */
+async function updateInvitationStatus(client, invitation, data, userId) {
+  const now = new Date()
+  const updated = await helper.guardVersion(client.resourceInvitation.update({
+    where: { id: invitation.id, version: invitation.version },
+    data: _.assign({
+      updated: now,
+      updatedBy: userId,
+      version: { increment: 1 }
+    }, data),
+    include: { role: true }
+  }), invitation)
+
+  return transformInvitation(updated)
+}
+
+/**
+ * Accept an invitation: the resource of the invited member is created with its phases,
+ * with the same validation as any other resource, in the transaction recording the acceptance
+ * @param {String} token the invitation token
+ * @param {Object} authUser the authenticated user, the invited member
+ * @returns {Object} the accepted invitation, with the id of the created resource
+ */
+async function acceptInvitation(token, authUser) {
+  logger.debug(`Accept invitation as ${authUser.handle}`)
+
+  const invitation = await getInvitationFromToken(token, 'accepted', authUser)
+
+  const prepared = await ResourceService.prepareResource({
+    challengeId: invitation.challengeId,
+    memberId: authUser.userId,
+    memberHandle: authUser.handle,
+    roleId: invitation.roleId,
+    phases: invitation.phases,
+    createdBy: authUser.handle
+  }, { internal: true })
+
+  return prisma.$transaction(async (tx) => {
+    const resource = await ResourceService.createPreparedResource(tx, prepared)
+
+    return updateInvitationStatus(tx, invitation, {
+      status: InvitationStatus.Accepted,
+      memberId: authUser.userId,
+      resourceId: resource.id,
+      respondedAt: new Date()
+    }, authUser.handle)
+  })
+}
+
+/**
+ * Decline an invitation, the declined invitations are kept to track who declined
+ * @param {String} token the invitation token
+ * @param {String} reason the reason of the decline, if any
+ * @param {Object} authUser the authenticated user, the invited member
+ * @returns {Object} the declined invitation
+ */
+async function declineInvitation(token, reason, authUser) {
+  logger.debug(`Decline invitation as ${authUser.handle}`)
+
+  const { error } = Joi.string().allow(null).validate(reason)
+  if (error) {
+    throw new errors.ValidationError(`Invalid reason: ${error.message}`)
+  }
+
+  const invitation = await getInvitationFromToken(token, 'declined', authUser)
+
+  return updateInvitationStatus(prisma, invitation, {
+    status: InvitationStatus.Declined,
+    memberId: authUser.userId,
+    reason,
+    respondedAt: new Date()
+  }, authUser.handle)
+}
+
+/**
+ * Revoke a pending invitation, the inviter or a member managing the challenge may revoke it
+ * @param {String} id the invitation id
+ * @param {String} userId the user id
+ * @param {Object} options the options
+ * @param {Number} options.version the version expected by the client, if any
+ * @param {Object} options.authUser the authenticated user
+ * @returns {Object} the revoked invitation
+ */
+async function revokeInvitation(id, userId, options = {}) {
+  logger.debug(`Revoke invitation ${id}`)
+
+  const invitation = await getDBInvitation(id)
+
+  helper.ensureVersion(invitation, options.version)
+
+  if (invitation.createdBy !== _.get(options.authUser, 'handle')) {
+    await ResourceAuthorizationService.checkManageAccess(options.authUser, 'revoke invitation to', invitation.challengeId)
+  }
+
+  ensurePending(invitation, 'revoked')
+
+  return updateInvitationStatus(prisma, invitation, {
+    status: InvitationStatus.Revoked
+  }, userId)
+}
+
+/**
+ * Search invitations, a non-admin caller gets the invitations sent to them
+ * unless they hold a role granting manage:resources on the challenge they filter on
+ * @param {Object} criteria the search criteria
+ * @param {Object} options the options
+ * @param {Object} options.authUser the authenticated user
+ * @returns {Object} the search result
+ */
+async function searchInvitations(criteria, options = {}) {
+  logger.debug(`Search invitations with ${JSON.stringify(criteria)}`)
+
+  const page = criteria.page || 1
+  const perPage = criteria.perPage || 20
+  const skip = (page - 1) * perPage
+
+  const whereConditions = _.pick(criteria, ['challengeId', 'roleId', 'createdBy'])
+
+  let memberHandle = criteria.memberHandle
+  if (!ResourceAuthorizationService.isTrusted(options.authUser) &&
+    !(criteria.challengeId && await canManageInvitations(options.authUser, criteria.challengeId))) {
+    memberHandle = options.authUser.handle
+  }
+  if (memberHandle) {
+    whereConditions.memberHandle = { equals: memberHandle, mode: 'insensitive' }
+  }
+
+  // The pending invitations past their expiry date are expired
+  const now = new Date()
+  if (criteria.status === InvitationStatus.Pending) {
+    _.assign(whereConditions, { status: InvitationStatus.Pending, expiresAt: { gte: now } })
+  } else if (criteria.status === InvitationStatus.Expired) {
+    whereConditions.OR = [
+      { status: InvitationStatus.Expired },
+      { status: InvitationStatus.Pending, expiresAt: { lt: now } }
+    ]
+  } else if (criteria.status) {
+    whereConditions.status = criteria.status
+  }
+
+  const totalCount = await prisma.resourceInvitation.count({
+    where: whereConditions
+  })
+
+  const invitations = await prisma.resourceInvitation.findMany({
+    where: whereConditions,
+    include: { role: true },
+    skip,
+    take: perPage,
+    orderBy: {
+      created: 'asc'
+    }
+  })
+
+  return {
+    total: totalCount,
+    page,
+    perPage,
+    result: invitations.map(transformInvitation)
+  }
+}
+
+module.exports = {
+  getInvitation,
+  createInvitation,
+  acceptInvitation,
+  declineInvitation,
+  revokeInvitation,
+  searchInvitations
+}
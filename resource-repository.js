@@ -85,17 +85,21 @@ async function partialUpdate (id, data) {
 /**
  * Delete resource from database (soft delete)
  * @param {String} id the resource id
+ * @param {String} userId the user id
  */
-async function remove (id) {
+async function remove (id, userId) {
   try {
     // Check if resource exists
     await getById(id)
 
+    const now = new Date()
     await prisma.resource.update({
       where: { id },
       data: {
         deleted: true,
-        updated: new Date()
+        deletedAt: now,
+        deletedBy: userId,
+        updated: now
       }
     })
   } catch (error) {
@@ -110,11 +114,15 @@ async function remove (id) {
  * @returns {Object} the search result
  */
 async function search (criteria) {
-  const { page, perPage, memberId, challengeId, roleId, fields } = criteria
+  const { page, perPage, memberId, challengeId, roleId, includeDeleted, onlyDeleted, fields } = criteria
 
   // Construct where clause
-  const whereClause = {
-    deleted: false
+  const whereClause = {}
+
+  if (onlyDeleted) {
+    whereClause.deleted = true
+  } else if (!includeDeleted) {
+    whereClause.deleted = false
   }
 
   if (memberId) {
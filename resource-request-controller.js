@@ -0,0 +1,71 @@
+/**
+ * Controller for resource request endpoints
+ */
+const _ = require('lodash')
+const HttpStatus = require('http-status-codes')
+const service = require('../services/resource-request-service')
+const helper = require('../common/helper')
+
+/**
+ * Search resource requests
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getRequests (req, res) {
+  const result = await service.searchRequests(helper.toSearchCriteria(req.query), { authUser: req.authUser })
+  helper.setResHeaders(req, res, result)
+  res.send(result.result)
+}
+
+/**
+ * Create resource request, for the caller unless another member is given by a trusted caller
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function createRequest (req, res) {
+  const request = _.assign({ memberId: req.authUser.userId, memberHandle: req.authUser.handle }, req.body)
+  const result = await service.createRequest(request, { authUser: req.authUser })
+  helper.setETag(res, result)
+  res.status(HttpStatus.CREATED).send(result)
+}
+
+/**
+ * Get resource request
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getRequest (req, res) {
+  const result = await service.getRequest(req.params.id, { authUser: req.authUser })
+  helper.setETag(res, result)
+  res.send(result)
+}
+
+/**
+ * Approve resource request
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function approveRequest (req, res) {
+  const result = await service.approveRequest(req.params.id, req.actor, { reason: req.body.reason, version: helper.getIfMatchVersion(req), authUser: req.authUser })
+  helper.setETag(res, result)
+  res.send(result)
+}
+
+/**
+ * Reject resource request
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function rejectRequest (req, res) {
+  const result = await service.rejectRequest(req.params.id, req.actor, { reason: req.body.reason, version: helper.getIfMatchVersion(req), authUser: req.authUser })
+  helper.setETag(res, result)
+  res.send(result)
+}
+
+module.exports = {
+  getRequests,
+  createRequest,
+  getRequest,
+  approveRequest,
+  rejectRequest
+}
@@ -0,0 +1,424 @@
+/*
+ * Resource Request Service managing the requests of members for roles they can not self obtain.
+ * A request stays pending until it is approved, rejected or expires, the approval creates the resource.
+ */
+
+const _ = require('lodash')
+const Joi = require('joi')
+const config = require('config')
+const { PrismaClient } = require('@prisma/client')
+const helper = require('../common/helper')
+const logger = require('../common/logger')
+const errors = require('../common/errors')
+const { Permissions, ResourceRequestStatus } = require('../constants')
+const ResourceService = require('./resource-service')
+const ResourceDependencyService = require('./resource-dependency-service')
+const ResourceAuthorizationService = require('./resource-authorization-service')
+
+const prisma = new PrismaClient()
+
+/**
+ * Check whether a pending request is past its expiry date
+ * @param {Object} request the DB request
+ * @returns {Boolean} whether the request is expired
+ */
+function isExpired(request) {
+  return request.status === ResourceRequestStatus.Pending && request.expiresAt < new Date()
+}
+
+/**
+ * Transform DB request to API request.
+ * A pending request past its expiry date is reported as expired before the expiry job updates it.
+ * @param {Object} request the DB request
+ * @returns {Object} the API request
+ */
+function transformRequest(request) {
+  if (!request) return null
+
+  const result = _.pick(request, [
+    'id', 'challengeId', 'memberId', 'memberHandle', 'roleId', 'phases', 'status', 'reason',
+    'expiresAt', 'resourceId', 'decidedAt', 'decidedBy',
+    'created', 'createdBy', 'updated', 'updatedBy', 'version'
+  ])
+
+  if (isExpired(request)) {
+    result.status = ResourceRequestStatus.Expired
+  }
+
+  if (request.role) {
+    result.roleName = request.role.name
+  }
+
+  return result
+}
+
+/**
+ * Validate request
+ * @param {Object} request the request to validate
+ * @returns {undefined}
+ */
+function validateRequest(request) {
+  const schema = Joi.object().keys({
+    id: Joi.string().uuid(),
+    challengeId: Joi.string().required(),
+    memberId: Joi.string().required(),
+    memberHandle: Joi.string().allow(null),
+    roleId: Joi.string().required(),
+    phases: Joi.array().items(Joi.string().uuid()),
+    createdBy: Joi.string().required(),
+    updatedBy: Joi.string().allow(null)
+  }).required()
+
+  const { error } = schema.validate(request)
+  if (error) {
+    throw new errors.ValidationError(`Invalid resource request data: ${error.message}`)
+  }
+}
+
+/**
+ * Check whether the caller may see the requests of other members on a challenge
+ * @param {Object} authUser the authenticated user
+ * @param {String} challengeId the challenge id
+ * @returns {Boolean} whether the caller may see the requests of other members
+ */
+async function canManageRequests(authUser, challengeId) {
+  return ResourceAuthorizationService.isTrusted(authUser) ||
+    !!await ResourceAuthorizationService.getChallengeRoleWithPermission(authUser, challengeId, Permissions.ManageResources)
+}
+
+/**
+ * Get DB request by id
+ * @param {String} id the request id
+ * @returns {Object} the DB request with its role
+ */
+async function getDBRequest(id) {
+  const request = await prisma.resourceRequest.findUnique({
+    where: { id },
+    include: { role: true }
+  })
+
+  if (!request) {
+    throw new errors.NotFoundError(`Resource request with id ${id} not found`)
+  }
+
+  return request
+}
+
+/**
+ * Get request by id, a non-admin caller may get their own requests
+ * or the requests of a challenge where they hold a role granting manage:resources
+ * @param {String} id the request id
+ * @param {Object} options the options
+ * @param {Object} options.authUser the authenticated user
+ * @returns {Object} the request
+ */
+async function getRequest(id, options = {}) {
+  logger.debug(`Get resource request by id ${id}`)
+
+  const request = await getDBRequest(id)
+
+  if (request.memberId !== _.get(options.authUser, 'userId') && !await canManageRequests(options.authUser, request.challengeId)) {
+    throw new errors.ForbiddenError('You are not allowed to view this resource request')
+  }
+
+  return transformRequest(request)
+}
+
+/**
+ * Create a pending request for a role that can not be self obtained,
+ * a non-admin caller may only request a role for themselves, under their own handle
+ * @param {Object} request the request to create
+ * @param {Object} options the options
+ * @param {Object} options.authUser the authenticated user
+ * @returns {Object} the created request
+ */
+async function createRequest(request, options = {}) {
+  logger.debug(`Create resource request ${JSON.stringify(request)}`)
+  validateRequest(request)
+
+  if (!ResourceAuthorizationService.isTrusted(options.authUser)) {
+    if (request.memberId !== options.authUser.userId) {
+      throw new errors.ForbiddenError('You can only request a role for yourself')
+    }
+    request.memberHandle = options.authUser.handle
+  }
+
+  const role = await prisma.role.findUnique({
+    where: { id: request.roleId }
+  })
+
+  if (!role) {
+    throw new errors.BadRequestError(`Role with id ${request.roleId} does not exist`)
+  }
+
+  if (!role.isActive) {
+    throw new errors.BadRequestError(`Role ${role.name} is inactive and can not be assigned to new resources`)
+  }
+
+  if (role.selfObtainable) {
+    throw new errors.BadRequestError(`Role ${role.name} is self obtainable, the member can register without a request`)
+  }
+
+  // The requested phases are checked now, so that the approval does not fail on them
+  const phaseIds = _.uniq(request.phases || [])
+  await ResourceDependencyService.ensureRolePhasesDependency(request.roleId, phaseIds)
+
+  const existingResource = await prisma.resource.findFirst({
+    where: {
+      challengeId: request.challengeId,
+      memberId: request.memberId,
+      roleId: request.roleId,
+      deleted: false
+    }
+  })
+
+  if (existingResource) {
+    throw new errors.ConflictError('Resource with the same challengeId/memberId and roleId already exists')
+  }
+
+  const pendingRequest = await prisma.resourceRequest.findFirst({
+    where: {
+      challengeId: request.challengeId,
+      memberId: request.memberId,
+      roleId: request.roleId,
+      status: ResourceRequestStatus.Pending,
+      expiresAt: { gte: new Date() }
+    }
+  })
+
+  if (pendingRequest) {
+    throw new errors.ConflictError(`Member ${request.memberId} already has a pending request for role ${role.name} on challenge ${request.challengeId}`)
+  }
+
+  const expiryDays = config.RESOURCE_REQUEST_EXPIRY_DAYS || 7
+  const created = await prisma.resourceRequest.create({
+    data: {
+      id: request.id || helper.generateUUID(),
+      challengeId: request.challengeId,
+      memberId: request.memberId,
+      memberHandle: request.memberHandle,
+      roleId: request.roleId,
+      phases: phaseIds,
+      status: ResourceRequestStatus.Pending,
+      expiresAt: new Date(Date.now() + expiryDays * 24 * 60 * 60 * 1000),
+      createdBy: request.createdBy,
+      updatedBy: request.updatedBy
+    },
+    include: { role: true }
+  })
+
+  return transformRequest(created)
+}
+
+/**
+ * Get a request that can still be decided, and ensure the caller may decide it
+ * @param {String} id the request id
+ * @param {String} action the decision
+ * @param {Object} options the options
+ * @param {Number} options.version the version expected by the client, if any
+ * @param {Object} options.authUser the authenticated user
+ * @returns {Object} the DB request
+ */
+async function getPendingRequest(id, action, options) {
+  const request = await getDBRequest(id)
+
+  helper.ensureVersion(request, options.version)
+
+  await ResourceAuthorizationService.checkManageAccess(options.authUser, action, request.challengeId)
+
+  if (isExpired(request)) {
+    throw new errors.ConflictError(`Resource request ${id} expired on ${request.expiresAt.toISOString()}`)
+  }
+
+  if (request.status !== ResourceRequestStatus.Pending) {
+    throw new errors.ConflictError(`Resource request ${id} is ${request.status}, it must be pending to be ${action}d`)
+  }
+
+  return request
+}
+
+/**
+ * Validate the reason of a decision
+ * @param {String} reason the reason
+ */
+function validateReason(reason) {
+  const { error } = Joi.string().allow(null).validate(reason)
+  if (error) {
+    throw new errors.ValidationError(`Invalid reason: ${error.message}`)
+  }
+}
+
+/**
+ * Record the decision on a request, unless it has been changed since it was read,
+ * e.g. by a concurrent decision which then fails with 412
+ * @param {Object} client the Prisma client or transaction client
+ * @param {Object} request the DB request
+ * @param {Object} data the decision data
+ * @param {String} userId the user id
+ * @returns {Object} the decided request
+ */
+async function decideRequest(client, request, data, userId) {
+  const now = new Date()
+  const updated = await helper.guardVersion(client.resourceRequest.update({
+    where: { id: request.id, version: request.version },
+    data: _.assign({
+      decidedAt: now,
+      decidedBy: userId,
+      updated: now,
+      updatedBy: userId,
+      version: { increment: 1 }
+    }, data),
+    include: { role: true }
+  }), request)
+
+  return transformRequest(updated)
+}
+
+/**
+ * Approve a pending request: the resource is created with the same validation as any other resource,
+ * in the transaction recording the approval so that a concurrent decision can not leave a resource behind
+ * @param {String} id the request id
+ * @param {String} userId the user id
+ * @param {Object} options the options
+ * @param {String} options.reason the reason of the approval, if any
+ * @param {Number} options.version the version expected by the client, if any
+ * @param {Object} options.authUser the authenticated user
+ * @returns {Object} the approved request, with the id of the created resource
+ */
+async function approveRequest(id, userId, options = {}) {
+  logger.debug(`Approve resource request ${id}`)
+  validateReason(options.reason)
+
+  const request = await getPendingRequest(id, 'approve', options)
+
+  const prepared = await ResourceService.prepareResource({
+    challengeId: request.challengeId,
+    memberId: request.memberId,
+    memberHandle: request.memberHandle,
+    roleId: request.roleId,
+    phases: request.phases,
+    createdBy: userId
+  }, { internal: true })
+
+  return prisma.$transaction(async (tx) => {
+    const resource = await ResourceService.createPreparedResource(tx, prepared)
+
+    return decideRequest(tx, request, {
+      status: ResourceRequestStatus.Approved,
+      reason: options.reason,
+      resourceId: resource.id
+    }, userId)
+  })
+}
+
+/**
+ * Reject a pending request
+ * @param {String} id the request id
+ * @param {String} userId the user id
+ * @param {Object} options the options
+ * @param {String} options.reason the reason of the rejection, if any
+ * @param {Number} options.version the version expected by the client, if any
+ * @param {Object} options.authUser the authenticated user
+ * @returns {Object} the rejected request
+ */
+async function rejectRequest(id, userId, options = {}) {
+  logger.debug(`Reject resource request ${id}`)
+  validateReason(options.reason)
+
+  const request = await getPendingRequest(id, 'reject', options)
+
+  return decideRequest(prisma, request, {
+    status: ResourceRequestStatus.Rejected,
+    reason: options.reason
+  }, userId)
+}
+
+/**
+ * Mark the pending requests past their expiry date as expired
+ * @returns {Number} the number of expired requests
+ */
+async function expireRequests() {
+  const now = new Date()
+  logger.debug(`Expire resource requests pending since before ${now.toISOString()}`)
+
+  const { count } = await prisma.resourceRequest.updateMany({
+    where: {
+      status: ResourceRequestStatus.Pending,
+      expiresAt: { lt: now }
+    },
+    data: {
+      status: ResourceRequestStatus.Expired,
+      updated: now,
+      version: { increment: 1 }
+    }
+  })
+
+  logger.info(`Expired ${count} resource request(s)`)
+  return count
+}
+
+/**
+ * Search requests, a non-admin caller gets their own requests
+ * unless they hold a role granting manage:resources on the challenge they filter on
+ * @param {Object} criteria the search criteria
+ * @param {Object} options the options
+ * @param {Object} options.authUser the authenticated user
+ * @returns {Object} the search result
+ */
+async function searchRequests(criteria, options = {}) {
+  logger.debug(`Search resource requests with ${JSON.stringify(criteria)}`)
+
+  const page = criteria.page || 1
+  const perPage = criteria.perPage || 20
+  const skip = (page - 1) * perPage
+
+  const whereConditions = _.pick(criteria, ['challengeId', 'memberId', 'roleId'])
+
+  if (!ResourceAuthorizationService.isTrusted(options.authUser) &&
+    !(criteria.challengeId && await canManageRequests(options.authUser, criteria.challengeId))) {
+    whereConditions.memberId = options.authUser.userId
+  }
+
+  // The pending requests past their expiry date are expired, even before the expiry job updates them
+  const now = new Date()
+  if (criteria.status === ResourceRequestStatus.Pending) {
+    _.assign(whereConditions, { status: ResourceRequestStatus.Pending, expiresAt: { gte: now } })
+  } else if (criteria.status === ResourceRequestStatus.Expired) {
+    whereConditions.OR = [
+      { status: ResourceRequestStatus.Expired },
+      { status: ResourceRequestStatus.Pending, expiresAt: { lt: now } }
+    ]
+  } else if (criteria.status) {
+    whereConditions.status = criteria.status
+  }
+
+  const totalCount = await prisma.resourceRequest.count({
+    where: whereConditions
+  })
+
+  const requests = await prisma.resourceRequest.findMany({
+    where: whereConditions,
+    include: { role: true },
+    skip,
+    take: perPage,
+    orderBy: {
+      created: 'asc'
+    }
+  })
+
+  return {
+    total: totalCount,
+    page,
+    perPage,
+    result: requests.map(transformRequest)
+  }
+}
+
+module.exports = {
+  getRequest,
+  createRequest,
+  approveRequest,
+  rejectRequest,
+  expireRequests,
+  searchRequests
+}
@@ -0,0 +1,93 @@
+/**
+ * Controller for resource role phase dependency endpoints
+ */
+const HttpStatus = require('http-status-codes')
+const service = require('../services/resource-role-phase-dependency-service')
+const helper = require('../common/helper')
+
+/**
+ * Search role phase dependencies
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getDependencies (req, res) {
+  const result = await service.searchDependencies(helper.toSearchCriteria(req.query))
+  helper.setResHeaders(req, res, result)
+  res.send(result.result)
+}
+
+/**
+ * Get the role x phase matrix of allowed phases
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getDependencyMatrix (req, res) {
+  res.send(await service.getDependencyMatrix(req.query))
+}
+
+/**
+ * Get role phase dependency
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getDependency (req, res) {
+  res.send(await service.getDependency(req.params.id))
+}
+
+/**
+ * Create role phase dependency
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function createDependency (req, res) {
+  const result = await service.createDependency(req.body)
+  res.status(HttpStatus.CREATED).send(result)
+}
+
+/**
+ * Fully update role phase dependency
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function updateDependency (req, res) {
+  res.send(await service.updateDependency(req.params.id, req.body, true))
+}
+
+/**
+ * Partially update role phase dependency
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function partiallyUpdateDependency (req, res) {
+  res.send(await service.updateDependency(req.params.id, req.body))
+}
+
+/**
+ * Delete role phase dependency
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function deleteDependency (req, res) {
+  await service.deleteDependency(req.params.id, req.actor)
+  res.status(HttpStatus.NO_CONTENT).end()
+}
+
+/**
+ * Set the phases a role is allowed in
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function setRolePhases (req, res) {
+  res.send(await service.setRolePhases(req.params.roleId, req.body.phaseIds, req.body.updatedBy))
+}
+
+module.exports = {
+  getDependencies,
+  getDependencyMatrix,
+  getDependency,
+  createDependency,
+  updateDependency,
+  partiallyUpdateDependency,
+  deleteDependency,
+  setRolePhases
+}
@@ -0,0 +1,426 @@
+/*
+ * Resource Role Phase Dependency Service built on the resource role phase repository
+ */
+
+const _ = require('lodash')
+const Joi = require('joi')
+const { PrismaClient } = require('@prisma/client')
+const logger = require('../common/logger')
+const errors = require('../common/errors')
+const helper = require('../common/helper')
+const AuditService = require('./audit-service')
+const repository = require('../repositories/resource-role-phase-repository')
+
+const prisma = new PrismaClient()
+
+/**
+ * Transform DB dependency to API dependency
+ * @param {Object} dependency the DB dependency
+ * @returns {Object} the API dependency
+ */
+function transformDependency(dependency) {
+  if (!dependency) return null
+
+  return _.pick(dependency, [
+    'id', 'resourceRoleId', 'phaseId', 'phaseType',
+    'created', 'createdBy', 'updated', 'updatedBy'
+  ])
+}
+
+/**
+ * Validate dependency to create
+ * @param {Object} dependency the dependency to validate
+ * @returns {undefined}
+ */
+function validateDependency(dependency) {
+  const schema = Joi.object().keys({
+    id: Joi.string().uuid(),
+    resourceRoleId: Joi.string().required(),
+    phaseId: Joi.string().required(),
+    phaseType: Joi.string().allow(null),
+    createdBy: Joi.string().required(),
+    updatedBy: Joi.string().allow(null)
+  }).required()
+
+  const { error } = schema.validate(dependency)
+  if (error) {
+    throw new errors.ValidationError(`Invalid dependency data: ${error.message}`)
+  }
+}
+
+/**
+ * Validate dependency data to update
+ * @param {Object} data the data to validate
+ * @param {Boolean} isFull whether all the fields are required
+ * @returns {undefined}
+ */
+function validateDependencyUpdate(data, isFull) {
+  const schema = Joi.object().keys({
+    resourceRoleId: isFull ? Joi.string().required() : Joi.string(),
+    phaseId: isFull ? Joi.string().required() : Joi.string(),
+    phaseType: Joi.string().allow(null),
+    updatedBy: Joi.string().required()
+  }).required()
+
+  const { error } = schema.validate(data)
+  if (error) {
+    throw new errors.ValidationError(`Invalid dependency data: ${error.message}`)
+  }
+}
+
+/**
+ * Ensure the role and the phase of a dependency exist
+ * @param {String} roleId the role id
+ * @param {String} phaseId the phase id
+ */
+async function ensureRoleAndPhaseExist(roleId, phaseId) {
+  const role = await prisma.role.findUnique({
+    where: { id: roleId }
+  })
+
+  if (!role) {
+    throw new errors.BadRequestError(`Role with id ${roleId} does not exist`)
+  }
+
+  const phase = await prisma.phase.findUnique({
+    where: { id: phaseId }
+  })
+
+  if (!phase) {
+    throw new errors.BadRequestError(`Phase with id ${phaseId} does not exist`)
+  }
+}
+
+/**
+ * Ensure there is no other dependency for the same role and phase
+ * @param {String} roleId the role id
+ * @param {String} phaseId the phase id
+ * @param {String} excludeId the id of the dependency being updated, if any
+ */
+async function ensureNotDuplicate(roleId, phaseId, excludeId) {
+  const whereCondition = {
+    resourceRoleId: roleId,
+    phaseId
+  }
+
+  if (excludeId) {
+    whereCondition.id = { not: excludeId }
+  }
+
+  const duplicate = await prisma.resourceRolePhaseDependency.findFirst({
+    where: whereCondition
+  })
+
+  if (duplicate) {
+    throw new errors.ConflictError(`Dependency for role ${roleId} and phase ${phaseId} already exists`)
+  }
+}
+
+/**
+ * Get dependency by id
+ * @param {String} id the dependency id
+ * @returns {Object} the dependency
+ */
+async function getDependency(id) {
+  logger.debug(`Get role phase dependency by id ${id}`)
+
+  const dependency = await repository.getById(id)
+  return transformDependency(dependency)
+}
+
+/**
+ * Create dependency
+ * @param {Object} dependency the dependency to create
+ * @returns {Object} the created dependency
+ */
+async function createDependency(dependency) {
+  logger.debug(`Create role phase dependency ${JSON.stringify(dependency)}`)
+  validateDependency(dependency)
+
+  await ensureRoleAndPhaseExist(dependency.resourceRoleId, dependency.phaseId)
+  await ensureNotDuplicate(dependency.resourceRoleId, dependency.phaseId)
+
+  const created = await prisma.$transaction(async (tx) => {
+    const result = await tx.resourceRolePhaseDependency.create({
+      data: {
+        id: dependency.id || helper.generateUUID(),
+        resourceRoleId: dependency.resourceRoleId,
+        phaseId: dependency.phaseId,
+        phaseType: dependency.phaseType,
+        createdBy: dependency.createdBy,
+        updatedBy: dependency.updatedBy
+      }
+    })
+
+    await AuditService.recordAudit(tx, {
+      entityType: AuditService.EntityType.RolePhaseDependency,
+      entityId: result.id,
+      action: AuditService.Action.Create,
+      actor: dependency.createdBy,
+      after: result
+    })
+
+    return result
+  })
+
+  return transformDependency(created)
+}
+
+/**
+ * Update dependency
+ * @param {String} id the dependency id
+ * @param {Object} data the data to update
+ * @param {Boolean} isFull whether to fully replace the dependency
+ * @returns {Object} the updated dependency
+ */
+async function updateDependency(id, data, isFull = false) {
+  logger.debug(`Update role phase dependency ${id} with ${JSON.stringify(data)}`)
+  validateDependencyUpdate(data, isFull)
+
+  const existingDependency = await repository.getById(id)
+
+  const roleId = data.resourceRoleId || existingDependency.resourceRoleId
+  const phaseId = data.phaseId || existingDependency.phaseId
+
+  if (roleId !== existingDependency.resourceRoleId || phaseId !== existingDependency.phaseId) {
+    await ensureRoleAndPhaseExist(roleId, phaseId)
+    await ensureNotDuplicate(roleId, phaseId, id)
+  }
+
+  let phaseType = _.isUndefined(data.phaseType) ? existingDependency.phaseType : data.phaseType
+  if (isFull && _.isUndefined(data.phaseType)) {
+    phaseType = null
+  }
+
+  const updated = await prisma.$transaction(async (tx) => {
+    const result = await tx.resourceRolePhaseDependency.update({
+      where: { id },
+      data: {
+        resourceRoleId: roleId,
+        phaseId,
+        phaseType,
+        updatedBy: data.updatedBy,
+        updated: new Date()
+      }
+    })
+
+    await AuditService.recordAudit(tx, {
+      entityType: AuditService.EntityType.RolePhaseDependency,
+      entityId: id,
+      action: AuditService.Action.Update,
+      actor: data.updatedBy,
+      before: existingDependency,
+      after: result
+    })
+
+    return result
+  })
+
+  return transformDependency(updated)
+}
+
+/**
+ * Delete dependency
+ * @param {String} id the dependency id
+ * @param {String} userId the user id
+ */
+async function deleteDependency(id, userId) {
+  logger.debug(`Delete role phase dependency ${id}`)
+
+  const existingDependency = await repository.getById(id)
+
+  await prisma.$transaction(async (tx) => {
+    await tx.resourceRolePhaseDependency.delete({
+      where: { id }
+    })
+
+    await AuditService.recordAudit(tx, {
+      entityType: AuditService.EntityType.RolePhaseDependency,
+      entityId: id,
+      action: AuditService.Action.Delete,
+      actor: userId,
+      before: existingDependency
+    })
+  })
+}
+
+/**
+ * Search dependencies
+ * @param {Object} criteria the search criteria
+ * @returns {Object} the search result
+ */
+async function searchDependencies(criteria) {
+  logger.debug(`Search role phase dependencies with ${JSON.stringify(criteria)}`)
+
+  const result = await repository.search({
+    page: criteria.page || 1,
+    perPage: criteria.perPage || 20,
+    resourceRoleId: criteria.resourceRoleId,
+    phaseId: criteria.phaseId,
+    phaseType: criteria.phaseType
+  })
+
+  return {
+    total: result.total,
+    page: result.page,
+    perPage: result.perPage,
+    result: result.items.map(transformDependency)
+  }
+}
+
+/**
+ * Set the phases a role is allowed in, replacing the existing dependencies of the role
+ * @param {String} roleId the role id
+ * @param {Array} phaseIds the allowed phase ids
+ * @param {String} userId the user id
+ * @returns {Array} the dependencies of the role
+ */
+async function setRolePhases(roleId, phaseIds, userId) {
+  logger.debug(`Set allowed phases ${JSON.stringify(phaseIds)} for role ${roleId}`)
+
+  const schema = Joi.object().keys({
+    roleId: Joi.string().required(),
+    phaseIds: Joi.array().items(Joi.string()).unique().required(),
+    userId: Joi.string().required()
+  })
+
+  const { error } = schema.validate({ roleId, phaseIds, userId })
+  if (error) {
+    throw new errors.ValidationError(`Invalid role phases data: ${error.message}`)
+  }
+
+  const role = await prisma.role.findUnique({
+    where: { id: roleId }
+  })
+
+  if (!role) {
+    throw new errors.NotFoundError(`Role with id ${roleId} not found`)
+  }
+
+  const phases = await prisma.phase.findMany({
+    where: { id: { in: phaseIds } }
+  })
+
+  const missingPhaseIds = _.difference(phaseIds, phases.map(phase => phase.id))
+  if (missingPhaseIds.length > 0) {
+    throw new errors.BadRequestError(`Phases with ids ${missingPhaseIds.join(', ')} do not exist`)
+  }
+
+  const dependencies = await prisma.$transaction(async (tx) => {
+    const existingDependencies = await tx.resourceRolePhaseDependency.findMany({
+      where: { resourceRoleId: roleId }
+    })
+    const existingPhaseIds = existingDependencies.map(dependency => dependency.phaseId)
+
+    // Remove the phases that are no longer allowed
+    await tx.resourceRolePhaseDependency.deleteMany({
+      where: {
+        resourceRoleId: roleId,
+        phaseId: { notIn: phaseIds }
+      }
+    })
+
+    // Add the newly allowed phases
+    const newDependencies = _.difference(phaseIds, existingPhaseIds).map(phaseId => ({
+      id: helper.generateUUID(),
+      resourceRoleId: roleId,
+      phaseId,
+      createdBy: userId,
+      updatedBy: userId
+    }))
+    if (newDependencies.length > 0) {
+      await tx.resourceRolePhaseDependency.createMany({
+        data: newDependencies
+      })
+    }
+
+    const removedDependencies = existingDependencies.filter(dependency => !phaseIds.includes(dependency.phaseId))
+    await AuditService.recordAudits(tx, [
+      ...removedDependencies.map(dependency => ({
+        entityType: AuditService.EntityType.RolePhaseDependency,
+        entityId: dependency.id,
+        action: AuditService.Action.Delete,
+        actor: userId,
+        before: dependency
+      })),
+      ...newDependencies.map(dependency => ({
+        entityType: AuditService.EntityType.RolePhaseDependency,
+        entityId: dependency.id,
+        action: AuditService.Action.Create,
+        actor: userId,
+        after: dependency
+      }))
+    ])
+
+    return tx.resourceRolePhaseDependency.findMany({
+      where: { resourceRoleId: roleId },
+      orderBy: { created: 'asc' }
+    })
+  })
+
+  return dependencies.map(transformDependency)
+}
+
+/**
+ * Get the role x phase matrix of allowed phases,
+ * a role is allowed in the phases of its ancestors as well
+ * @param {Object} criteria the criteria to filter the roles and phases
+ * @returns {Object} the matrix
+ */
+async function getDependencyMatrix(criteria) {
+  logger.debug(`Get role phase dependency matrix with ${JSON.stringify(criteria)}`)
+
+  const phaseWhere = {}
+  if (criteria.phaseId) {
+    phaseWhere.id = criteria.phaseId
+  }
+
+  // All the roles are loaded, the ancestors of the matrix roles are needed for the inherited phases
+  const [allRoles, phases, dependencies] = await Promise.all([
+    prisma.role.findMany({ orderBy: { name: 'asc' } }),
+    prisma.phase.findMany({ where: phaseWhere, orderBy: { name: 'asc' } }),
+    prisma.resourceRolePhaseDependency.findMany({
+      where: {
+        phaseId: criteria.phaseId
+      }
+    })
+  ])
+
+  const rolesById = _.keyBy(allRoles, 'id')
+  const allowed = new Set(dependencies.map(dependency => `${dependency.resourceRoleId}:${dependency.phaseId}`))
+  const roles = criteria.roleId ? allRoles.filter(role => role.id === criteria.roleId) : allRoles
+
+  return {
+    phases: phases.map(phase => _.pick(phase, ['id', 'name'])),
+    roles: roles.map(role => {
+      // The role followed by its ancestors, a cyclic hierarchy is cut where it loops
+      const chain = []
+      for (let chainRole = role; chainRole && !chain.includes(chainRole); chainRole = rolesById[chainRole.parentId]) {
+        chain.push(chainRole)
+      }
+
+      return {
+        id: role.id,
+        name: role.name,
+        phases: phases.map(phase => {
+          const allowingRole = _.find(chain, chainRole => allowed.has(`${chainRole.id}:${phase.id}`))
+          return {
+            phaseId: phase.id,
+            allowed: !!allowingRole,
+            inheritedFrom: allowingRole && allowingRole.id !== role.id ? allowingRole.id : null
+          }
+        })
+      }
+    })
+  }
+}
+
+module.exports = {
+  getDependency,
+  createDependency,
+  updateDependency,
+  deleteDependency,
+  searchDependencies,
+  setRolePhases,
+  getDependencyMatrix
+}
@@ -9,6 +9,15 @@ const { PrismaClient } = require('@prisma/client')
 const helper = require('../common/helper')
 const logger = require('../common/logger')
 const errors = require('../common/errors')
+const { isAdmin } = require('../common/auth-middleware')
+const { ResourcePhaseStatus } = require('../constants')
+const ResourceDependencyService = require('./resource-dependency-service')
+const AuditService = require('./audit-service')
+const ResourceAuthorizationService = require('./resource-authorization-service')
+const RoleService = require('./role-service')
+const PhaseTemplateService = require('./phase-template-service')
+const RoleQuotaService = require('./role-quota-service')
+const RoleExclusionService = require('./role-exclusion-service')
 
 const prisma = new PrismaClient()
 
@@ -45,9 +54,13 @@ function transformResource(resource, includeRole = false, includePhases = false)
 
   const result = _.pick(resource, [
     'id', 'challengeId', 'memberId', 'memberHandle', 'roleId',
-    'created', 'createdBy', 'updated', 'updatedBy', 'legacyId'
+    'created', 'createdBy', 'updated', 'updatedBy', 'version', 'legacyId'
   ])
 
+  if (resource.deleted) {
+    _.assign(result, _.pick(resource, ['deleted', 'deletedAt', 'deletedBy']))
+  }
+
   if (includeRole && resource.role) {
     result.role = _.pick(resource.role, [
       'id', 'name', 'fullAccess', 'selfObtainable'
@@ -57,13 +70,19 @@ function transformResource(resource, includeRole = false, includePhases = false)
   if (includePhases && resource.resourcePhases) {
     result.phases = resource.resourcePhases.map(rp => {
       const phase = _.pick(rp.phase, ['id', 'name', 'description'])
-      return phase
+      return _.assign(phase, _.pick(rp, ['effectiveFrom', 'effectiveTo', 'completionStatus', 'completedAt', 'completedBy']))
     })
   }
 
   return result
 }
 
+// The phases of a template from a step on, assigned instead of listing the phase ids
+const phasesFromSchema = Joi.object().keys({
+  templateId: Joi.string().required(),
+  fromStep: Joi.number().integer().min(1).required()
+})
+
 /**
  * Validate resource
  * @param {Object} resource the resource to validate
@@ -81,8 +100,9 @@ function validateResource(resource) {
     updated: Joi.date(),
     updatedBy: Joi.string().allow(null),
     legacyId: Joi.string().allow(null),
-    phases: Joi.array().items(Joi.string().uuid())
-  }).required()
+    phases: Joi.array().items(Joi.string().uuid()),
+    phasesFrom: phasesFromSchema
+  }).oxor('phases', 'phasesFrom').required()
 
   const { error } = schema.validate(resource)
   if (error) {
@@ -95,6 +115,74 @@ function validateResource(resource) {
   }
 }
 
+/**
+ * Validate resource data to update
+ * @param {Object} data the data to validate
+ * @param {Boolean} isFull whether the data fully replaces the resource
+ * @returns {undefined}
+ */
+function validateResourceUpdate(data, isFull) {
+  const schema = Joi.object().keys({
+    challengeId: Joi.string().allow(null),
+    memberId: Joi.string().allow(null),
+    memberHandle: Joi.string().allow(null),
+    roleId: isFull ? Joi.string().required() : Joi.string(),
+    updatedBy: Joi.string().required(),
+    legacyId: Joi.string().allow(null),
+    phases: Joi.array().items(Joi.string().uuid()).allow(null),
+    phasesFrom: phasesFromSchema
+  }).oxor('phases', 'phasesFrom').required()
+
+  const { error } = schema.validate(data)
+  if (error) {
+    throw new errors.ValidationError(`Invalid resource data: ${error.message}`)
+  }
+}
+
+/**
+ * Replace the phases of a template from a step on by the phase ids, if they are used instead of the phase ids
+ * @param {Object} resource the validated resource or resource data to update
+ */
+async function resolveTemplatePhases(resource) {
+  if (resource.phasesFrom) {
+    resource.phases = await PhaseTemplateService.getPhaseIdsFromStep(resource.phasesFrom.templateId, resource.phasesFrom.fromStep)
+    delete resource.phasesFrom
+  }
+}
+
+/**
+ * Record the phases attached to and detached from a resource in its audit history
+ * @param {Object} tx the Prisma transaction client
+ * @param {String} resourceId the resource id
+ * @param {Array} oldPhaseIds the phase ids before the change
+ * @param {Array} newPhaseIds the phase ids after the change
+ * @param {String} userId the user id
+ */
+async function recordPhaseChanges(tx, resourceId, oldPhaseIds, newPhaseIds, userId) {
+  const detachedPhaseIds = _.difference(oldPhaseIds, newPhaseIds)
+  const attachedPhaseIds = _.difference(newPhaseIds, oldPhaseIds)
+
+  if (detachedPhaseIds.length > 0) {
+    await AuditService.recordAudit(tx, {
+      entityType: AuditService.EntityType.Resource,
+      entityId: resourceId,
+      action: AuditService.Action.PhaseDetach,
+      actor: userId,
+      before: { phases: detachedPhaseIds }
+    })
+  }
+
+  if (attachedPhaseIds.length > 0) {
+    await AuditService.recordAudit(tx, {
+      entityType: AuditService.EntityType.Resource,
+      entityId: resourceId,
+      action: AuditService.Action.PhaseAttach,
+      actor: userId,
+      after: { phases: attachedPhaseIds }
+    })
+  }
+}
+
 /**
  * Get resource by id
  * @param {String} id the resource id
@@ -117,7 +205,7 @@ async function getResource(id, includeRole = false, includePhases = false) {
     }
   })
 
-  if (!resource) {
+  if (!resource || resource.deleted) {
     throw new errors.NotFoundError(`Resource with id ${id} not found`)
   }
 
@@ -125,13 +213,161 @@ async function getResource(id, includeRole = false, includePhases = false) {
 }
 
 /**
- * Create resource
+ * Ensure a role can be assigned to new resources, inactive roles are only kept by the existing resources
+ * @param {Object} role the role
+ */
+function ensureRoleActive(role) {
+  if (!role.isActive) {
+    throw new errors.BadRequestError(`Role ${role.name} is inactive and can not be assigned`)
+  }
+}
+
+/**
+ * Build the condition matching the resources that duplicate the given resource
+ * @param {Object} resource the resource
+ * @returns {Object} the where condition
+ */
+function buildDuplicateCondition(resource) {
+  const whereCondition = {
+    roleId: resource.roleId,
+    deleted: false
+  }
+
+  if (resource.challengeId) {
+    whereCondition.challengeId = resource.challengeId
+  }
+
+  if (resource.memberId) {
+    whereCondition.memberId = resource.memberId
+  }
+
+  return whereCondition
+}
+
+/**
+ * Check whether an existing resource duplicates the given resource
+ * @param {Object} existingResource the existing resource
+ * @param {Object} resource the resource
+ * @returns {Boolean} whether the resources are duplicates
+ */
+function isDuplicate(existingResource, resource) {
+  return _.isMatch(existingResource, _.omit(buildDuplicateCondition(resource), 'deleted'))
+}
+
+/**
+ * Insert a validated resource with its phases, and record it in the audit history
+ * @param {Object} tx the Prisma transaction client
+ * @param {Object} resource the resource to insert
+ * @param {Array} phaseIds the phase ids
+ * @returns {Object} the created DB resource
+ */
+async function insertResource(tx, resource, phaseIds) {
+  // Build DB model
+  const dbResource = buildDBResource(resource)
+
+  // If id is not provided, generate one
+  if (!dbResource.id) {
+    dbResource.id = helper.generateUUID()
+  }
+
+  // Create resource
+  const created = await tx.resource.create({
+    data: dbResource
+  })
+
+  // Create resource phases if provided
+  if (phaseIds.length > 0) {
+    const resourcePhases = phaseIds.map(phaseId => {
+      return {
+        id: helper.generateUUID(),
+        resourceId: created.id,
+        phaseId,
+        created: new Date(),
+        createdBy: resource.createdBy,
+        updated: new Date(),
+        updatedBy: resource.updatedBy
+      }
+    })
+
+    await tx.resourcePhase.createMany({
+      data: resourcePhases
+    })
+  }
+
+  await AuditService.recordAudit(tx, {
+    entityType: AuditService.EntityType.Resource,
+    entityId: created.id,
+    action: AuditService.Action.Create,
+    actor: resource.createdBy,
+    after: _.assign(transformResource(created), { phases: phaseIds })
+  })
+
+  return created
+}
+
+/**
+ * Insert validated resources with their phases in batches, and record them in the audit history.
+ * Unlike insertResource the number of queries does not grow with the number of resources.
+ * @param {Object} tx the Prisma transaction client
+ * @param {Array} items the resources to insert, each with its resource and phaseIds
+ * @returns {Array} the created DB resources
+ */
+async function insertResources(tx, items) {
+  if (items.length === 0) {
+    return []
+  }
+
+  const dbResources = items.map(({ resource }) => _.assign(buildDBResource(resource), {
+    id: resource.id || helper.generateUUID()
+  }))
+
+  await tx.resource.createMany({
+    data: dbResources
+  })
+
+  const resourcePhases = _.flatMap(items, ({ resource, phaseIds }, index) => phaseIds.map(phaseId => ({
+    id: helper.generateUUID(),
+    resourceId: dbResources[index].id,
+    phaseId,
+    created: new Date(),
+    createdBy: resource.createdBy,
+    updated: new Date(),
+    updatedBy: resource.updatedBy
+  })))
+
+  if (resourcePhases.length > 0) {
+    await tx.resourcePhase.createMany({
+      data: resourcePhases
+    })
+  }
+
+  const created = await tx.resource.findMany({
+    where: { id: { in: dbResources.map(resource => resource.id) } }
+  })
+  const createdById = _.keyBy(created, 'id')
+
+  await AuditService.recordAudits(tx, items.map(({ resource, phaseIds }, index) => ({
+    entityType: AuditService.EntityType.Resource,
+    entityId: dbResources[index].id,
+    action: AuditService.Action.Create,
+    actor: resource.createdBy,
+    after: _.assign(transformResource(createdById[dbResources[index].id]), { phases: phaseIds })
+  })))
+
+  return dbResources.map(resource => createdById[resource.id])
+}
+
+/**
+ * Validate a resource to create and ensure the caller may create it, before the transaction inserting it
  * @param {Object} resource the resource to create
- * @returns {Object} the created resource
+ * @param {Object} options the create options
+ * @param {Object} options.authUser the authenticated user
+ * @param {Boolean} options.internal whether the resource is created by the API itself, without access check
+ * @returns {Object} the prepared resource, with the resource without its phases and the phase ids
  */
-async function createResource(resource) {
-  logger.debug(`Create resource ${JSON.stringify(resource)}`)
+async function prepareResource(resource, options = {}) {
   validateResource(resource)
+  await resolveTemplatePhases(resource)
 
   // Check if role exists
   const role = await prisma.role.findUnique({
@@ -142,21 +378,15 @@ async function createResource(resource) {
     throw new errors.BadRequestError(`Role with id ${resource.roleId} does not exist`)
   }
 
-  // Check if the resource with same challengeId, memberId and roleId already exists
-  const whereCondition = {
-    roleId: resource.roleId
-  }
-
-  if (resource.challengeId) {
-    whereCondition.challengeId = resource.challengeId
-  }
+  ensureRoleActive(role)
 
-  if (resource.memberId) {
-    whereCondition.memberId = resource.memberId
+  if (!options.internal) {
+    await ResourceAuthorizationService.checkCreateAccess(options.authUser, resource, role)
   }
 
+  // Check if the resource with same challengeId, memberId and roleId already exists
   const existingResource = await prisma.resource.findFirst({
-    where: whereCondition
+    where: buildDuplicateCondition(resource)
   })
 
   if (existingResource) {
@@ -167,161 +397,211 @@ async function createResource(resource) {
   const phaseIds = resource.phases || []
   delete resource.phases
 
-  // Build DB model
-  const dbResource = buildDBResource(resource)
-  
-  // If id is not provided, generate one
-  if (!dbResource.id) {
-    dbResource.id = helper.generateUUID()
-  }
+  // Ensure the role is allowed in the phases
+  await ResourceDependencyService.ensureRolePhasesDependency(resource.roleId, phaseIds)
 
-  // Create resource with transaction to handle phases
-  const result = await prisma.$transaction(async (tx) => {
-    // Create resource
-    const created = await tx.resource.create({
-      data: dbResource
-    })
-    
-    // Create resource phases if provided
-    if (phaseIds.length > 0) {
-      const resourcePhases = phaseIds.map(phaseId => {
-        return {
-          id: helper.generateUUID(),
-          resourceId: created.id,
-          phaseId,
-          created: new Date(),
-          createdBy: resource.createdBy,
-          updated: new Date(),
-          updatedBy: resource.updatedBy
-        }
-      })
-      
-      await tx.resourcePhase.createMany({
-        data: resourcePhases
-      })
-    }
-    
-    // Return resource with phases if requested
-    return tx.resource.findUnique({
-      where: { id: created.id },
-      include: {
-        role: true,
-        resourcePhases: {
-          include: {
-            phase: true
-          }
+  return { resource, phaseIds }
+}
+
+/**
+ * Insert a prepared resource with its phases, once the exclusion rules and the role quota are checked.
+ * It must be called in a transaction, so that the resource is created with the other changes of the transaction or not at all.
+ * @param {Object} tx the Prisma transaction client
+ * @param {Object} prepared the resource prepared by prepareResource
+ * @returns {Object} the created resource
+ */
+async function createPreparedResource(tx, prepared) {
+  const { resource, phaseIds } = prepared
+  await RoleExclusionService.ensureNoExclusion(tx, resource)
+  await RoleQuotaService.ensureRoleQuota(tx, resource.challengeId, resource.roleId)
+  const created = await insertResource(tx, resource, phaseIds)
+
+  const result = await tx.resource.findUnique({
+    where: { id: created.id },
+    include: {
+      role: true,
+      resourcePhases: {
+        include: {
+          phase: true
         }
       }
-    })
+    }
   })
 
   return transformResource(result, true, true)
 }
 
 /**
- * Update resource
- * @param {String} id the resource id
- * @param {Object} data the data to update
- * @returns {Object} the updated resource
+ * Create resource
+ * @param {Object} resource the resource to create
+ * @param {Object} options the create options
+ * @param {Object} options.authUser the authenticated user
+ * @param {Boolean} options.internal whether the resource is created by the API itself, without access check
+ * @returns {Object} the created resource
  */
-async function updateResource(id, data) {
-  logger.debug(`Update resource ${id} with ${JSON.stringify(data)}`)
-  
-  // Get existing resource
-  const existingResource = await prisma.resource.findUnique({
-    where: { id }
+async function createResource(resource, options = {}) {
+  logger.debug(`Create resource ${JSON.stringify(resource)}`)
+  const prepared = await prepareResource(resource, options)
+
+  return prisma.$transaction(tx => createPreparedResource(tx, prepared))
+}
+
+/**
+ * Convert an error to the error reported for an item of a bulk operation
+ * @param {Error} error the error
+ * @returns {Object} the item error
+ */
+function toItemError(error) {
+  return _.omitBy({
+    name: error.name,
+    message: error.message,
+    details: error.details
+  }, _.isUndefined)
+}
+
+/**
+ * Create resources in bulk.
+ * In atomic mode no resource is created if any of them is invalid,
+ * in partial mode the valid resources are created and the invalid ones are reported.
+ * @param {Array} resources the resources to create
+ * @param {String} mode the bulk mode, 'atomic' or 'partial'
+ * @returns {Object} the bulk result with the status and error of each item
+ */
+async function createResources(resources, mode = 'atomic') {
+  logger.debug(`Create ${_.size(resources)} resources in ${mode} mode`)
+
+  const schema = Joi.object().keys({
+    resources: Joi.array().items(Joi.object()).min(1).max(config.MAX_BULK_RESOURCES || 500).required(),
+    mode: Joi.string().valid('atomic', 'partial').required()
   })
 
-  if (!existingResource) {
-    throw new errors.NotFoundError(`Resource with id ${id} not found`)
+  const { error } = schema.validate({ resources, mode })
+  if (error) {
+    throw new errors.ValidationError(`Invalid bulk resources data: ${error.message}`)
   }
 
-  // Check if role exists if roleId is provided
-  if (data.roleId) {
-    const role = await prisma.role.findUnique({
-      where: { id: data.roleId }
-    })
+  const results = resources.map((resource, index) => ({ index, status: 'pending', resource }))
 
-    if (!role) {
-      throw new errors.BadRequestError(`Role with id ${data.roleId} does not exist`)
+  // Validate each item with the same rules as a single resource
+  for (const item of results) {
+    try {
+      validateResource(item.resource)
+      await resolveTemplatePhases(item.resource)
+    } catch (e) {
+      _.assign(item, { status: 'failed', error: toItemError(e) })
     }
   }
 
-  // Check if the resource with same challengeId, memberId and roleId already exists
-  if (data.challengeId || data.memberId || data.roleId) {
-    const whereCondition = {
-      roleId: data.roleId || existingResource.roleId,
-      id: { not: id }
-    }
+  const pendingItems = () => results.filter(item => item.status === 'pending')
 
-    if (data.challengeId || existingResource.challengeId) {
-      whereCondition.challengeId = data.challengeId || existingResource.challengeId
+  // Check the roles in one query
+  const roleIds = _.uniq(pendingItems().map(item => item.resource.roleId))
+  const roles = await prisma.role.findMany({
+    where: { id: { in: roleIds } }
+  })
+  for (const item of pendingItems()) {
+    const role = _.find(roles, { id: item.resource.roleId })
+    try {
+      if (!role) {
+        throw new errors.BadRequestError(`Role with id ${item.resource.roleId} does not exist`)
+      }
+      ensureRoleActive(role)
+    } catch (e) {
+      _.assign(item, { status: 'failed', error: toItemError(e) })
     }
+  }
 
-    if (data.memberId || existingResource.memberId) {
-      whereCondition.memberId = data.memberId || existingResource.memberId
+  // Check the duplicates, against the existing resources in one query and inside the batch
+  const duplicateConditions = pendingItems().map(item => buildDuplicateCondition(item.resource))
+  const existingResources = duplicateConditions.length > 0
+    ? await prisma.resource.findMany({ where: { OR: duplicateConditions } })
+    : []
+  const accepted = []
+  for (const item of pendingItems()) {
+    if (_.some(existingResources, existing => isDuplicate(existing, item.resource)) ||
+      _.some(accepted, other => isDuplicate(other, item.resource))) {
+      _.assign(item, {
+        status: 'failed',
+        error: toItemError(new errors.ConflictError('Resource with the same challengeId/memberId and roleId already exists'))
+      })
+    } else {
+      accepted.push(_.pick(item.resource, ['challengeId', 'memberId', 'roleId']))
     }
+  }
 
-    const duplicateResource = await prisma.resource.findFirst({
-      where: whereCondition
-    })
-
-    if (duplicateResource) {
-      throw new errors.ConflictError('Resource with the same challengeId/memberId and roleId already exists')
+  // Check the exclusion rules inside the batch, they are checked against the existing resources in the transaction
+  const acceptedRoles = []
+  for (const item of pendingItems()) {
+    try {
+      if (item.resource.challengeId && item.resource.memberId) {
+        const excludedRoleIds = await RoleExclusionService.getExcludedRoleIds(item.resource.roleId)
+        const conflicting = _.find(acceptedRoles, other => other.challengeId === item.resource.challengeId &&
+          other.memberId === item.resource.memberId && _.includes(excludedRoleIds, other.roleId))
+        if (conflicting) {
+          throw new errors.ConflictError(`Member ${item.resource.memberId} can not hold role ${item.resource.roleId} together with role ${conflicting.roleId} on challenge ${item.resource.challengeId}`)
+        }
+      }
+      acceptedRoles.push(_.pick(item.resource, ['challengeId', 'memberId', 'roleId']))
+    } catch (e) {
+      _.assign(item, { status: 'failed', error: toItemError(e) })
     }
   }
 
-  // Extract phase ids for later use
-  const phaseIds = data.phases || []
-  delete data.phases
+  // Ensure the roles are allowed in the phases
+  for (const item of pendingItems()) {
+    try {
+      await ResourceDependencyService.ensureRolePhasesDependency(item.resource.roleId, item.resource.phases)
+    } catch (e) {
+      _.assign(item, { status: 'failed', error: toItemError(e) })
+    }
+  }
 
-  // Prepare data for update
-  const updateData = {
-    challengeId: _.isUndefined(data.challengeId) ? existingResource.challengeId : data.challengeId,
-    memberId: _.isUndefined(data.memberId) ? existingResource.memberId : data.memberId,
-    memberHandle: _.isUndefined(data.memberHandle) ? existingResource.memberHandle : data.memberHandle,
-    roleId: data.roleId || existingResource.roleId,
-    updated: new Date(),
-    updatedBy: data.updatedBy || existingResource.updatedBy,
-    legacyId: _.isUndefined(data.legacyId) ? existingResource.legacyId : data.legacyId
+  const skipPending = () => {
+    for (const item of pendingItems()) {
+      item.status = 'skipped'
+    }
   }
 
-  // Update resource with transaction to handle phases
-  const result = await prisma.$transaction(async (tx) => {
-    // Update resource
-    const updated = await tx.resource.update({
-      where: { id },
-      data: updateData
-    })
-    
-    // Update resource phases if provided
-    if (phaseIds.length > 0) {
-      // Delete existing resource phases
-      await tx.resourcePhase.deleteMany({
-        where: { resourceId: id }
-      })
-      
-      // Create new resource phases
-      const resourcePhases = phaseIds.map(phaseId => {
-        return {
-          id: helper.generateUUID(),
-          resourceId: id,
-          phaseId,
-          created: new Date(),
-          createdBy: data.updatedBy || existingResource.updatedBy,
-          updated: new Date(),
-          updatedBy: data.updatedBy || existingResource.updatedBy
+  if (mode === 'atomic' && pendingItems().length < results.length) {
+    skipPending()
+  } else if (pendingItems().length > 0) {
+    // The exclusion rules and the role quotas are checked in the transaction, a conflict fails the item
+    // and in atomic mode rolls back the whole batch
+    let createdItems = []
+    let conflictError
+    try {
+      createdItems = await prisma.$transaction(async (tx) => {
+        const created = []
+        for (const item of pendingItems()) {
+          try {
+            await RoleExclusionService.ensureNoExclusion(tx, item.resource)
+            await RoleQuotaService.ensureRoleQuota(tx, item.resource.challengeId, item.resource.roleId)
+          } catch (e) {
+            if (!(e instanceof errors.ConflictError)) {
+              throw e
+            }
+            _.assign(item, { status: 'failed', error: toItemError(e) })
+            if (mode === 'atomic') {
+              conflictError = e
+              throw e
+            }
+            continue
+          }
+          const resource = await insertResource(tx, _.omit(item.resource, 'phases'), item.resource.phases || [])
+          created.push({ item, id: resource.id })
         }
+        return created
       })
-      
-      await tx.resourcePhase.createMany({
-        data: resourcePhases
-      })
+    } catch (e) {
+      if (e !== conflictError) {
+        throw e
+      }
+      skipPending()
     }
-    
-    // Return resource with phases
-    return tx.resource.findUnique({
-      where: { id },
+    const createdIds = createdItems.map(created => created.id)
+
+    const createdResources = await prisma.resource.findMany({
+      where: { id: { in: createdIds } },
       include: {
         role: true,
         resourcePhases: {
@@ -331,46 +611,1275 @@ async function updateResource(id, data) {
         }
       }
     })
-  })
 
-  return transformResource(result, true, true)
+    for (const { item, id } of createdItems) {
+      _.assign(item, {
+        status: 'created',
+        resource: transformResource(_.find(createdResources, { id }), true, true)
+      })
+    }
+  }
+
+  return {
+    mode,
+    total: results.length,
+    created: _.filter(results, { status: 'created' }).length,
+    failed: _.filter(results, { status: 'failed' }).length,
+    results: results.map(item => item.status === 'created' ? item : _.omit(item, 'resource'))
+  }
 }
 
 /**
- * Delete resource
- * @param {String} id the resource id
+ * Copy the resources of a challenge, with their phases, to another challenge.
+ * The resources that already exist in the target challenge or whose role is no longer allowed
+ * in their phases are skipped.
+ * @param {Object} data the copy data
+ * @param {String} data.sourceChallengeId the challenge to copy the resources from
+ * @param {String} data.targetChallengeId the challenge to copy the resources to
+ * @param {Array} data.roleIds the roles of the resources to copy, all roles if not provided
+ * @param {String} data.createdBy the user id
+ * @returns {Object} the copied and the skipped resources
  */
-async function deleteResource(id) {
-  logger.debug(`Delete resource ${id}`)
+async function copyResources(data) {
+  logger.debug(`Copy resources ${JSON.stringify(data)}`)
 
-  const existingResource = await prisma.resource.findUnique({
-    where: { id }
-  })
+  const schema = Joi.object().keys({
+    sourceChallengeId: Joi.string().required(),
+    targetChallengeId: Joi.string().invalid(Joi.ref('sourceChallengeId')).required(),
+    roleIds: Joi.array().items(Joi.string()).min(1),
+    createdBy: Joi.string().required()
+  }).required()
 
-  if (!existingResource) {
-    throw new errors.NotFoundError(`Resource with id ${id} not found`)
+  const { error } = schema.validate(data)
+  if (error) {
+    throw new errors.ValidationError(`Invalid copy resources data: ${error.message}`)
   }
 
-  // Delete resource - thanks to onDelete: Cascade in the schema, all related resourcePhases will be deleted
-  await prisma.resource.delete({
-    where: { id }
+  const whereConditions = {
+    challengeId: data.sourceChallengeId,
+    deleted: false
+  }
+  if (data.roleIds) {
+    whereConditions.roleId = { in: data.roleIds }
+  }
+
+  const sourceResources = await prisma.resource.findMany({
+    where: whereConditions,
+    include: {
+      role: true,
+      resourcePhases: true
+    },
+    orderBy: {
+      created: 'asc'
+    }
   })
-}
 
-/**
- * Search resources
- * @param {Object} criteria the search criteria
- * @returns {Object} the search result
- */
-async function searchResources(criteria) {
-  logger.debug(`Search resources with ${JSON.stringify(criteria)}`)
-  
-  const page = criteria.page || 1
+  const targetResources = await prisma.resource.findMany({
+    where: {
+      challengeId: data.targetChallengeId,
+      deleted: false
+    }
+  })
+
+  const toCopy = []
+  const skipped = []
+  for (const sourceResource of sourceResources) {
+    const resource = {
+      challengeId: data.targetChallengeId,
+      memberId: sourceResource.memberId,
+      memberHandle: sourceResource.memberHandle,
+      roleId: sourceResource.roleId,
+      createdBy: data.createdBy,
+      updatedBy: data.createdBy
+    }
+    const phaseIds = sourceResource.resourcePhases.map(rp => rp.phaseId)
+    const skip = (e) => skipped.push(_.assign(_.pick(resource, ['memberId', 'memberHandle', 'roleId']), {
+      sourceResourceId: sourceResource.id,
+      error: toItemError(e)
+    }))
+
+    if (_.some(targetResources, existing => isDuplicate(existing, resource))) {
+      skip(new errors.ConflictError('Resource with the same challengeId/memberId and roleId already exists'))
+      continue
+    }
+
+    try {
+      ensureRoleActive(sourceResource.role)
+      await ResourceDependencyService.ensureRolePhasesDependency(resource.roleId, phaseIds)
+    } catch (e) {
+      skip(e)
+      continue
+    }
+
+    toCopy.push({ resource, phaseIds, skip })
+  }
+
+  const createdIds = await prisma.$transaction(async (tx) => {
+    const ids = []
+    for (const { resource, phaseIds, skip } of toCopy) {
+      // The members holding a role excluded with the copied role are skipped, a full role fails the copy
+      try {
+        await RoleExclusionService.ensureNoExclusion(tx, resource)
+      } catch (e) {
+        if (!(e instanceof errors.ConflictError)) {
+          throw e
+        }
+        skip(e)
+        continue
+      }
+      await RoleQuotaService.ensureRoleQuota(tx, resource.challengeId, resource.roleId)
+      const created = await insertResource(tx, resource, phaseIds)
+      ids.push(created.id)
+    }
+    return ids
+  })
+
+  const copiedResources = await prisma.resource.findMany({
+    where: { id: { in: createdIds } },
+    include: {
+      role: true,
+      resourcePhases: {
+        include: {
+          phase: true
+        }
+      }
+    },
+    orderBy: {
+      created: 'asc'
+    }
+  })
+
+  return {
+    sourceChallengeId: data.sourceChallengeId,
+    targetChallengeId: data.targetChallengeId,
+    copied: copiedResources.map(resource => transformResource(resource, true, true)),
+    skipped
+  }
+}
+
+/**
+ * Update resource.
+ * A full update (PUT) replaces the resource: the omitted fields are cleared and the omitted phases are removed.
+ * A partial update (PATCH) follows JSON Merge Patch (RFC 7396): the omitted fields are left unchanged,
+ * null clears a field and an empty phases array removes all the phases.
+ * @param {String} id the resource id
+ * @param {Object} data the data to update
+ * @param {Object} options the update options
+ * @param {Boolean} options.isFull whether to fully replace the resource
+ * @param {Number} options.version the version expected by the client, if any
+ * @param {Object} options.authUser the authenticated user
+ * @returns {Object} the updated resource
+ */
+async function updateResource(id, data, options = {}) {
+  logger.debug(`Update resource ${id} with ${JSON.stringify(data)}`)
+  validateResourceUpdate(data, options.isFull)
+  await resolveTemplatePhases(data)
+  
+  // Get existing resource
+  const existingResource = await prisma.resource.findUnique({
+    where: { id }
+  })
+
+  if (!existingResource || existingResource.deleted) {
+    throw new errors.NotFoundError(`Resource with id ${id} not found`)
+  }
+
+  helper.ensureVersion(existingResource, options.version)
+
+  // Compute the resource after the update
+  const fields = ['challengeId', 'memberId', 'memberHandle', 'roleId', 'legacyId']
+  const resource = {}
+  for (const field of fields) {
+    if (!_.isUndefined(data[field])) {
+      resource[field] = data[field]
+    } else {
+      resource[field] = options.isFull ? null : existingResource[field]
+    }
+  }
+
+  // Either challengeId or memberId should remain
+  if (!resource.challengeId && !resource.memberId) {
+    throw new errors.ValidationError('Either challengeId or memberId must be provided')
+  }
+
+  await ResourceAuthorizationService.checkUpdateAccess(options.authUser, existingResource, resource)
+
+  // Check if role exists if roleId is changed
+  if (resource.roleId !== existingResource.roleId) {
+    const role = await prisma.role.findUnique({
+      where: { id: resource.roleId }
+    })
+
+    if (!role) {
+      throw new errors.BadRequestError(`Role with id ${resource.roleId} does not exist`)
+    }
+
+    ensureRoleActive(role)
+  }
+
+  // Check if the resource with same challengeId, memberId and roleId already exists
+  if (_.some(['challengeId', 'memberId', 'roleId'], field => resource[field] !== existingResource[field])) {
+    const duplicateResource = await prisma.resource.findFirst({
+      where: _.assign(buildDuplicateCondition(resource), { id: { not: id } })
+    })
+
+    if (duplicateResource) {
+      throw new errors.ConflictError('Resource with the same challengeId/memberId and roleId already exists')
+    }
+  }
+
+  // The phases are replaced when provided, and removed when omitted from a full update
+  let phaseIds
+  if (data.phases) {
+    phaseIds = _.uniq(data.phases)
+  } else if (options.isFull || data.phases === null) {
+    phaseIds = []
+  }
+
+  // Ensure the role is allowed in the phases, the kept phases are checked against a new role too
+  let checkedPhaseIds = phaseIds
+  if (!phaseIds && resource.roleId !== existingResource.roleId) {
+    checkedPhaseIds = (await prisma.resourcePhase.findMany({
+      where: { resourceId: id }
+    })).map(rp => rp.phaseId)
+  }
+  if (checkedPhaseIds) {
+    await ResourceDependencyService.ensureRolePhasesDependency(resource.roleId, checkedPhaseIds)
+  }
+
+  // Prepare data for update
+  const updateData = _.assign(resource, {
+    updated: new Date(),
+    updatedBy: data.updatedBy,
+    version: { increment: 1 }
+  })
+
+  // Update resource with transaction to handle phases
+  const result = await prisma.$transaction(async (tx) => {
+    // A resource moved to another role, challenge or member must not break the exclusion rules
+    if (_.some(['challengeId', 'memberId', 'roleId'], field => resource[field] !== existingResource[field])) {
+      await RoleExclusionService.ensureNoExclusion(tx, resource, id)
+    }
+
+    // A resource moved to another role or challenge takes a place in its quota
+    if (resource.roleId !== existingResource.roleId || resource.challengeId !== existingResource.challengeId) {
+      await RoleQuotaService.ensureRoleQuota(tx, resource.challengeId, resource.roleId)
+    }
+
+    // Update resource, unless it has been changed since it was read
+    const updated = await helper.guardVersion(tx.resource.update({
+      where: { id, version: existingResource.version },
+      data: updateData
+    }), existingResource)
+
+    await AuditService.recordAudit(tx, {
+      entityType: AuditService.EntityType.Resource,
+      entityId: id,
+      action: AuditService.Action.Update,
+      actor: updateData.updatedBy,
+      before: transformResource(existingResource),
+      after: transformResource(updated)
+    })
+    
+    // Replace resource phases if provided: only the removed phases are deleted and the added ones created,
+    // the kept phases keep their assignment window and completion
+    if (phaseIds) {
+      const existingPhaseIds = (await tx.resourcePhase.findMany({
+        where: { resourceId: id }
+      })).map(rp => rp.phaseId)
+      const removedPhaseIds = _.difference(existingPhaseIds, phaseIds)
+      const addedPhaseIds = _.difference(phaseIds, existingPhaseIds)
+
+      if (removedPhaseIds.length > 0) {
+        await tx.resourcePhase.deleteMany({
+          where: {
+            resourceId: id,
+            phaseId: { in: removedPhaseIds }
+          }
+        })
+      }
+
+      await recordPhaseChanges(tx, id, existingPhaseIds, phaseIds, updateData.updatedBy)
+
+      if (addedPhaseIds.length > 0) {
+        const resourcePhases = addedPhaseIds.map(phaseId => {
+          return {
+            id: helper.generateUUID(),
+            resourceId: id,
+            phaseId,
+            created: new Date(),
+            createdBy: data.updatedBy,
+            updated: new Date(),
+            updatedBy: data.updatedBy
+          }
+        })
+
+        await tx.resourcePhase.createMany({
+          data: resourcePhases
+        })
+      }
+    }
+    
+    // Return resource with phases
+    return tx.resource.findUnique({
+      where: { id },
+      include: {
+        role: true,
+        resourcePhases: {
+          include: {
+            phase: true
+          }
+        }
+      }
+    })
+  })
+
+  return transformResource(result, true, true)
+}
+
+/**
+ * Delete resource.
+ * The resource is soft deleted, so it keeps its phases and can be restored until it is purged.
+ * @param {String} id the resource id
+ * @param {String} userId the user id
+ * @param {Object} options the delete options
+ * @param {Number} options.version the version expected by the client, if any
+ * @param {Object} options.authUser the authenticated user
+ */
+async function deleteResource(id, userId, options = {}) {
+  logger.debug(`Delete resource ${id}`)
+
+  const existingResource = await prisma.resource.findUnique({
+    where: { id },
+    include: {
+      role: true
+    }
+  })
+
+  if (!existingResource || existingResource.deleted) {
+    throw new errors.NotFoundError(`Resource with id ${id} not found`)
+  }
+
+  await ResourceAuthorizationService.checkDeleteAccess(options.authUser, existingResource, existingResource.role)
+
+  helper.ensureVersion(existingResource, options.version)
+
+  await prisma.$transaction(tx => softDeleteResource(tx, _.omit(existingResource, 'role'), userId))
+}
+
+/**
+ * Soft delete a resource, and record it in the audit history
+ * @param {Object} tx the Prisma transaction client
+ * @param {Object} existingResource the DB resource to delete
+ * @param {String} userId the user id
+ */
+async function softDeleteResource(tx, existingResource, userId) {
+  const now = new Date()
+  const deleted = await helper.guardVersion(tx.resource.update({
+    where: { id: existingResource.id, version: existingResource.version },
+    data: {
+      deleted: true,
+      deletedAt: now,
+      deletedBy: userId,
+      updated: now,
+      updatedBy: userId,
+      version: { increment: 1 }
+    }
+  }), existingResource)
+
+  await AuditService.recordAudit(tx, {
+    entityType: AuditService.EntityType.Resource,
+    entityId: existingResource.id,
+    action: AuditService.Action.Delete,
+    actor: userId,
+    before: transformResource(existingResource),
+    after: transformResource(deleted)
+  })
+}
+
+/**
+ * Soft delete resources in one update, and record them in the audit history.
+ * The resources must not have been changed since they were read.
+ * @param {Object} tx the Prisma transaction client
+ * @param {Array} existingResources the DB resources to delete
+ * @param {String} userId the user id
+ * @param {Object} data the other fields to change in the same update, if any
+ * @returns {Array} the deleted DB resources
+ */
+async function softDeleteResources(tx, existingResources, userId, data = {}) {
+  if (existingResources.length === 0) {
+    return []
+  }
+
+  const now = new Date()
+  const { count } = await tx.resource.updateMany({
+    where: {
+      OR: existingResources.map(resource => ({ id: resource.id, version: resource.version })),
+      deleted: false
+    },
+    data: _.assign({}, data, {
+      deleted: true,
+      deletedAt: now,
+      deletedBy: userId,
+      updated: now,
+      updatedBy: userId,
+      version: { increment: 1 }
+    })
+  })
+
+  if (count !== existingResources.length) {
+    throw new errors.PreconditionFailedError('Some of the resources have been changed since they were read')
+  }
+
+  const deleted = _.keyBy(await tx.resource.findMany({
+    where: { id: { in: existingResources.map(resource => resource.id) } }
+  }), 'id')
+
+  await AuditService.recordAudits(tx, existingResources.map(existingResource => ({
+    entityType: AuditService.EntityType.Resource,
+    entityId: existingResource.id,
+    action: AuditService.Action.Delete,
+    actor: userId,
+    before: transformResource(existingResource),
+    after: transformResource(deleted[existingResource.id])
+  })))
+
+  return existingResources.map(resource => deleted[resource.id])
+}
+
+/**
+ * Delete all the resources of a challenge
+ * @param {String} challengeId the challenge id
+ * @param {Object} criteria the criteria to filter the resources to delete
+ * @param {String} criteria.roleId the role of the resources to delete, all roles if not provided
+ * @param {String} userId the user id
+ * @returns {Object} the ids of the deleted resources
+ */
+async function deleteChallengeResources(challengeId, criteria, userId) {
+  logger.debug(`Delete resources of challenge ${challengeId} with ${JSON.stringify(criteria)}`)
+
+  const schema = Joi.object().keys({
+    challengeId: Joi.string().required(),
+    roleId: Joi.string(),
+    userId: Joi.string().required()
+  })
+
+  const { error } = schema.validate({ challengeId, roleId: criteria.roleId, userId })
+  if (error) {
+    throw new errors.ValidationError(`Invalid delete challenge resources data: ${error.message}`)
+  }
+
+  const whereConditions = {
+    challengeId,
+    deleted: false
+  }
+  if (criteria.roleId) {
+    whereConditions.roleId = criteria.roleId
+  }
+
+  const deletedIds = await prisma.$transaction(async (tx) => {
+    const existingResources = await tx.resource.findMany({
+      where: whereConditions
+    })
+
+    await softDeleteResources(tx, existingResources, userId)
+
+    return existingResources.map(resource => resource.id)
+  }, { timeout: config.BULK_TRANSACTION_TIMEOUT || 60000 })
+
+  return {
+    challengeId,
+    deleted: deletedIds
+  }
+}
+
+/**
+ * Replace the roster of a challenge: the resources missing from the given members are deleted,
+ * the new members are added and the members already holding their role are left unchanged
+ * @param {String} challengeId the challenge id
+ * @param {Object} data the roster data
+ * @param {Array} data.resources the desired members and roles of the challenge
+ * @param {String} data.updatedBy the user id
+ * @returns {Object} the added, removed and unchanged resources
+ */
+async function replaceChallengeResources(challengeId, data) {
+  logger.debug(`Replace resources of challenge ${challengeId} with ${JSON.stringify(data)}`)
+
+  const schema = Joi.object().keys({
+    challengeId: Joi.string().required(),
+    resources: Joi.array().items(Joi.object().keys({
+      memberId: Joi.string().required(),
+      memberHandle: Joi.string().allow(null),
+      roleId: Joi.string().required(),
+      phases: Joi.array().items(Joi.string().uuid())
+    })).unique((a, b) => a.memberId === b.memberId && a.roleId === b.roleId).required(),
+    updatedBy: Joi.string().required()
+  }).required()
+
+  const { error } = schema.validate(_.assign({ challengeId }, data))
+  if (error) {
+    throw new errors.ValidationError(`Invalid challenge resources data: ${error.message}`)
+  }
+
+  const roleIds = _.uniq(data.resources.map(resource => resource.roleId))
+  const roles = await prisma.role.findMany({
+    where: { id: { in: roleIds } }
+  })
+  const missingRoleIds = _.difference(roleIds, roles.map(role => role.id))
+  if (missingRoleIds.length > 0) {
+    throw new errors.BadRequestError(`Roles with ids ${missingRoleIds.join(', ')} do not exist`)
+  }
+
+  // The roster must not give mutually exclusive roles to a member
+  for (const desired of data.resources) {
+    const excludedRoleIds = await RoleExclusionService.getExcludedRoleIds(desired.roleId)
+    const conflicting = _.find(data.resources, other => other.memberId === desired.memberId && _.includes(excludedRoleIds, other.roleId))
+    if (conflicting) {
+      throw new errors.ConflictError(`Member ${desired.memberId} can not hold role ${desired.roleId} together with role ${conflicting.roleId} on challenge ${challengeId}`)
+    }
+  }
+
+  // Validate all the entries before the transaction, which only writes
+  for (const desired of data.resources) {
+    await ResourceDependencyService.ensureRolePhasesDependency(desired.roleId, desired.phases || [])
+  }
+
+  const result = await prisma.$transaction(async (tx) => {
+    const existingResources = await tx.resource.findMany({
+      where: {
+        challengeId,
+        deleted: false
+      }
+    })
+
+    const isSameMember = (a, b) => a.memberId === b.memberId && a.roleId === b.roleId
+    const toRemove = existingResources.filter(existing => !_.some(data.resources, desired => isSameMember(existing, desired)))
+    const toAdd = data.resources.filter(desired => !_.some(existingResources, existing => isSameMember(existing, desired)))
+    const unchanged = _.difference(existingResources, toRemove)
+
+    // Only the added resources need an active role, the kept ones keep their role
+    for (const desired of toAdd) {
+      ensureRoleActive(_.find(roles, { id: desired.roleId }))
+    }
+
+    await softDeleteResources(tx, toRemove, data.updatedBy)
+
+    // The removed resources free their place before the added ones are counted
+    for (const [roleId, count] of _.toPairs(_.countBy(toAdd, 'roleId'))) {
+      await RoleQuotaService.ensureRoleQuota(tx, challengeId, roleId, count)
+    }
+
+    const added = await insertResources(tx, toAdd.map(desired => ({
+      resource: {
+        challengeId,
+        memberId: desired.memberId,
+        memberHandle: desired.memberHandle,
+        roleId: desired.roleId,
+        createdBy: data.updatedBy,
+        updatedBy: data.updatedBy
+      },
+      phaseIds: desired.phases || []
+    })))
+
+    return { added, removed: toRemove, unchanged }
+  }, { timeout: config.BULK_TRANSACTION_TIMEOUT || 60000 })
+
+  return {
+    challengeId,
+    added: result.added.map(resource => transformResource(resource)),
+    removed: result.removed.map(resource => transformResource(resource)),
+    unchanged: result.unchanged.map(resource => transformResource(resource))
+  }
+}
+
+/**
+ * Merge a source role into a target role: the resources of the source role are moved to the target role,
+ * its phase dependencies are copied to the target role, its quotas on the challenges where the target role has none
+ * and its exclusion rules with the roles the target role has no rule with are moved to the target role,
+ * its child roles are moved under the target role and the source role is deleted, all in one transaction.
+ * When a member already holds the target role on the challenge, the phases of the source resource
+ * are added to the existing target resource and the source resource is deleted.
+ * @param {String} sourceRoleId the id of the role to merge
+ * @param {String} targetRoleId the id of the role to merge into
+ * @param {String} userId the user id
+ * @param {Object} options the merge options
+ * @param {Boolean} options.dryRun whether to only report what would change
+ * @returns {Object} the changes, made or that would be made in dry run mode
+ */
+async function mergeRoles(sourceRoleId, targetRoleId, userId, options = {}) {
+  logger.debug(`Merge role ${sourceRoleId} into role ${targetRoleId}${options.dryRun ? ' (dry run)' : ''}`)
+
+  const schema = Joi.object().keys({
+    sourceRoleId: Joi.string().required(),
+    targetRoleId: Joi.string().invalid(Joi.ref('sourceRoleId')).required(),
+    userId: Joi.string().required()
+  })
+
+  const { error } = schema.validate({ sourceRoleId, targetRoleId, userId })
+  if (error) {
+    throw new errors.ValidationError(`Invalid role merge data: ${error.message}`)
+  }
+
+  const roleInclude = {
+    phaseDependencies: true,
+    permissions: true,
+    quotas: true,
+    exclusions: true,
+    excludedBy: true
+  }
+
+  const sourceRole = await prisma.role.findUnique({
+    where: { id: sourceRoleId },
+    include: roleInclude
+  })
+
+  if (!sourceRole) {
+    throw new errors.NotFoundError(`Role with id ${sourceRoleId} not found`)
+  }
+
+  const targetRole = await prisma.role.findUnique({
+    where: { id: targetRoleId },
+    include: roleInclude
+  })
+
+  if (!targetRole) {
+    throw new errors.BadRequestError(`Role with id ${targetRoleId} does not exist`)
+  }
+
+  ensureRoleActive(targetRole)
+
+  // The child roles of the source role are moved under the target role, which must not inherit from the source role
+  const targetChain = await RoleService.getRoleChain(targetRoleId)
+  if (_.some(targetChain, { id: sourceRoleId })) {
+    throw new errors.BadRequestError(`Role ${targetRole.name} inherits from role ${sourceRole.name} and can not be merged into`)
+  }
+
+  const targetPhaseIds = targetRole.phaseDependencies.map(dependency => dependency.phaseId)
+  const copiedDependencies = sourceRole.phaseDependencies.filter(dependency => !targetPhaseIds.includes(dependency.phaseId))
+
+  const targetPermissionIds = targetRole.permissions.map(rp => rp.permissionId)
+  const addedPermissionIds = _.difference(sourceRole.permissions.map(rp => rp.permissionId), targetPermissionIds)
+
+  // The target role keeps its own quota on a challenge where both roles have one
+  const targetQuotaChallengeIds = targetRole.quotas.map(quota => quota.challengeId)
+  const movedQuotas = sourceRole.quotas.filter(quota => !targetQuotaChallengeIds.includes(quota.challengeId))
+
+  // A rule between the two roles is dropped, as is a rule the target role already has with the same role
+  const otherRoleId = exclusion => exclusion.roleId === sourceRoleId ? exclusion.excludedRoleId : exclusion.roleId
+  const targetExcludedRoleIds = _.concat(targetRole.exclusions, targetRole.excludedBy).map(exclusion =>
+    exclusion.roleId === targetRoleId ? exclusion.excludedRoleId : exclusion.roleId)
+  const sourceExclusions = _.concat(sourceRole.exclusions, sourceRole.excludedBy)
+  const movedExclusions = sourceExclusions.filter(exclusion =>
+    otherRoleId(exclusion) !== targetRoleId && !targetExcludedRoleIds.includes(otherRoleId(exclusion)))
+
+  const childRoles = await prisma.role.findMany({
+    where: { parentId: sourceRoleId }
+  })
+
+  const requestCount = await prisma.resourceRequest.count({
+    where: { roleId: sourceRoleId }
+  })
+
+  const invitationCount = await prisma.resourceInvitation.count({
+    where: { roleId: sourceRoleId }
+  })
+
+  // Deleted resources are moved as well, so they can still be restored
+  const sourceResources = await prisma.resource.findMany({
+    where: { roleId: sourceRoleId },
+    include: { resourcePhases: true },
+    orderBy: { created: 'asc' }
+  })
+
+  const targetResources = await prisma.resource.findMany({
+    where: {
+      roleId: targetRoleId,
+      deleted: false
+    },
+    include: { resourcePhases: true }
+  })
+
+  const moved = []
+  const merged = []
+  for (const sourceResource of sourceResources) {
+    // A deleted resource is moved, even when the member holds the target role on the challenge
+    const targetResource = !sourceResource.deleted && _.find(targetResources, resource =>
+      resource.challengeId === sourceResource.challengeId && resource.memberId === sourceResource.memberId)
+
+    if (targetResource) {
+      const existingPhaseIds = targetResource.resourcePhases.map(rp => rp.phaseId)
+      merged.push({
+        sourceResource,
+        targetResource,
+        existingPhaseIds,
+        addedPhaseIds: _.difference(sourceResource.resourcePhases.map(rp => rp.phaseId), existingPhaseIds)
+      })
+    } else {
+      moved.push(sourceResource)
+    }
+  }
+
+  const summary = {
+    sourceRoleId,
+    targetRoleId,
+    dryRun: options.dryRun === true,
+    movedResources: moved.map(resource => _.pick(resource, ['id', 'challengeId', 'memberId', 'memberHandle', 'deleted'])),
+    mergedResources: merged.map(item => ({
+      resourceId: item.sourceResource.id,
+      targetResourceId: item.targetResource.id,
+      challengeId: item.sourceResource.challengeId,
+      memberId: item.sourceResource.memberId,
+      memberHandle: item.sourceResource.memberHandle,
+      addedPhases: item.addedPhaseIds
+    })),
+    copiedPhaseDependencies: copiedDependencies.map(dependency => dependency.phaseId),
+    addedPermissions: addedPermissionIds,
+    movedQuotas: movedQuotas.map(quota => quota.challengeId),
+    movedExclusions: movedExclusions.map(exclusion => exclusion.id),
+    movedRequests: requestCount,
+    movedInvitations: invitationCount,
+    movedChildRoles: childRoles.map(role => role.id)
+  }
+
+  // The moved resources take places in the quotas of the target role and must not break its exclusion rules,
+  // the resources of the source role do not count as they are moved as well
+  const activeMoved = moved.filter(resource => !resource.deleted)
+  const ensureTargetAllowed = async (tx) => {
+    await RoleExclusionService.ensureNoExclusions(tx, targetRoleId, activeMoved, [sourceRoleId])
+    const movedCounts = _.countBy(activeMoved.filter(resource => resource.challengeId), 'challengeId')
+    for (const [challengeId, count] of _.toPairs(movedCounts)) {
+      await RoleQuotaService.ensureRoleQuota(tx, challengeId, targetRoleId, count)
+    }
+  }
+
+  if (summary.dryRun) {
+    await prisma.$transaction(ensureTargetAllowed)
+    return summary
+  }
+
+  await prisma.$transaction(async (tx) => {
+    await ensureTargetAllowed(tx)
+
+    const copiedDependencyRows = copiedDependencies.map(dependency => ({
+      id: helper.generateUUID(),
+      resourceRoleId: targetRoleId,
+      phaseId: dependency.phaseId,
+      phaseType: dependency.phaseType,
+      createdBy: userId,
+      updatedBy: userId
+    }))
+    if (copiedDependencyRows.length > 0) {
+      await tx.resourceRolePhaseDependency.createMany({
+        data: copiedDependencyRows
+      })
+    }
+
+    const addedPermissionRows = addedPermissionIds.map(permissionId => ({
+      id: helper.generateUUID(),
+      roleId: targetRoleId,
+      permissionId,
+      createdBy: userId
+    }))
+    if (addedPermissionRows.length > 0) {
+      await tx.rolePermission.createMany({
+        data: addedPermissionRows
+      })
+    }
+
+    const movedQuotaRows = []
+    if (movedQuotas.length > 0) {
+      await tx.roleQuota.updateMany({
+        where: { id: { in: movedQuotas.map(quota => quota.id) } },
+        data: { roleId: targetRoleId, updated: new Date(), updatedBy: userId }
+      })
+      movedQuotaRows.push(...await tx.roleQuota.findMany({
+        where: { id: { in: movedQuotas.map(quota => quota.id) } }
+      }))
+    }
+
+    const movedExclusionRows = []
+    for (const exclusion of movedExclusions) {
+      movedExclusionRows.push(await tx.roleExclusion.update({
+        where: { id: exclusion.id },
+        data: _.assign(exclusion.roleId === sourceRoleId ? { roleId: targetRoleId } : { excludedRoleId: targetRoleId }, {
+          updated: new Date(),
+          updatedBy: userId
+        })
+      }))
+    }
+
+    await tx.resourceRequest.updateMany({
+      where: { roleId: sourceRoleId },
+      data: { roleId: targetRoleId, updated: new Date(), updatedBy: userId, version: { increment: 1 } }
+    })
+
+    await tx.resourceInvitation.updateMany({
+      where: { roleId: sourceRoleId },
+      data: { roleId: targetRoleId, updated: new Date(), updatedBy: userId, version: { increment: 1 } }
+    })
+
+    // Move the resources in one update, unless they have been changed since they were read
+    if (moved.length > 0) {
+      const { count } = await tx.resource.updateMany({
+        where: {
+          OR: moved.map(resource => ({ id: resource.id, version: resource.version }))
+        },
+        data: {
+          roleId: targetRoleId,
+          updated: new Date(),
+          updatedBy: userId,
+          version: { increment: 1 }
+        }
+      })
+
+      if (count !== moved.length) {
+        throw new errors.PreconditionFailedError('Some of the resources of the merged role have been changed since they were read')
+      }
+
+      const updated = _.keyBy(await tx.resource.findMany({
+        where: { id: { in: moved.map(resource => resource.id) } }
+      }), 'id')
+
+      await AuditService.recordAudits(tx, moved.map(sourceResource => ({
+        entityType: AuditService.EntityType.Resource,
+        entityId: sourceResource.id,
+        action: AuditService.Action.Update,
+        actor: userId,
+        before: transformResource(sourceResource),
+        after: transformResource(updated[sourceResource.id])
+      })))
+    }
+
+    const withAddedPhases = merged.filter(item => item.addedPhaseIds.length > 0)
+    if (withAddedPhases.length > 0) {
+      await tx.resourcePhase.createMany({
+        data: _.flatMap(withAddedPhases, ({ targetResource, addedPhaseIds }) => addedPhaseIds.map(phaseId => ({
+          id: helper.generateUUID(),
+          resourceId: targetResource.id,
+          phaseId,
+          created: new Date(),
+          createdBy: userId,
+          updated: new Date(),
+          updatedBy: userId
+        })))
+      })
+
+      const { count } = await tx.resource.updateMany({
+        where: {
+          OR: withAddedPhases.map(({ targetResource }) => ({ id: targetResource.id, version: targetResource.version }))
+        },
+        data: {
+          updated: new Date(),
+          updatedBy: userId,
+          version: { increment: 1 }
+        }
+      })
+
+      if (count !== withAddedPhases.length) {
+        throw new errors.PreconditionFailedError('Some of the resources of the target role have been changed since they were read')
+      }
+
+      await AuditService.recordAudits(tx, withAddedPhases.map(({ targetResource, addedPhaseIds }) => ({
+        entityType: AuditService.EntityType.Resource,
+        entityId: targetResource.id,
+        action: AuditService.Action.PhaseAttach,
+        actor: userId,
+        after: { phases: addedPhaseIds }
+      })))
+    }
+
+    // The merged resources keep no reference to the source role, they are moved to the target role as they are deleted
+    await softDeleteResources(tx, merged.map(item => _.omit(item.sourceResource, 'resourcePhases')), userId, { roleId: targetRoleId })
+
+    for (const childRole of childRoles) {
+      await helper.guardVersion(tx.role.update({
+        where: { id: childRole.id, version: childRole.version },
+        data: {
+          parentId: targetRoleId,
+          updated: new Date(),
+          updatedBy: userId,
+          version: { increment: 1 }
+        }
+      }), childRole)
+
+      await AuditService.recordAudit(tx, {
+        entityType: AuditService.EntityType.Role,
+        entityId: childRole.id,
+        action: AuditService.Action.Update,
+        actor: userId,
+        before: { parentId: sourceRoleId },
+        after: { parentId: targetRoleId }
+      })
+    }
+
+    // The phase dependencies, the permissions, the quotas and the exclusion rules left on the source role
+    // are deleted with it thanks to onDelete: Cascade in the schema
+    await helper.guardVersion(tx.role.delete({
+      where: { id: sourceRoleId, version: sourceRole.version }
+    }), sourceRole)
+
+    await AuditService.recordAudits(tx, [
+      ...copiedDependencyRows.map(dependency => ({
+        entityType: AuditService.EntityType.RolePhaseDependency,
+        entityId: dependency.id,
+        action: AuditService.Action.Create,
+        actor: userId,
+        after: dependency
+      })),
+      ...addedPermissionRows.map(rolePermission => ({
+        entityType: AuditService.EntityType.RolePermission,
+        entityId: rolePermission.id,
+        action: AuditService.Action.Create,
+        actor: userId,
+        after: rolePermission
+      })),
+      ...sourceRole.phaseDependencies.map(dependency => ({
+        entityType: AuditService.EntityType.RolePhaseDependency,
+        entityId: dependency.id,
+        action: AuditService.Action.Delete,
+        actor: userId,
+        before: dependency
+      })),
+      ...sourceRole.permissions.map(rolePermission => ({
+        entityType: AuditService.EntityType.RolePermission,
+        entityId: rolePermission.id,
+        action: AuditService.Action.Delete,
+        actor: userId,
+        before: rolePermission
+      })),
+      ...movedQuotaRows.map(quota => ({
+        entityType: AuditService.EntityType.RoleQuota,
+        entityId: quota.id,
+        action: AuditService.Action.Update,
+        actor: userId,
+        before: _.find(movedQuotas, { id: quota.id }),
+        after: quota
+      })),
+      ..._.differenceBy(sourceRole.quotas, movedQuotas, 'id').map(quota => ({
+        entityType: AuditService.EntityType.RoleQuota,
+        entityId: quota.id,
+        action: AuditService.Action.Delete,
+        actor: userId,
+        before: quota
+      })),
+      ...movedExclusionRows.map(exclusion => ({
+        entityType: AuditService.EntityType.RoleExclusion,
+        entityId: exclusion.id,
+        action: AuditService.Action.Update,
+        actor: userId,
+        before: _.find(movedExclusions, { id: exclusion.id }),
+        after: exclusion
+      })),
+      ..._.differenceBy(sourceExclusions, movedExclusions, 'id').map(exclusion => ({
+        entityType: AuditService.EntityType.RoleExclusion,
+        entityId: exclusion.id,
+        action: AuditService.Action.Delete,
+        actor: userId,
+        before: exclusion
+      })),
+      {
+        entityType: AuditService.EntityType.Role,
+        entityId: sourceRoleId,
+        action: AuditService.Action.Merge,
+        actor: userId,
+        before: _.omit(sourceRole, _.keys(roleInclude)),
+        after: { mergedInto: targetRoleId }
+      }
+    ])
+  }, { timeout: config.BULK_TRANSACTION_TIMEOUT || 60000 })
+
+  return summary
+}
+
+/**
+ * Transfer a resource to another member, e.g. when a reviewer drops out.
+ * The resource keeps its id, role, phase assignments and created date, only the member changes
+ * and the phases completed by the previous member are pending again.
+ * @param {String} id the resource id
+ * @param {Object} data the transfer data
+ * @param {String} data.memberId the new member id
+ * @param {String} data.memberHandle the new member handle
+ * @param {String} userId the user id
+ * @param {Object} options the transfer options
+ * @param {Number} options.version the version expected by the client, if any
+ * @param {Object} options.authUser the authenticated user
+ * @returns {Object} the transferred resource
+ */
+async function transferResource(id, data, userId, options = {}) {
+  logger.debug(`Transfer resource ${id} with ${JSON.stringify(data)}`)
+
+  const schema = Joi.object().keys({
+    memberId: Joi.string().required(),
+    memberHandle: Joi.string().required(),
+    userId: Joi.string().required()
+  }).required()
+
+  const { error } = schema.validate(_.assign({ userId }, _.pick(data, ['memberId', 'memberHandle'])))
+  if (error) {
+    throw new errors.ValidationError(`Invalid resource transfer data: ${error.message}`)
+  }
+
+  const existingResource = await prisma.resource.findUnique({
+    where: { id }
+  })
+
+  if (!existingResource || existingResource.deleted) {
+    throw new errors.NotFoundError(`Resource with id ${id} not found`)
+  }
+
+  helper.ensureVersion(existingResource, options.version)
+
+  if (existingResource.memberId === data.memberId) {
+    throw new errors.BadRequestError(`Resource with id ${id} already belongs to member ${data.memberId}`)
+  }
+
+  const resource = _.assign(_.pick(existingResource, ['challengeId', 'roleId']), _.pick(data, ['memberId', 'memberHandle']))
+
+  await ResourceAuthorizationService.checkUpdateAccess(options.authUser, existingResource, resource)
+
+  const result = await prisma.$transaction(async (tx) => {
+    // The new member must not already hold a role excluded with the role, nor the role itself:
+    // the role row is locked, after the exclusion check which locks it in order with the excluded roles,
+    // so that concurrent transfers can not both give the role to the member
+    await RoleExclusionService.ensureNoExclusion(tx, resource, id)
+    await tx.$queryRaw`SELECT id FROM "Role" WHERE id = ${resource.roleId} FOR UPDATE`
+
+    const duplicateResource = await tx.resource.findFirst({
+      where: _.assign(buildDuplicateCondition(resource), { id: { not: id } })
+    })
+
+    if (duplicateResource) {
+      throw new errors.ConflictError('Resource with the same challengeId/memberId and roleId already exists')
+    }
+
+    // The completion of the phases was recorded by the previous member, the new member has their work to do
+    const completedPhaseIds = (await tx.resourcePhase.findMany({
+      where: {
+        resourceId: id,
+        completionStatus: ResourcePhaseStatus.Completed
+      }
+    })).map(rp => rp.phaseId)
+
+    if (completedPhaseIds.length > 0) {
+      await tx.resourcePhase.updateMany({
+        where: {
+          resourceId: id,
+          phaseId: { in: completedPhaseIds }
+        },
+        data: {
+          completionStatus: ResourcePhaseStatus.Pending,
+          completedAt: null,
+          completedBy: null,
+          updated: new Date(),
+          updatedBy: userId
+        }
+      })
+    }
+
+    // Transfer the resource, unless it has been changed since it was read
+    const updated = await helper.guardVersion(tx.resource.update({
+      where: { id, version: existingResource.version },
+      data: {
+        memberId: data.memberId,
+        memberHandle: data.memberHandle,
+        updated: new Date(),
+        updatedBy: userId,
+        version: { increment: 1 }
+      }
+    }), existingResource)
+
+    await AuditService.recordAudit(tx, {
+      entityType: AuditService.EntityType.Resource,
+      entityId: id,
+      action: AuditService.Action.Transfer,
+      actor: userId,
+      before: _.assign(transformResource(existingResource), { completedPhases: completedPhaseIds }),
+      after: _.assign(transformResource(updated), { completedPhases: [] })
+    })
+
+    return tx.resource.findUnique({
+      where: { id },
+      include: {
+        role: true,
+        resourcePhases: {
+          include: {
+            phase: true
+          }
+        }
+      }
+    })
+  })
+
+  return transformResource(result, true, true)
+}
+
+/**
+ * Restore soft deleted resource
+ * @param {String} id the resource id
+ * @param {String} userId the user id
+ * @param {Object} options the restore options
+ * @param {Number} options.version the version expected by the client, if any
+ * @returns {Object} the restored resource
+ */
+async function restoreResource(id, userId, options = {}) {
+  logger.debug(`Restore resource ${id}`)
+
+  const existingResource = await prisma.resource.findUnique({
+    where: { id },
+    include: {
+      role: true
+    }
+  })
+
+  if (!existingResource) {
+    throw new errors.NotFoundError(`Resource with id ${id} not found`)
+  }
+
+  if (!existingResource.deleted) {
+    throw new errors.BadRequestError(`Resource with id ${id} is not deleted`)
+  }
+
+  helper.ensureVersion(existingResource, options.version)
+
+  // The restored resource is assigned its role again
+  ensureRoleActive(existingResource.role)
+
+  // The resource keeps its phases, its role must still be allowed in them
+  const phaseIds = (await prisma.resourcePhase.findMany({
+    where: { resourceId: id }
+  })).map(rp => rp.phaseId)
+  await ResourceDependencyService.ensureRolePhasesDependency(existingResource.roleId, phaseIds)
+
+  const result = await prisma.$transaction(async (tx) => {
+    await RoleExclusionService.ensureNoExclusion(tx, existingResource, id)
+    await RoleQuotaService.ensureRoleQuota(tx, existingResource.challengeId, existingResource.roleId)
+
+    // Check if the same resource has been created again since it was deleted
+    const duplicateResource = await tx.resource.findFirst({
+      where: {
+        id: { not: id },
+        challengeId: existingResource.challengeId,
+        memberId: existingResource.memberId,
+        roleId: existingResource.roleId,
+        deleted: false
+      }
+    })
+
+    if (duplicateResource) {
+      throw new errors.ConflictError('Resource with the same challengeId/memberId and roleId already exists')
+    }
+
+    // Restore the resource, unless it has been changed since it was read
+    const restored = await helper.guardVersion(tx.resource.update({
+      where: { id, version: existingResource.version },
+      data: {
+        deleted: false,
+        deletedAt: null,
+        deletedBy: null,
+        updated: new Date(),
+        updatedBy: userId,
+        version: { increment: 1 }
+      },
+      include: {
+        role: true,
+        resourcePhases: {
+          include: {
+            phase: true
+          }
+        }
+      }
+    }), existingResource)
+
+    await AuditService.recordAudit(tx, {
+      entityType: AuditService.EntityType.Resource,
+      entityId: id,
+      action: AuditService.Action.Restore,
+      actor: userId,
+      before: transformResource(existingResource),
+      after: transformResource(restored)
+    })
+
+    return restored
+  })
+
+  return transformResource(result, true, true)
+}
+
+/**
+ * Permanently delete the resources that have been soft deleted for longer than the retention period
+ * @param {Number} retentionDays the retention period in days
+ * @returns {Number} the number of purged resources
+ */
+async function purgeDeletedResources(retentionDays = config.DELETED_RESOURCES_RETENTION_DAYS) {
+  const days = Number(retentionDays)
+  if (!Number.isInteger(days) || days < 0) {
+    throw new errors.ValidationError(`Invalid retention days: ${retentionDays}`)
+  }
+
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000)
+  logger.debug(`Purge resources deleted before ${cutoff.toISOString()}`)
+
+  // Resource phases are deleted as well thanks to onDelete: Cascade in the schema
+  const { count } = await prisma.resource.deleteMany({
+    where: {
+      deleted: true,
+      deletedAt: { lt: cutoff }
+    }
+  })
+
+  logger.info(`Purged ${count} deleted resource(s)`)
+  return count
+}
+
+/**
+ * Get the audit history of resource, deleted resources included
+ * @param {String} id the resource id
+ * @param {Object} criteria the search criteria
+ * @returns {Object} the search result
+ */
+async function getResourceHistory(id, criteria) {
+  logger.debug(`Get history of resource ${id}`)
+
+  const history = await AuditService.getHistory(AuditService.EntityType.Resource, id, criteria)
+
+  if (history.total === 0) {
+    const resource = await prisma.resource.findUnique({
+      where: { id }
+    })
+
+    if (!resource) {
+      throw new errors.NotFoundError(`Resource with id ${id} not found`)
+    }
+  }
+
+  return history
+}
+
+/**
+ * Search resources
+ * @param {Object} criteria the search criteria
+ * @param {Object} authUser the authenticated user
+ * @returns {Object} the search result
+ */
+async function searchResources(criteria, authUser) {
+  logger.debug(`Search resources with ${JSON.stringify(criteria)}`)
+
+  // Only the administrators and the M2M tokens may search the deleted resources
+  if ((criteria.includeDeleted || criteria.onlyDeleted) && !(authUser && (authUser.isMachine || isAdmin(authUser)))) {
+    throw new errors.ForbiddenError('Only administrators can search the deleted resources')
+  }
+  
+  const page = criteria.page || 1
   const perPage = criteria.perPage || 20
   const skip = (page - 1) * perPage
   
   // Construct where conditions
   const whereConditions = {}
+  if (criteria.onlyDeleted === true) {
+    whereConditions.deleted = true
+  } else if (criteria.includeDeleted !== true) {
+    whereConditions.deleted = false
+  }
   if (criteria.challengeId) {
     whereConditions.challengeId = criteria.challengeId
   }
@@ -386,6 +1895,21 @@ async function searchResources(criteria) {
   if (criteria.legacyId) {
     whereConditions.legacyId = criteria.legacyId
   }
+  // The resources with a phase assignment effective at the given time
+  if (criteria.activeAt) {
+    const activeAt = new Date(criteria.activeAt)
+    if (isNaN(activeAt.getTime())) {
+      throw new errors.ValidationError(`Invalid activeAt date: ${criteria.activeAt}`)
+    }
+    whereConditions.resourcePhases = {
+      some: {
+        AND: [
+          { OR: [{ effectiveFrom: null }, { effectiveFrom: { lte: activeAt } }] },
+          { OR: [{ effectiveTo: null }, { effectiveTo: { gte: activeAt } }] }
+        ]
+      }
+    }
+  }
 
   // Count total records
   const totalCount = await prisma.resource.count({
@@ -425,8 +1949,19 @@ async function searchResources(criteria) {
 
 module.exports = {
   getResource,
+  prepareResource,
+  createPreparedResource,
   createResource,
+  createResources,
+  copyResources,
   updateResource,
   deleteResource,
+  deleteChallengeResources,
+  replaceChallengeResources,
+  mergeRoles,
+  transferResource,
+  restoreResource,
+  purgeDeletedResources,
+  getResourceHistory,
   searchResources
 }
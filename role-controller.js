@@ -0,0 +1,137 @@
+/**
+ * Controller for resource role endpoints
+ */
+const HttpStatus = require('http-status-codes')
+const service = require('../services/role-service')
+const ResourceService = require('../services/resource-service')
+const helper = require('../common/helper')
+
+/**
+ * Search roles
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getRoles (req, res) {
+  const result = await service.searchRoles(helper.toSearchCriteria(req.query))
+  helper.setResHeaders(req, res, result)
+  res.send(result.result)
+}
+
+/**
+ * Create role
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function createRole (req, res) {
+  const result = await service.createRole(req.body)
+  helper.setETag(res, result)
+  res.status(HttpStatus.CREATED).send(result)
+}
+
+/**
+ * Get role
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getRole (req, res) {
+  const result = await service.getRole(req.params.id)
+  helper.setETag(res, result)
+  res.send(result)
+}
+
+/**
+ * Fully update role
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function updateRole (req, res) {
+  const result = await service.updateRole(req.params.id, req.body, { isFull: true, version: helper.getIfMatchVersion(req) })
+  helper.setETag(res, result)
+  res.send(result)
+}
+
+/**
+ * Partially update role
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function partiallyUpdateRole (req, res) {
+  const result = await service.updateRole(req.params.id, req.body, { version: helper.getIfMatchVersion(req) })
+  helper.setETag(res, result)
+  res.send(result)
+}
+
+/**
+ * Delete role
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function deleteRole (req, res) {
+  await service.deleteRole(req.params.id, req.actor, { version: helper.getIfMatchVersion(req) })
+  res.status(HttpStatus.NO_CONTENT).end()
+}
+
+/**
+ * Activate role
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function activateRole (req, res) {
+  const result = await service.activateRole(req.params.id, req.actor, { version: helper.getIfMatchVersion(req) })
+  helper.setETag(res, result)
+  res.send(result)
+}
+
+/**
+ * Deactivate role
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function deactivateRole (req, res) {
+  const result = await service.deactivateRole(req.params.id, req.actor, { version: helper.getIfMatchVersion(req) })
+  helper.setETag(res, result)
+  res.send(result)
+}
+
+/**
+ * Merge role into the target role, moving its resources
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function mergeRole (req, res) {
+  res.send(await ResourceService.mergeRoles(req.params.id, req.body.targetRoleId, req.actor, { dryRun: req.query.dryRun === 'true' }))
+}
+
+/**
+ * Get the effective role after inheritance
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getEffectiveRole (req, res) {
+  res.send(await service.getEffectiveRole(req.params.id))
+}
+
+/**
+ * Get the audit history of role
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getRoleHistory (req, res) {
+  const result = await service.getRoleHistory(req.params.id, helper.toSearchCriteria(req.query))
+  helper.setResHeaders(req, res, result)
+  res.send(result.result)
+}
+
+module.exports = {
+  getRoles,
+  createRole,
+  getRole,
+  updateRole,
+  partiallyUpdateRole,
+  deleteRole,
+  activateRole,
+  deactivateRole,
+  mergeRole,
+  getEffectiveRole,
+  getRoleHistory
+}
@@ -0,0 +1,75 @@
+/**
+ * Controller for role exclusion endpoints
+ */
+const HttpStatus = require('http-status-codes')
+const service = require('../services/role-exclusion-service')
+const helper = require('../common/helper')
+
+/**
+ * Search role exclusions
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getExclusions (req, res) {
+  const result = await service.searchExclusions(helper.toSearchCriteria(req.query))
+  helper.setResHeaders(req, res, result)
+  res.send(result.result)
+}
+
+/**
+ * Create role exclusion
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function createExclusion (req, res) {
+  const result = await service.createExclusion(req.body)
+  res.status(HttpStatus.CREATED).send(result)
+}
+
+/**
+ * Get the resources breaking the role exclusions
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getViolations (req, res) {
+  const result = await service.getViolations(helper.toSearchCriteria(req.query))
+  helper.setResHeaders(req, res, result)
+  res.send(result.result)
+}
+
+/**
+ * Get role exclusion
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getExclusion (req, res) {
+  res.send(await service.getExclusion(req.params.id))
+}
+
+/**
+ * Update role exclusion
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function updateExclusion (req, res) {
+  res.send(await service.updateExclusion(req.params.id, req.body))
+}
+
+/**
+ * Delete role exclusion
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function deleteExclusion (req, res) {
+  await service.deleteExclusion(req.params.id, req.actor)
+  res.status(HttpStatus.NO_CONTENT).end()
+}
+
+module.exports = {
+  getExclusions,
+  createExclusion,
+  getViolations,
+  getExclusion,
+  updateExclusion,
+  deleteExclusion
+}
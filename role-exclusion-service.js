@@ -0,0 +1,468 @@
+/*
+ * Role Exclusion Service managing the pairs of roles a member can not hold together on a challenge,
+ * e.g. Submitter and Reviewer as a conflict of interest
+ */
+
+const _ = require('lodash')
+const Joi = require('joi')
+const { PrismaClient, Prisma } = require('@prisma/client')
+const helper = require('../common/helper')
+const logger = require('../common/logger')
+const errors = require('../common/errors')
+const AuditService = require('./audit-service')
+
+const prisma = new PrismaClient()
+
+/**
+ * Transform DB exclusion to API exclusion
+ * @param {Object} exclusion the DB exclusion
+ * @returns {Object} the API exclusion
+ */
+function transformExclusion(exclusion) {
+  if (!exclusion) return null
+
+  return _.pick(exclusion, [
+    'id', 'roleId', 'excludedRoleId', 'reason',
+    'created', 'createdBy', 'updated', 'updatedBy'
+  ])
+}
+
+/**
+ * Validate exclusion
+ * @param {Object} exclusion the exclusion to validate
+ * @returns {undefined}
+ */
+function validateExclusion(exclusion) {
+  const schema = Joi.object().keys({
+    id: Joi.string().uuid(),
+    roleId: Joi.string().required(),
+    excludedRoleId: Joi.string().invalid(Joi.ref('roleId')).required(),
+    reason: Joi.string().allow(null),
+    createdBy: Joi.string().required(),
+    updatedBy: Joi.string().allow(null)
+  }).required()
+
+  const { error } = schema.validate(exclusion)
+  if (error) {
+    throw new errors.ValidationError(`Invalid role exclusion data: ${error.message}`)
+  }
+}
+
+/**
+ * Build the condition matching the exclusions involving a role, on either side of the pair
+ * @param {String} roleId the role id
+ * @returns {Object} the where condition
+ */
+function buildRoleCondition(roleId) {
+  return {
+    OR: [
+      { roleId },
+      { excludedRoleId: roleId }
+    ]
+  }
+}
+
+/**
+ * Get the roles excluded with a role
+ * @param {String} roleId the role id
+ * @param {Object} client the Prisma client or transaction client
+ * @returns {Array} the excluded role ids
+ */
+async function getExcludedRoleIds(roleId, client = prisma) {
+  const exclusions = await client.roleExclusion.findMany({
+    where: buildRoleCondition(roleId)
+  })
+
+  return exclusions.map(exclusion => exclusion.roleId === roleId ? exclusion.excludedRoleId : exclusion.roleId)
+}
+
+/**
+ * Lock the rows of roles in a stable order, so that two transactions locking the same roles can not deadlock
+ * @param {Object} tx the Prisma transaction client
+ * @param {Array} roleIds the role ids
+ */
+async function lockRoles(tx, roleIds) {
+  const lockedRoleIds = _.sortBy(_.uniq(roleIds))
+  await tx.$queryRaw`SELECT id FROM "Role" WHERE id IN (${Prisma.join(lockedRoleIds)}) ORDER BY id FOR UPDATE`
+}
+
+/**
+ * Build the error reporting the resources a member can not hold together with a role
+ * @param {Object} resource the resource with its challengeId, memberId and roleId
+ * @param {Array} conflictingResources the conflicting resources with their role
+ * @returns {Error} the conflict error
+ */
+function buildConflictError(resource, conflictingResources) {
+  const error = new errors.ConflictError(`Member ${resource.memberId} can not hold role ${resource.roleId} together with ${conflictingResources.map(r => r.role.name).join(', ')} on challenge ${resource.challengeId}`)
+  error.details = conflictingResources.map(r => ({
+    resourceId: r.id,
+    roleId: r.roleId,
+    roleName: r.role.name
+  }))
+  return error
+}
+
+/**
+ * Ensure a member holding a role on a challenge does not break any exclusion rule
+ * with the other resources of the member on the challenge.
+ * It must be called in the transaction writing the resource: the rows of the role and of its excluded roles
+ * are locked so that concurrent transactions can not both give excluded roles to the same member.
+ * @param {Object} tx the Prisma transaction client
+ * @param {Object} resource the resource with its challengeId, memberId and roleId
+ * @param {String} excludeResourceId the id of the resource being updated or restored, if any
+ */
+async function ensureNoExclusion(tx, resource, excludeResourceId) {
+  if (!resource.challengeId || !resource.memberId) {
+    return
+  }
+
+  const excludedRoleIds = await getExcludedRoleIds(resource.roleId, tx)
+  if (excludedRoleIds.length === 0) {
+    return
+  }
+
+  await lockRoles(tx, [resource.roleId, ...excludedRoleIds])
+
+  const whereConditions = {
+    challengeId: resource.challengeId,
+    memberId: resource.memberId,
+    roleId: { in: excludedRoleIds },
+    deleted: false
+  }
+  if (excludeResourceId) {
+    whereConditions.id = { not: excludeResourceId }
+  }
+
+  const conflictingResources = await tx.resource.findMany({
+    where: whereConditions,
+    include: { role: true }
+  })
+
+  if (conflictingResources.length > 0) {
+    throw buildConflictError(resource, conflictingResources)
+  }
+}
+
+/**
+ * Ensure a member invited to a role on a challenge does not hold a role excluded with it.
+ * The invited member is only known by handle. Nothing is locked: the invitation creates no resource
+ * and its acceptance checks the rules again with ensureNoExclusion.
+ * @param {Object} invitation the invitation with its challengeId, memberHandle and roleId
+ */
+async function ensureNoInvitationExclusion(invitation) {
+  const excludedRoleIds = await getExcludedRoleIds(invitation.roleId)
+  if (excludedRoleIds.length === 0) {
+    return
+  }
+
+  const conflictingResources = await prisma.resource.findMany({
+    where: {
+      challengeId: invitation.challengeId,
+      memberHandle: { equals: invitation.memberHandle, mode: 'insensitive' },
+      roleId: { in: excludedRoleIds },
+      deleted: false
+    },
+    include: { role: true }
+  })
+
+  if (conflictingResources.length > 0) {
+    throw buildConflictError({
+      challengeId: invitation.challengeId,
+      memberId: invitation.memberHandle,
+      roleId: invitation.roleId
+    }, conflictingResources)
+  }
+}
+
+/**
+ * Ensure the resources moved to a role do not break any exclusion rule with the other resources
+ * of their members on their challenges, in one query whatever the number of resources.
+ * It must be called in the transaction moving the resources, the roles are locked as in ensureNoExclusion.
+ * @param {Object} tx the Prisma transaction client
+ * @param {String} roleId the role the resources are moved to
+ * @param {Array} resources the moved resources with their challengeId and memberId
+ * @param {Array} ignoredRoleIds the roles whose resources are moved to the role as well, if any
+ */
+async function ensureNoExclusions(tx, roleId, resources, ignoredRoleIds = []) {
+  const members = _.uniqWith(resources.filter(resource => resource.challengeId && resource.memberId)
+    .map(resource => _.pick(resource, ['challengeId', 'memberId'])), _.isEqual)
+  if (members.length === 0) {
+    return
+  }
+
+  const excludedRoleIds = _.difference(await getExcludedRoleIds(roleId, tx), ignoredRoleIds)
+  if (excludedRoleIds.length === 0) {
+    return
+  }
+
+  await lockRoles(tx, [roleId, ...excludedRoleIds])
+
+  const conflictingResources = await tx.resource.findMany({
+    where: {
+      OR: members,
+      roleId: { in: excludedRoleIds },
+      deleted: false
+    },
+    include: { role: true }
+  })
+
+  if (conflictingResources.length > 0) {
+    const [conflicting] = conflictingResources
+    throw buildConflictError({ challengeId: conflicting.challengeId, memberId: conflicting.memberId, roleId },
+      conflictingResources.filter(r => r.challengeId === conflicting.challengeId && r.memberId === conflicting.memberId))
+  }
+}
+
+/**
+ * Get the DB exclusion by id
+ * @param {String} id the exclusion id
+ * @returns {Object} the DB exclusion
+ */
+async function getDBExclusion(id) {
+  const exclusion = await prisma.roleExclusion.findUnique({
+    where: { id }
+  })
+
+  if (!exclusion) {
+    throw new errors.NotFoundError(`Role exclusion with id ${id} not found`)
+  }
+
+  return exclusion
+}
+
+/**
+ * Get exclusion by id
+ * @param {String} id the exclusion id
+ * @returns {Object} the exclusion
+ */
+async function getExclusion(id) {
+  logger.debug(`Get role exclusion by id ${id}`)
+
+  return transformExclusion(await getDBExclusion(id))
+}
+
+/**
+ * Create exclusion. The rule is symmetric, so a pair of roles has one rule whatever the order.
+ * @param {Object} exclusion the exclusion to create
+ * @returns {Object} the created exclusion
+ */
+async function createExclusion(exclusion) {
+  logger.debug(`Create role exclusion ${JSON.stringify(exclusion)}`)
+  validateExclusion(exclusion)
+
+  const roles = await prisma.role.findMany({
+    where: { id: { in: [exclusion.roleId, exclusion.excludedRoleId] } }
+  })
+
+  const missingRoleIds = _.difference([exclusion.roleId, exclusion.excludedRoleId], roles.map(role => role.id))
+  if (missingRoleIds.length > 0) {
+    throw new errors.BadRequestError(`Roles with ids ${missingRoleIds.join(', ')} do not exist`)
+  }
+
+  const existingExclusion = await prisma.roleExclusion.findFirst({
+    where: {
+      OR: [
+        { roleId: exclusion.roleId, excludedRoleId: exclusion.excludedRoleId },
+        { roleId: exclusion.excludedRoleId, excludedRoleId: exclusion.roleId }
+      ]
+    }
+  })
+
+  if (existingExclusion) {
+    throw new errors.ConflictError(`Exclusion between roles ${exclusion.roleId} and ${exclusion.excludedRoleId} already exists`)
+  }
+
+  const created = await prisma.$transaction(async (tx) => {
+    const result = await tx.roleExclusion.create({
+      data: {
+        id: exclusion.id || helper.generateUUID(),
+        roleId: exclusion.roleId,
+        excludedRoleId: exclusion.excludedRoleId,
+        reason: exclusion.reason,
+        createdBy: exclusion.createdBy,
+        updatedBy: exclusion.updatedBy
+      }
+    })
+
+    await AuditService.recordAudit(tx, {
+      entityType: AuditService.EntityType.RoleExclusion,
+      entityId: result.id,
+      action: AuditService.Action.Create,
+      actor: exclusion.createdBy,
+      after: result
+    })
+
+    return result
+  })
+
+  return transformExclusion(created)
+}
+
+/**
+ * Update the reason of exclusion
+ * @param {String} id the exclusion id
+ * @param {Object} data the data to update
+ * @returns {Object} the updated exclusion
+ */
+async function updateExclusion(id, data) {
+  logger.debug(`Update role exclusion ${id} with ${JSON.stringify(data)}`)
+
+  const schema = Joi.object().keys({
+    reason: Joi.string().allow(null),
+    updatedBy: Joi.string().required()
+  }).required()
+
+  const { error } = schema.validate(data)
+  if (error) {
+    throw new errors.ValidationError(`Invalid role exclusion data: ${error.message}`)
+  }
+
+  const existingExclusion = await getDBExclusion(id)
+
+  const updated = await prisma.$transaction(async (tx) => {
+    const result = await tx.roleExclusion.update({
+      where: { id },
+      data: {
+        reason: data.reason,
+        updated: new Date(),
+        updatedBy: data.updatedBy
+      }
+    })
+
+    await AuditService.recordAudit(tx, {
+      entityType: AuditService.EntityType.RoleExclusion,
+      entityId: id,
+      action: AuditService.Action.Update,
+      actor: data.updatedBy,
+      before: existingExclusion,
+      after: result
+    })
+
+    return result
+  })
+
+  return transformExclusion(updated)
+}
+
+/**
+ * Delete exclusion
+ * @param {String} id the exclusion id
+ * @param {String} userId the user id
+ */
+async function deleteExclusion(id, userId) {
+  logger.debug(`Delete role exclusion ${id}`)
+
+  const existingExclusion = await getDBExclusion(id)
+
+  await prisma.$transaction(async (tx) => {
+    await tx.roleExclusion.delete({
+      where: { id }
+    })
+
+    await AuditService.recordAudit(tx, {
+      entityType: AuditService.EntityType.RoleExclusion,
+      entityId: id,
+      action: AuditService.Action.Delete,
+      actor: userId,
+      before: existingExclusion
+    })
+  })
+}
+
+/**
+ * Search exclusions
+ * @param {Object} criteria the search criteria
+ * @returns {Object} the search result
+ */
+async function searchExclusions(criteria) {
+  logger.debug(`Search role exclusions with ${JSON.stringify(criteria)}`)
+
+  const page = criteria.page || 1
+  const perPage = criteria.perPage || 20
+  const skip = (page - 1) * perPage
+
+  const whereConditions = criteria.roleId ? buildRoleCondition(criteria.roleId) : {}
+
+  const totalCount = await prisma.roleExclusion.count({
+    where: whereConditions
+  })
+
+  const exclusions = await prisma.roleExclusion.findMany({
+    where: whereConditions,
+    skip,
+    take: perPage,
+    orderBy: {
+      created: 'asc'
+    }
+  })
+
+  return {
+    total: totalCount,
+    page,
+    perPage,
+    result: exclusions.map(transformExclusion)
+  }
+}
+
+/**
+ * Get the existing resources breaking the exclusion rules, across all challenges or on one challenge.
+ * The violations are computed, counted and paged by the database in one query.
+ * @param {Object} criteria the search criteria
+ * @param {String} criteria.challengeId the challenge id, all challenges if not provided
+ * @returns {Object} the search result, each violation with the challenge, the member, the rule and the conflicting resources
+ */
+async function getViolations(criteria) {
+  logger.debug(`Get role exclusion violations with ${JSON.stringify(criteria)}`)
+
+  const page = criteria.page || 1
+  const perPage = criteria.perPage || 20
+  const skip = (page - 1) * perPage
+  const challengeId = criteria.challengeId || null
+
+  // A violation is a member holding both roles of a rule on a challenge, the count is returned
+  // even when the page is past the last violation
+  const rows = await prisma.$queryRaw`
+    WITH violations AS (
+      SELECT r."challengeId", r."memberId", r."memberHandle", e.id AS "exclusionId",
+        r.id AS "resourceId", x.id AS "excludedResourceId", e.created AS "exclusionCreated"
+      FROM "RoleExclusion" e
+      JOIN "Resource" r ON r."roleId" = e."roleId" AND r.deleted = false
+      JOIN "Resource" x ON x."roleId" = e."excludedRoleId" AND x.deleted = false
+        AND x."challengeId" = r."challengeId" AND x."memberId" = r."memberId"
+      WHERE r."challengeId" IS NOT NULL AND r."memberId" IS NOT NULL
+        AND (${challengeId}::text IS NULL OR r."challengeId" = ${challengeId})
+    )
+    SELECT counted.total, paged.*
+    FROM (SELECT COUNT(*) AS total FROM violations) counted
+    LEFT JOIN (
+      SELECT * FROM violations
+      ORDER BY "exclusionCreated", "exclusionId", "challengeId", "memberId"
+      LIMIT ${perPage} OFFSET ${skip}
+    ) paged ON true`
+
+  return {
+    total: rows.length > 0 ? Number(rows[0].total) : 0,
+    page,
+    perPage,
+    result: rows.filter(row => row.exclusionId).map(row => ({
+      challengeId: row.challengeId,
+      memberId: row.memberId,
+      memberHandle: row.memberHandle,
+      exclusionId: row.exclusionId,
+      resourceIds: [row.resourceId, row.excludedResourceId]
+    }))
+  }
+}
+
+module.exports = {
+  getExcludedRoleIds,
+  ensureNoExclusion,
+  ensureNoExclusions,
+  ensureNoInvitationExclusion,
+  getExclusion,
+  createExclusion,
+  updateExclusion,
+  deleteExclusion,
+  searchExclusions,
+  getViolations
+}
@@ -0,0 +1,39 @@
+/**
+ * Controller for role quota endpoints
+ */
+const HttpStatus = require('http-status-codes')
+const service = require('../services/role-quota-service')
+
+/**
+ * Get the role quotas of challenge
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function getChallengeQuotas (req, res) {
+  res.send(await service.getChallengeQuotas(req.params.challengeId))
+}
+
+/**
+ * Set the quota of a role on challenge
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function setChallengeQuota (req, res) {
+  res.send(await service.setChallengeQuota(req.params.challengeId, req.params.roleId, req.body.maxResources, req.body.updatedBy))
+}
+
+/**
+ * Remove the quota of a role on challenge
+ * @param {Object} req the request
+ * @param {Object} res the response
+ */
+async function deleteChallengeQuota (req, res) {
+  await service.deleteChallengeQuota(req.params.challengeId, req.params.roleId, req.actor)
+  res.status(HttpStatus.NO_CONTENT).end()
+}
+
+module.exports = {
+  getChallengeQuotas,
+  setChallengeQuota,
+  deleteChallengeQuota
+}
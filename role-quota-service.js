@@ -0,0 +1,250 @@
+/*
+ * Role Quota Service managing the maximum number of resources of a role on a challenge.
+ * The default limit of a role is its maxPerChallenge, and it can be overridden for a challenge.
+ */
+
+const _ = require('lodash')
+const Joi = require('joi')
+const { PrismaClient } = require('@prisma/client')
+const helper = require('../common/helper')
+const logger = require('../common/logger')
+const errors = require('../common/errors')
+const AuditService = require('./audit-service')
+
+const prisma = new PrismaClient()
+
+/**
+ * Transform DB quota to API quota
+ * @param {Object} quota the DB quota
+ * @returns {Object} the API quota
+ */
+function transformQuota(quota) {
+  if (!quota) return null
+
+  return _.pick(quota, [
+    'id', 'challengeId', 'roleId', 'maxResources',
+    'created', 'createdBy', 'updated', 'updatedBy'
+  ])
+}
+
+/**
+ * Get the limit of a role on a challenge
+ * @param {Object} client the Prisma client or transaction client
+ * @param {String} challengeId the challenge id
+ * @param {Object} role the role
+ * @returns {Number} the limit, null if the role is unlimited on the challenge
+ */
+async function getLimit(client, challengeId, role) {
+  const quota = await client.roleQuota.findUnique({
+    where: {
+      roleId_challengeId: {
+        roleId: role.id,
+        challengeId
+      }
+    }
+  })
+
+  if (quota) {
+    return quota.maxResources
+  }
+
+  return _.isNil(role.maxPerChallenge) ? null : role.maxPerChallenge
+}
+
+/**
+ * Ensure one more resource, or the given number of resources, of a role can be added to a challenge.
+ * It must be called in the transaction adding the resources: the role row is locked
+ * so that concurrent transactions can not both take the last place.
+ * @param {Object} tx the Prisma transaction client
+ * @param {String} challengeId the challenge id, the resources without challenge are not limited
+ * @param {String} roleId the role id
+ * @param {Number} added the number of resources to add
+ */
+async function ensureRoleQuota(tx, challengeId, roleId, added = 1) {
+  if (!challengeId) {
+    return
+  }
+
+  const role = await tx.role.findUnique({
+    where: { id: roleId }
+  })
+
+  const limit = await getLimit(tx, challengeId, role)
+  if (_.isNil(limit)) {
+    return
+  }
+
+  await tx.$queryRaw`SELECT id FROM "Role" WHERE id = ${roleId} FOR UPDATE`
+
+  const count = await tx.resource.count({
+    where: {
+      challengeId,
+      roleId,
+      deleted: false
+    }
+  })
+
+  if (count + added > limit) {
+    const error = new errors.ConflictError(`Role ${role.name} is full on challenge ${challengeId}: ${count} of ${limit} resource(s)`)
+    error.details = { challengeId, roleId, count, limit }
+    throw error
+  }
+}
+
+/**
+ * Get the quotas of the roles on a challenge, with the current number of resources
+ * @param {String} challengeId the challenge id
+ * @returns {Array} the quota of each limited role
+ */
+async function getChallengeQuotas(challengeId) {
+  logger.debug(`Get role quotas of challenge ${challengeId}`)
+
+  const [roles, quotas, counts] = await Promise.all([
+    prisma.role.findMany({ orderBy: { name: 'asc' } }),
+    prisma.roleQuota.findMany({ where: { challengeId } }),
+    prisma.resource.groupBy({
+      by: ['roleId'],
+      where: {
+        challengeId,
+        deleted: false
+      },
+      _count: true
+    })
+  ])
+
+  return roles
+    .map(role => {
+      const quota = _.find(quotas, { roleId: role.id })
+      const roleCount = _.find(counts, { roleId: role.id })
+      return {
+        roleId: role.id,
+        roleName: role.name,
+        limit: quota ? quota.maxResources : role.maxPerChallenge,
+        overridden: !!quota,
+        count: roleCount ? roleCount._count : 0
+      }
+    })
+    .filter(quota => !_.isNil(quota.limit))
+}
+
+/**
+ * Set the quota of a role on a challenge, overriding the default limit of the role
+ * @param {String} challengeId the challenge id
+ * @param {String} roleId the role id
+ * @param {Number} maxResources the maximum number of resources of the role on the challenge
+ * @param {String} userId the user id
+ * @returns {Object} the quota
+ */
+async function setChallengeQuota(challengeId, roleId, maxResources, userId) {
+  logger.debug(`Set quota of role ${roleId} on challenge ${challengeId} to ${maxResources}`)
+
+  const schema = Joi.object().keys({
+    challengeId: Joi.string().required(),
+    roleId: Joi.string().required(),
+    maxResources: Joi.number().integer().min(0).required(),
+    userId: Joi.string().required()
+  })
+
+  const { error } = schema.validate({ challengeId, roleId, maxResources, userId })
+  if (error) {
+    throw new errors.ValidationError(`Invalid role quota data: ${error.message}`)
+  }
+
+  const role = await prisma.role.findUnique({
+    where: { id: roleId }
+  })
+
+  if (!role) {
+    throw new errors.NotFoundError(`Role with id ${roleId} not found`)
+  }
+
+  const quota = await prisma.$transaction(async (tx) => {
+    const existingQuota = await tx.roleQuota.findUnique({
+      where: {
+        roleId_challengeId: {
+          roleId,
+          challengeId
+        }
+      }
+    })
+
+    const result = await tx.roleQuota.upsert({
+      where: {
+        roleId_challengeId: {
+          roleId,
+          challengeId
+        }
+      },
+      create: {
+        id: helper.generateUUID(),
+        challengeId,
+        roleId,
+        maxResources,
+        createdBy: userId,
+        updatedBy: userId
+      },
+      update: {
+        maxResources,
+        updated: new Date(),
+        updatedBy: userId
+      }
+    })
+
+    await AuditService.recordAudit(tx, {
+      entityType: AuditService.EntityType.RoleQuota,
+      entityId: result.id,
+      action: existingQuota ? AuditService.Action.Update : AuditService.Action.Create,
+      actor: userId,
+      before: existingQuota,
+      after: result
+    })
+
+    return result
+  })
+
+  return transformQuota(quota)
+}
+
+/**
+ * Remove the quota of a role on a challenge, the default limit of the role applies again
+ * @param {String} challengeId the challenge id
+ * @param {String} roleId the role id
+ * @param {String} userId the user id
+ */
+async function deleteChallengeQuota(challengeId, roleId, userId) {
+  logger.debug(`Delete quota of role ${roleId} on challenge ${challengeId}`)
+
+  const quota = await prisma.roleQuota.findUnique({
+    where: {
+      roleId_challengeId: {
+        roleId,
+        challengeId
+      }
+    }
+  })
+
+  if (!quota) {
+    throw new errors.NotFoundError(`Role ${roleId} has no quota on challenge ${challengeId}`)
+  }
+
+  await prisma.$transaction(async (tx) => {
+    await tx.roleQuota.delete({
+      where: { id: quota.id }
+    })
+
+    await AuditService.recordAudit(tx, {
+      entityType: AuditService.EntityType.RoleQuota,
+      entityId: quota.id,
+      action: AuditService.Action.Delete,
+      actor: userId,
+      before: quota
+    })
+  })
+}
+
+module.exports = {
+  ensureRoleQuota,
+  getChallengeQuotas,
+  setChallengeQuota,
+  deleteChallengeQuota
+}
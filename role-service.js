@@ -9,6 +9,8 @@ const { PrismaClient } = require('@prisma/client')
 const helper = require('../common/helper')
 const logger = require('../common/logger')
 const errors = require('../common/errors')
+const AuditService = require('./audit-service')
+const PermissionService = require('./permission-service')
 
 const prisma = new PrismaClient()
 
@@ -23,11 +25,14 @@ function buildDBRole(role) {
     name: role.name,
     fullAccess: role.fullAccess || false,
     selfObtainable: role.selfObtainable || false,
+    isActive: _.isUndefined(role.isActive) ? true : role.isActive,
+    maxPerChallenge: role.maxPerChallenge,
     created: role.created ? new Date(role.created) : new Date(),
     createdBy: role.createdBy,
     updated: role.updated ? new Date(role.updated) : new Date(),
     updatedBy: role.updatedBy,
-    legacyId: role.legacyId
+    legacyId: role.legacyId,
+    parentId: role.parentId
   }
   return dbRole
 }
@@ -40,10 +45,17 @@ function buildDBRole(role) {
 function transformRole(role) {
   if (!role) return null
 
-  return _.pick(role, [
-    'id', 'name', 'fullAccess', 'selfObtainable', 
-    'created', 'createdBy', 'updated', 'updatedBy', 'legacyId'
+  const result = _.pick(role, [
+    'id', 'name', 'fullAccess', 'selfObtainable', 'isActive', 'maxPerChallenge',
+    'created', 'createdBy', 'updated', 'updatedBy', 'version', 'legacyId', 'parentId'
   ])
+
+  // Include the permission names when the permissions of the role are loaded
+  if (role.permissions) {
+    result.permissions = role.permissions.map(rp => rp.permission.name)
+  }
+
+  return result
 }
 
 /**
@@ -57,11 +69,14 @@ function validateRole(role) {
     name: Joi.string().required(),
     fullAccess: Joi.boolean(),
     selfObtainable: Joi.boolean(),
+    isActive: Joi.boolean(),
+    maxPerChallenge: Joi.number().integer().min(0).allow(null),
     created: Joi.date(),
     createdBy: Joi.string().required(),
     updated: Joi.date(),
     updatedBy: Joi.string().allow(null),
-    legacyId: Joi.string().allow(null)
+    legacyId: Joi.string().allow(null),
+    parentId: Joi.string().allow(null)
   }).required()
 
   const { error } = schema.validate(role)
@@ -70,6 +85,94 @@ function validateRole(role) {
   }
 }
 
+/**
+ * Validate role data to update
+ * @param {Object} data the data to validate
+ * @param {Boolean} isFull whether the data fully replaces the role
+ * @returns {undefined}
+ */
+function validateRoleUpdate(data, isFull) {
+  const schema = Joi.object().keys({
+    name: isFull ? Joi.string().required() : Joi.string(),
+    fullAccess: Joi.boolean(),
+    selfObtainable: Joi.boolean(),
+    maxPerChallenge: Joi.number().integer().min(0).allow(null),
+    updatedBy: Joi.string().required(),
+    legacyId: Joi.string().allow(null),
+    parentId: Joi.string().allow(null)
+  }).required()
+
+  const { error } = schema.validate(data)
+  if (error) {
+    throw new errors.ValidationError(`Invalid role data: ${error.message}`)
+  }
+}
+
+/**
+ * Get the chain of a role and its ancestors, from the role up to the root role.
+ * The roles are loaded with their permissions and phase dependencies.
+ * @param {String} roleId the role id
+ * @returns {Array} the role followed by its ancestors, empty if the role does not exist
+ */
+async function getRoleChain(roleId) {
+  const chain = []
+  const visited = new Set()
+
+  let id = roleId
+  while (id && !visited.has(id)) {
+    visited.add(id)
+
+    const role = await prisma.role.findUnique({
+      where: { id },
+      include: {
+        permissions: {
+          include: {
+            permission: true
+          }
+        },
+        phaseDependencies: {
+          include: {
+            phase: true
+          }
+        }
+      }
+    })
+
+    if (!role) {
+      break
+    }
+
+    chain.push(role)
+    id = role.parentId
+  }
+
+  return chain
+}
+
+/**
+ * Ensure the parent of a role exists and does not make the hierarchy cyclic
+ * @param {String} roleId the role id, if the role already exists
+ * @param {String} parentId the parent role id
+ */
+async function ensureValidParent(roleId, parentId) {
+  if (!parentId) {
+    return
+  }
+
+  if (parentId === roleId) {
+    throw new errors.BadRequestError(`Role ${roleId} can not be its own parent`)
+  }
+
+  const ancestors = await getRoleChain(parentId)
+  if (ancestors.length === 0) {
+    throw new errors.BadRequestError(`Parent role with id ${parentId} does not exist`)
+  }
+
+  if (roleId && _.some(ancestors, { id: roleId })) {
+    throw new errors.BadRequestError(`Parent role ${parentId} would create a cycle in the role hierarchy: ${ancestors.map(role => role.name).join(' -> ')}`)
+  }
+}
+
 /**
  * Get role by id
  * @param {String} id the role id
@@ -79,7 +182,14 @@ async function getRole(id) {
   logger.debug(`Get role by id ${id}`)
 
   const role = await prisma.role.findUnique({
-    where: { id }
+    where: { id },
+    include: {
+      permissions: {
+        include: {
+          permission: true
+        }
+      }
+    }
   })
 
   if (!role) {
@@ -107,6 +217,8 @@ async function createRole(role) {
     throw new errors.ConflictError(`Role with name ${role.name} already exists`)
   }
 
+  await ensureValidParent(role.id, role.parentId)
+
   // Build DB model
   const dbRole = buildDBRole(role)
   
@@ -116,21 +228,39 @@ async function createRole(role) {
   }
 
   // Create role
-  const created = await prisma.role.create({
-    data: dbRole
+  const created = await prisma.$transaction(async (tx) => {
+    const result = await tx.role.create({
+      data: dbRole
+    })
+
+    await AuditService.recordAudit(tx, {
+      entityType: AuditService.EntityType.Role,
+      entityId: result.id,
+      action: AuditService.Action.Create,
+      actor: result.createdBy,
+      after: transformRole(result)
+    })
+
+    return result
   })
 
   return transformRole(created)
 }
 
 /**
- * Update role
+ * Update role.
+ * A full update (PUT) resets the omitted fields to their defaults, a partial update (PATCH)
+ * follows JSON Merge Patch (RFC 7396): the omitted fields are left unchanged and null clears a field.
  * @param {String} id the role id
  * @param {Object} data the data to update
+ * @param {Object} options the update options
+ * @param {Boolean} options.isFull whether to fully replace the role
+ * @param {Number} options.version the version expected by the client, if any
  * @returns {Object} the updated role
  */
-async function updateRole(id, data) {
+async function updateRole(id, data, options = {}) {
   logger.debug(`Update role ${id} with ${JSON.stringify(data)}`)
+  validateRoleUpdate(data, options.isFull)
   
   // Get existing role
   const existingRole = await prisma.role.findUnique({
@@ -141,8 +271,10 @@ async function updateRole(id, data) {
     throw new errors.NotFoundError(`Role with id ${id} not found`)
   }
 
+  helper.ensureVersion(existingRole, options.version)
+
   // Check if name is already used by another role
-  if (data.name && data.name !== existingRole.name) {
+  if (!_.isUndefined(data.name) && data.name !== existingRole.name) {
     const roleWithName = await prisma.role.findUnique({
       where: { name: data.name }
     })
@@ -152,20 +284,41 @@ async function updateRole(id, data) {
     }
   }
 
-  // Prepare data for update
+  if (!_.isUndefined(data.parentId) && data.parentId !== existingRole.parentId) {
+    await ensureValidParent(id, data.parentId)
+  }
+
+  // Prepare data for update, a full update resets the omitted fields to their defaults
+  const current = options.isFull ? { fullAccess: false, selfObtainable: false, maxPerChallenge: null, legacyId: null, parentId: null } : existingRole
   const updateData = {
-    name: data.name || existingRole.name,
-    fullAccess: _.isUndefined(data.fullAccess) ? existingRole.fullAccess : data.fullAccess,
-    selfObtainable: _.isUndefined(data.selfObtainable) ? existingRole.selfObtainable : data.selfObtainable,
+    name: _.isUndefined(data.name) ? existingRole.name : data.name,
+    fullAccess: _.isUndefined(data.fullAccess) ? current.fullAccess : data.fullAccess,
+    selfObtainable: _.isUndefined(data.selfObtainable) ? current.selfObtainable : data.selfObtainable,
+    maxPerChallenge: _.isUndefined(data.maxPerChallenge) ? current.maxPerChallenge : data.maxPerChallenge,
     updated: new Date(),
-    updatedBy: data.updatedBy || existingRole.updatedBy,
-    legacyId: _.isUndefined(data.legacyId) ? existingRole.legacyId : data.legacyId
+    updatedBy: data.updatedBy,
+    version: { increment: 1 },
+    legacyId: _.isUndefined(data.legacyId) ? current.legacyId : data.legacyId,
+    parentId: _.isUndefined(data.parentId) ? current.parentId : data.parentId
   }
 
   // Update role
-  const updated = await prisma.role.update({
-    where: { id },
-    data: updateData
+  const updated = await prisma.$transaction(async (tx) => {
+    const result = await helper.guardVersion(tx.role.update({
+      where: { id, version: existingRole.version },
+      data: updateData
+    }), existingRole)
+
+    await AuditService.recordAudit(tx, {
+      entityType: AuditService.EntityType.Role,
+      entityId: id,
+      action: AuditService.Action.Update,
+      actor: updateData.updatedBy,
+      before: transformRole(existingRole),
+      after: transformRole(result)
+    })
+
+    return result
   })
 
   return transformRole(updated)
@@ -174,8 +327,11 @@ async function updateRole(id, data) {
 /**
  * Delete role
  * @param {String} id the role id
+ * @param {String} userId the user id
+ * @param {Object} options the delete options
+ * @param {Number} options.version the version expected by the client, if any
  */
-async function deleteRole(id) {
+async function deleteRole(id, userId, options = {}) {
   logger.debug(`Delete role ${id}`)
 
   const existingRole = await prisma.role.findUnique({
@@ -186,6 +342,8 @@ async function deleteRole(id) {
     throw new errors.NotFoundError(`Role with id ${id} not found`)
   }
 
+  helper.ensureVersion(existingRole, options.version)
+
   // Check if role is used by any resource
   const resourceCount = await prisma.resource.count({
     where: { roleId: id }
@@ -195,9 +353,184 @@ async function deleteRole(id) {
     throw new errors.ConflictError(`Role ${id} is used by ${resourceCount} resource(s)`)
   }
 
-  await prisma.role.delete({
+  // Check if role is the parent of other roles, which would silently lose what they inherit
+  const childCount = await prisma.role.count({
+    where: { parentId: id }
+  })
+
+  if (childCount > 0) {
+    throw new errors.ConflictError(`Role ${id} is the parent of ${childCount} role(s)`)
+  }
+
+  // Check if role is used by any resource request, which keeps the role it was made for
+  const requestCount = await prisma.resourceRequest.count({
+    where: { roleId: id }
+  })
+
+  if (requestCount > 0) {
+    throw new errors.ConflictError(`Role ${id} is used by ${requestCount} resource request(s)`)
+  }
+
+  // Check if role is used by any invitation, which keeps the role the member was invited to
+  const invitationCount = await prisma.resourceInvitation.count({
+    where: { roleId: id }
+  })
+
+  if (invitationCount > 0) {
+    throw new errors.ConflictError(`Role ${id} is used by ${invitationCount} invitation(s)`)
+  }
+
+  await prisma.$transaction(async (tx) => {
+    // A reference added concurrently makes the delete fail on the foreign key
+    await helper.guardReferences(helper.guardVersion(tx.role.delete({
+      where: { id, version: existingRole.version }
+    }), existingRole), `Role ${id} is in use`)
+
+    await AuditService.recordAudit(tx, {
+      entityType: AuditService.EntityType.Role,
+      entityId: id,
+      action: AuditService.Action.Delete,
+      actor: userId,
+      before: transformRole(existingRole)
+    })
+  })
+}
+
+/**
+ * Set whether a role is active. An inactive role can not be assigned to new resources,
+ * the existing resources keep it.
+ * @param {String} id the role id
+ * @param {Boolean} isActive whether the role is active
+ * @param {String} userId the user id
+ * @param {Object} options the options
+ * @param {Number} options.version the version expected by the client, if any
+ * @returns {Object} the updated role
+ */
+async function setRoleActive(id, isActive, userId, options = {}) {
+  logger.debug(`${isActive ? 'Activate' : 'Deactivate'} role ${id}`)
+
+  const existingRole = await prisma.role.findUnique({
     where: { id }
   })
+
+  if (!existingRole) {
+    throw new errors.NotFoundError(`Role with id ${id} not found`)
+  }
+
+  helper.ensureVersion(existingRole, options.version)
+
+  if (existingRole.isActive === isActive) {
+    throw new errors.ConflictError(`Role ${id} is already ${isActive ? 'active' : 'inactive'}`)
+  }
+
+  const updated = await prisma.$transaction(async (tx) => {
+    const result = await helper.guardVersion(tx.role.update({
+      where: { id, version: existingRole.version },
+      data: {
+        isActive,
+        updated: new Date(),
+        updatedBy: userId,
+        version: { increment: 1 }
+      }
+    }), existingRole)
+
+    await AuditService.recordAudit(tx, {
+      entityType: AuditService.EntityType.Role,
+      entityId: id,
+      action: isActive ? AuditService.Action.Activate : AuditService.Action.Deactivate,
+      actor: userId,
+      before: transformRole(existingRole),
+      after: transformRole(result)
+    })
+
+    return result
+  })
+
+  return transformRole(updated)
+}
+
+/**
+ * Activate role
+ * @param {String} id the role id
+ * @param {String} userId the user id
+ * @param {Object} options the options
+ * @param {Number} options.version the version expected by the client, if any
+ * @returns {Object} the activated role
+ */
+async function activateRole(id, userId, options = {}) {
+  return setRoleActive(id, true, userId, options)
+}
+
+/**
+ * Deactivate role
+ * @param {String} id the role id
+ * @param {String} userId the user id
+ * @param {Object} options the options
+ * @param {Number} options.version the version expected by the client, if any
+ * @returns {Object} the deactivated role
+ */
+async function deactivateRole(id, userId, options = {}) {
+  return setRoleActive(id, false, userId, options)
+}
+
+/**
+ * Get the effective role after inheritance: a role has everything its ancestors have.
+ * The fullAccess flag, the allowed phases and the permissions are inherited,
+ * selfObtainable is not as it only tells whether the role itself can be self obtained.
+ * @param {String} id the role id
+ * @returns {Object} the effective role
+ */
+async function getEffectiveRole(id) {
+  logger.debug(`Get effective role ${id}`)
+
+  const chain = await getRoleChain(id)
+  if (chain.length === 0) {
+    throw new errors.NotFoundError(`Role with id ${id} not found`)
+  }
+
+  const [role, ...ancestors] = chain
+
+  const phaseDependencies = _.uniqBy(_.flatMap(chain, chainRole => chainRole.phaseDependencies.map(dependency => ({
+    phaseId: dependency.phaseId,
+    phaseName: dependency.phase.name,
+    phaseType: dependency.phaseType,
+    inheritedFrom: chainRole.id === role.id ? null : chainRole.id
+  }))), 'phaseId')
+
+  return {
+    id: role.id,
+    name: role.name,
+    parentId: role.parentId,
+    ancestors: ancestors.map(ancestor => _.pick(ancestor, ['id', 'name'])),
+    fullAccess: _.some(chain, 'fullAccess'),
+    selfObtainable: role.selfObtainable,
+    phaseDependencies,
+    permissions: await PermissionService.getEffectivePermissions(chain)
+  }
+}
+
+/**
+ * Get the audit history of role, deleted roles included
+ * @param {String} id the role id
+ * @param {Object} criteria the search criteria
+ * @returns {Object} the search result
+ */
+async function getRoleHistory(id, criteria) {
+  logger.debug(`Get history of role ${id}`)
+
+  const history = await AuditService.getHistory(AuditService.EntityType.Role, id, criteria)
+
+  if (history.total === 0) {
+    const role = await prisma.role.findUnique({
+      where: { id }
+    })
+
+    if (!role) {
+      throw new errors.NotFoundError(`Role with id ${id} not found`)
+    }
+  }
+
+  return history
 }
 
 /**
@@ -223,6 +556,15 @@ async function searchRoles(criteria) {
   if (!_.isUndefined(criteria.selfObtainable)) {
     whereConditions.selfObtainable = criteria.selfObtainable
   }
+  if (criteria.parentId) {
+    whereConditions.parentId = criteria.parentId
+  }
+  // The inactive roles are hidden unless requested
+  if (!_.isUndefined(criteria.isActive)) {
+    whereConditions.isActive = criteria.isActive
+  } else if (!criteria.includeInactive) {
+    whereConditions.isActive = true
+  }
 
   // Count total records
   const totalCount = await prisma.role.count({
@@ -255,5 +597,10 @@ module.exports = {
   createRole,
   updateRole,
   deleteRole,
+  activateRole,
+  deactivateRole,
+  getRoleChain,
+  getEffectiveRole,
+  getRoleHistory,
   searchRoles
 }
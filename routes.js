@@ -0,0 +1,736 @@
+/**
+ * Contains all routes.
+ * Routes are registered in the listed order, so static paths must come before parameterized ones.
+ * The routes with auth 'jwt' are secured by the auth middleware: the users need one of the access roles
+ * and the M2M tokens one of the scopes.
+ */
+
+const { UserRoles, Scopes } = require('./constants')
+
+module.exports = {
+  '/resources': {
+    get: {
+      controller: 'resource-controller',
+      method: 'getResources',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.ReadResources, Scopes.AllResources]
+    },
+    post: {
+      controller: 'resource-controller',
+      method: 'createResource',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.WriteResources, Scopes.AllResources]
+    }
+  },
+  '/resources/bulk': {
+    post: {
+      controller: 'resource-controller',
+      method: 'createResources',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.WriteResources, Scopes.AllResources]
+    }
+  },
+  '/resources/copy': {
+    post: {
+      controller: 'resource-controller',
+      method: 'copyResources',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.WriteResources, Scopes.AllResources]
+    }
+  },
+  '/resources/:id': {
+    get: {
+      controller: 'resource-controller',
+      method: 'getResource',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.ReadResources, Scopes.AllResources]
+    },
+    put: {
+      controller: 'resource-controller',
+      method: 'updateResource',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.WriteResources, Scopes.AllResources]
+    },
+    patch: {
+      controller: 'resource-controller',
+      method: 'partiallyUpdateResource',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.WriteResources, Scopes.AllResources]
+    },
+    delete: {
+      controller: 'resource-controller',
+      method: 'deleteResource',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.WriteResources, Scopes.AllResources]
+    }
+  },
+  '/resources/:id/transfer': {
+    post: {
+      controller: 'resource-controller',
+      method: 'transferResource',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.WriteResources, Scopes.AllResources]
+    }
+  },
+  '/resources/:id/restore': {
+    post: {
+      controller: 'resource-controller',
+      method: 'restoreResource',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.WriteResources, Scopes.AllResources]
+    }
+  },
+  '/resources/:id/history': {
+    get: {
+      controller: 'resource-controller',
+      method: 'getResourceHistory',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot],
+      scopes: [Scopes.ReadResources, Scopes.AllResources]
+    }
+  },
+  '/resources/:id/phases': {
+    get: {
+      controller: 'resource-controller',
+      method: 'getResourcePhases',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.ReadResources, Scopes.AllResources]
+    },
+    post: {
+      controller: 'resource-controller',
+      method: 'createResourcePhases',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.WriteResources, Scopes.AllResources]
+    }
+  },
+  '/resources/:id/phases/:phaseId': {
+    delete: {
+      controller: 'resource-controller',
+      method: 'deleteResourcePhase',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.WriteResources, Scopes.AllResources]
+    }
+  },
+  '/resources/:id/phases/:phaseId/complete': {
+    post: {
+      controller: 'resource-controller',
+      method: 'completeResourcePhase',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.WriteResources, Scopes.AllResources]
+    }
+  },
+  '/challenges/:challengeId/resources': {
+    put: {
+      controller: 'resource-controller',
+      method: 'replaceChallengeResources',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.WriteResources, Scopes.AllResources]
+    },
+    delete: {
+      controller: 'resource-controller',
+      method: 'deleteChallengeResources',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.WriteResources, Scopes.AllResources]
+    }
+  },
+  '/challenges/:challengeId/members/access': {
+    get: {
+      controller: 'access-controller',
+      method: 'getMembersAccess',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.ReadResources, Scopes.AllResources]
+    }
+  },
+  '/challenges/:challengeId/members/:memberId/access': {
+    get: {
+      controller: 'access-controller',
+      method: 'getMemberAccess',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.ReadResources, Scopes.AllResources]
+    }
+  },
+  '/challenges/:challengeId/role-quotas': {
+    get: {
+      controller: 'role-quota-controller',
+      method: 'getChallengeQuotas',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.ReadResourceRoles, Scopes.AllResourceRoles]
+    }
+  },
+  '/challenges/:challengeId/role-quotas/:roleId': {
+    put: {
+      controller: 'role-quota-controller',
+      method: 'setChallengeQuota',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllResourceRoles]
+    },
+    delete: {
+      controller: 'role-quota-controller',
+      method: 'deleteChallengeQuota',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllResourceRoles]
+    }
+  },
+  '/challenges/:challengeId/phases': {
+    get: {
+      controller: 'challenge-phase-controller',
+      method: 'getChallengePhases',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.ReadPhases, Scopes.AllPhases]
+    },
+    post: {
+      controller: 'challenge-phase-controller',
+      method: 'createChallengePhase',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllPhases]
+    }
+  },
+  '/challenges/:challengeId/phases/:id': {
+    get: {
+      controller: 'challenge-phase-controller',
+      method: 'getChallengePhase',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.ReadPhases, Scopes.AllPhases]
+    },
+    patch: {
+      controller: 'challenge-phase-controller',
+      method: 'updateChallengePhase',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllPhases]
+    },
+    delete: {
+      controller: 'challenge-phase-controller',
+      method: 'deleteChallengePhase',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllPhases]
+    }
+  },
+  '/challenges/:challengeId/phases/:id/open': {
+    post: {
+      controller: 'challenge-phase-controller',
+      method: 'openChallengePhase',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllPhases]
+    }
+  },
+  '/challenges/:challengeId/phases/:id/close': {
+    post: {
+      controller: 'challenge-phase-controller',
+      method: 'closeChallengePhase',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllPhases]
+    }
+  },
+  '/resource-requests': {
+    get: {
+      controller: 'resource-request-controller',
+      method: 'getRequests',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.ReadResources, Scopes.AllResources]
+    },
+    post: {
+      controller: 'resource-request-controller',
+      method: 'createRequest',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.WriteResources, Scopes.AllResources]
+    }
+  },
+  '/resource-requests/:id': {
+    get: {
+      controller: 'resource-request-controller',
+      method: 'getRequest',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.ReadResources, Scopes.AllResources]
+    }
+  },
+  '/resource-requests/:id/approve': {
+    post: {
+      controller: 'resource-request-controller',
+      method: 'approveRequest',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.WriteResources, Scopes.AllResources]
+    }
+  },
+  '/resource-requests/:id/reject': {
+    post: {
+      controller: 'resource-request-controller',
+      method: 'rejectRequest',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.WriteResources, Scopes.AllResources]
+    }
+  },
+  '/resource-invitations': {
+    get: {
+      controller: 'resource-invitation-controller',
+      method: 'getInvitations',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.ReadResources, Scopes.AllResources]
+    },
+    post: {
+      controller: 'resource-invitation-controller',
+      method: 'createInvitation',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.WriteResources, Scopes.AllResources]
+    }
+  },
+  '/resource-invitations/accept': {
+    post: {
+      controller: 'resource-invitation-controller',
+      method: 'acceptInvitation',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User]
+    }
+  },
+  '/resource-invitations/decline': {
+    post: {
+      controller: 'resource-invitation-controller',
+      method: 'declineInvitation',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User]
+    }
+  },
+  '/resource-invitations/:id': {
+    get: {
+      controller: 'resource-invitation-controller',
+      method: 'getInvitation',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.ReadResources, Scopes.AllResources]
+    }
+  },
+  '/resource-invitations/:id/revoke': {
+    post: {
+      controller: 'resource-invitation-controller',
+      method: 'revokeInvitation',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.WriteResources, Scopes.AllResources]
+    }
+  },
+  '/resource-roles': {
+    get: {
+      controller: 'role-controller',
+      method: 'getRoles',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.ReadResourceRoles, Scopes.AllResourceRoles]
+    },
+    post: {
+      controller: 'role-controller',
+      method: 'createRole',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllResourceRoles]
+    }
+  },
+  '/resource-roles/phase-dependencies': {
+    get: {
+      controller: 'resource-role-phase-dependency-controller',
+      method: 'getDependencies',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.ReadResourceRoles, Scopes.AllResourceRoles]
+    },
+    post: {
+      controller: 'resource-role-phase-dependency-controller',
+      method: 'createDependency',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllResourceRoles]
+    }
+  },
+  '/resource-roles/phase-dependencies/matrix': {
+    get: {
+      controller: 'resource-role-phase-dependency-controller',
+      method: 'getDependencyMatrix',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.ReadResourceRoles, Scopes.AllResourceRoles]
+    }
+  },
+  '/resource-roles/phase-dependencies/:id': {
+    get: {
+      controller: 'resource-role-phase-dependency-controller',
+      method: 'getDependency',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.ReadResourceRoles, Scopes.AllResourceRoles]
+    },
+    put: {
+      controller: 'resource-role-phase-dependency-controller',
+      method: 'updateDependency',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllResourceRoles]
+    },
+    patch: {
+      controller: 'resource-role-phase-dependency-controller',
+      method: 'partiallyUpdateDependency',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllResourceRoles]
+    },
+    delete: {
+      controller: 'resource-role-phase-dependency-controller',
+      method: 'deleteDependency',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllResourceRoles]
+    }
+  },
+  '/resource-roles/exclusions': {
+    get: {
+      controller: 'role-exclusion-controller',
+      method: 'getExclusions',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.ReadResourceRoles, Scopes.AllResourceRoles]
+    },
+    post: {
+      controller: 'role-exclusion-controller',
+      method: 'createExclusion',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllResourceRoles]
+    }
+  },
+  '/resource-roles/exclusions/violations': {
+    get: {
+      controller: 'role-exclusion-controller',
+      method: 'getViolations',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot],
+      scopes: [Scopes.ReadResourceRoles, Scopes.AllResourceRoles]
+    }
+  },
+  '/resource-roles/exclusions/:id': {
+    get: {
+      controller: 'role-exclusion-controller',
+      method: 'getExclusion',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.ReadResourceRoles, Scopes.AllResourceRoles]
+    },
+    patch: {
+      controller: 'role-exclusion-controller',
+      method: 'updateExclusion',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllResourceRoles]
+    },
+    delete: {
+      controller: 'role-exclusion-controller',
+      method: 'deleteExclusion',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllResourceRoles]
+    }
+  },
+  '/resource-roles/:id': {
+    get: {
+      controller: 'role-controller',
+      method: 'getRole',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.ReadResourceRoles, Scopes.AllResourceRoles]
+    },
+    put: {
+      controller: 'role-controller',
+      method: 'updateRole',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllResourceRoles]
+    },
+    patch: {
+      controller: 'role-controller',
+      method: 'partiallyUpdateRole',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllResourceRoles]
+    },
+    delete: {
+      controller: 'role-controller',
+      method: 'deleteRole',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllResourceRoles]
+    }
+  },
+  '/resource-roles/:id/activate': {
+    post: {
+      controller: 'role-controller',
+      method: 'activateRole',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllResourceRoles]
+    }
+  },
+  '/resource-roles/:id/deactivate': {
+    post: {
+      controller: 'role-controller',
+      method: 'deactivateRole',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllResourceRoles]
+    }
+  },
+  '/resource-roles/:id/merge': {
+    post: {
+      controller: 'role-controller',
+      method: 'mergeRole',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllResourceRoles]
+    }
+  },
+  '/resource-roles/:id/effective': {
+    get: {
+      controller: 'role-controller',
+      method: 'getEffectiveRole',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.ReadResourceRoles, Scopes.AllResourceRoles]
+    }
+  },
+  '/resource-roles/:id/history': {
+    get: {
+      controller: 'role-controller',
+      method: 'getRoleHistory',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot],
+      scopes: [Scopes.ReadResourceRoles, Scopes.AllResourceRoles]
+    }
+  },
+  '/resource-roles/:roleId/phase-dependencies': {
+    put: {
+      controller: 'resource-role-phase-dependency-controller',
+      method: 'setRolePhases',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllResourceRoles]
+    }
+  },
+  '/resource-roles/:roleId/permissions': {
+    get: {
+      controller: 'permission-controller',
+      method: 'getRolePermissions',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.ReadResourceRoles, Scopes.AllResourceRoles]
+    },
+    put: {
+      controller: 'permission-controller',
+      method: 'setRolePermissions',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllResourceRoles]
+    },
+    post: {
+      controller: 'permission-controller',
+      method: 'addRolePermission',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllResourceRoles]
+    }
+  },
+  '/resource-roles/:roleId/permissions/:permissionId': {
+    delete: {
+      controller: 'permission-controller',
+      method: 'removeRolePermission',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllResourceRoles]
+    }
+  },
+  '/resource-permissions': {
+    get: {
+      controller: 'permission-controller',
+      method: 'getPermissions',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.ReadResourceRoles, Scopes.AllResourceRoles]
+    },
+    post: {
+      controller: 'permission-controller',
+      method: 'createPermission',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllResourceRoles]
+    }
+  },
+  '/resource-permissions/:id': {
+    get: {
+      controller: 'permission-controller',
+      method: 'getPermission',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.ReadResourceRoles, Scopes.AllResourceRoles]
+    },
+    put: {
+      controller: 'permission-controller',
+      method: 'updatePermission',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllResourceRoles]
+    },
+    patch: {
+      controller: 'permission-controller',
+      method: 'partiallyUpdatePermission',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllResourceRoles]
+    },
+    delete: {
+      controller: 'permission-controller',
+      method: 'deletePermission',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllResourceRoles]
+    }
+  },
+  '/resource-phases': {
+    get: {
+      controller: 'phase-controller',
+      method: 'getPhases',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.ReadPhases, Scopes.AllPhases]
+    },
+    post: {
+      controller: 'phase-controller',
+      method: 'createPhase',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllPhases]
+    }
+  },
+  '/resource-phases/:id': {
+    get: {
+      controller: 'phase-controller',
+      method: 'getPhase',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.ReadPhases, Scopes.AllPhases]
+    },
+    put: {
+      controller: 'phase-controller',
+      method: 'updatePhase',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllPhases]
+    },
+    patch: {
+      controller: 'phase-controller',
+      method: 'partiallyUpdatePhase',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllPhases]
+    },
+    delete: {
+      controller: 'phase-controller',
+      method: 'deletePhase',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllPhases]
+    }
+  },
+  '/resource-phases/:id/history': {
+    get: {
+      controller: 'phase-controller',
+      method: 'getPhaseHistory',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot],
+      scopes: [Scopes.ReadPhases, Scopes.AllPhases]
+    }
+  },
+  '/phase-templates': {
+    get: {
+      controller: 'phase-template-controller',
+      method: 'getTemplates',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.ReadPhases, Scopes.AllPhases]
+    },
+    post: {
+      controller: 'phase-template-controller',
+      method: 'createTemplate',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllPhases]
+    }
+  },
+  '/phase-templates/:id': {
+    get: {
+      controller: 'phase-template-controller',
+      method: 'getTemplate',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot, UserRoles.User],
+      scopes: [Scopes.ReadPhases, Scopes.AllPhases]
+    },
+    put: {
+      controller: 'phase-template-controller',
+      method: 'updateTemplate',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllPhases]
+    },
+    patch: {
+      controller: 'phase-template-controller',
+      method: 'partiallyUpdateTemplate',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllPhases]
+    },
+    delete: {
+      controller: 'phase-template-controller',
+      method: 'deleteTemplate',
+      auth: 'jwt',
+      access: [UserRoles.Admin],
+      scopes: [Scopes.AllPhases]
+    }
+  },
+  '/phase-templates/:id/history': {
+    get: {
+      controller: 'phase-template-controller',
+      method: 'getTemplateHistory',
+      auth: 'jwt',
+      access: [UserRoles.Admin, UserRoles.Copilot],
+      scopes: [Scopes.ReadPhases, Scopes.AllPhases]
+    }
+  }
+}
@@ -9,6 +9,7 @@ const axios = require('axios')
 const { PrismaClient } = require('@prisma/client')
 const logger = require('../common/logger')
 const helper = require('../common/helper')
+const { Permissions } = require('../constants')
 
 const prisma = new PrismaClient()
 
@@ -65,6 +66,27 @@ async function seedRoles() {
   logger.info(`Seeded ${rolesData.length} roles`)
 }
 
+/**
+ * Seed the permissions known by the API into the permission catalog, so they can be granted to roles
+ */
+async function seedPermissions() {
+  logger.info('Seeding permissions data...')
+
+  for (const name of Object.values(Permissions)) {
+    await prisma.permission.upsert({
+      where: { name },
+      update: {},
+      create: {
+        id: helper.generateUUID(),
+        name,
+        createdBy: 'system'
+      }
+    })
+  }
+
+  logger.info(`Seeded ${Object.values(Permissions).length} permissions`)
+}
+
 /**
  * Seed phases data
  */
@@ -156,6 +178,7 @@ async function seedData() {
     
     // Seed in sequence to maintain relationships
     await seedRoles()
+    await seedPermissions()
     await seedPhases()
     await seedResources()
     
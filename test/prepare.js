@@ -0,0 +1,27 @@
+/*
+ * Setting up the unit tests: chai with promises, and the Prisma client replaced by the stub of test/unit/prisma-stub.js
+ */
+process.env.NODE_ENV = 'test'
+
+const chai = require('chai')
+const chaiAsPromised = require('chai-as-promised')
+const prisma = require('./unit/prisma-stub')
+
+chai.use(chaiAsPromised)
+
+// The services create their client with new PrismaClient(), they all get the stub
+const prismaClientPath = require.resolve('@prisma/client')
+require.cache[prismaClientPath] = {
+  id: prismaClientPath,
+  filename: prismaClientPath,
+  loaded: true,
+  exports: {
+    PrismaClient: function PrismaClient () {
+      return prisma
+    },
+    // The values of the raw queries are recorded as they are
+    Prisma: {
+      join: values => values
+    }
+  }
+}
@@ -0,0 +1,80 @@
+/* eslint-env mocha */
+/*
+ * Unit tests of the audit service
+ */
+
+const { expect } = require('chai')
+const prisma = require('./prisma-stub')
+const AuditService = require('../../audit-service')
+
+describe('audit service', () => {
+  afterEach(() => prisma.reset())
+
+  describe('computeDiff', () => {
+    it('reports the changed fields with their old and new values', () => {
+      const diff = AuditService.computeDiff(
+        { roleId: 'reviewer-id', memberHandle: 'member', phases: ['review-id'] },
+        { roleId: 'submitter-id', memberHandle: 'member', phases: ['review-id', 'appeals-id'] }
+      )
+      expect(diff).to.deep.equal({
+        roleId: { from: 'reviewer-id', to: 'submitter-id' },
+        phases: { from: ['review-id'], to: ['review-id', 'appeals-id'] }
+      })
+    })
+
+    it('ignores the fields changing on every write', () => {
+      expect(AuditService.computeDiff({ updated: new Date(0), updatedBy: 'admin' }, { updated: new Date(), updatedBy: 'copilot' }))
+        .to.deep.equal({})
+    })
+
+    it('reports every field of a created or deleted entity', () => {
+      expect(AuditService.computeDiff(null, { name: 'Reviewer' })).to.deep.equal({ name: { from: null, to: 'Reviewer' } })
+      expect(AuditService.computeDiff({ name: 'Reviewer' }, null)).to.deep.equal({ name: { from: 'Reviewer', to: null } })
+    })
+  })
+
+  describe('recordAudit', () => {
+    it('stores the entry with the transaction client', async () => {
+      let data
+      prisma.auditLog.create = async (query) => {
+        data = query.data
+        return data
+      }
+      await AuditService.recordAudit(prisma, {
+        entityType: AuditService.EntityType.Role,
+        entityId: 'reviewer-id',
+        action: AuditService.Action.Update,
+        actor: 'admin',
+        before: { name: 'Reviewer' },
+        after: { name: 'Primary Reviewer' }
+      })
+      expect(data).to.include({ entityType: 'role', entityId: 'reviewer-id', action: 'update', actor: 'admin' })
+      expect(data.id).to.be.a('string')
+      expect(data.timestamp).to.be.an.instanceOf(Date)
+      expect(data.diff).to.deep.equal({ name: { from: 'Reviewer', to: 'Primary Reviewer' } })
+    })
+  })
+
+  describe('recordAudits', () => {
+    it('stores the entries in one insert', async () => {
+      let data
+      prisma.auditLog.createMany = async (query) => {
+        data = query.data
+        return { count: data.length }
+      }
+      const count = await AuditService.recordAudits(prisma, ['review-id', 'appeals-id'].map(phaseId => ({
+        entityType: AuditService.EntityType.RolePhaseDependency,
+        entityId: `${phaseId}-dependency-id`,
+        action: AuditService.Action.Create,
+        actor: 'admin',
+        after: { resourceRoleId: 'reviewer-id', phaseId }
+      })))
+      expect(count).to.equal(2)
+      expect(data.map(entry => entry.entityId)).to.deep.equal(['review-id-dependency-id', 'appeals-id-dependency-id'])
+    })
+
+    it('stores nothing without entries', async () => {
+      expect(await AuditService.recordAudits(prisma, [])).to.equal(0)
+    })
+  })
+})
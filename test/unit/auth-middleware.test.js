@@ -0,0 +1,106 @@
+/* eslint-env mocha */
+/*
+ * Unit tests of the authentication and authorization middleware
+ */
+
+const config = require('config')
+const jwt = require('jsonwebtoken')
+const { expect } = require('chai')
+const authMiddleware = require('../../auth-middleware')
+const { UserRoles, Scopes } = require('../../constants')
+
+/**
+ * Build a request
+ * @param {Object} fields the request fields
+ * @param {Object} headers the request headers
+ * @returns {Object} the request
+ */
+function buildRequest (fields, headers = {}) {
+  return Object.assign({ get: (name) => headers[name] }, fields)
+}
+
+/**
+ * Run a middleware and get the error it passes to the next middleware
+ * @param {Function} middleware the middleware
+ * @param {Object} req the request
+ * @returns {Error} the error, undefined if the request is accepted
+ */
+function run (middleware, req) {
+  let error
+  middleware(req, {}, (e) => {
+    error = e
+  })
+  return error
+}
+
+describe('auth middleware', () => {
+  const userToken = jwt.sign({
+    'https://topcoder-dev.com/userId': 123,
+    'https://topcoder-dev.com/handle': 'member',
+    'https://topcoder-dev.com/roles': ['Topcoder User']
+  }, config.AUTH_SECRET)
+  const machineToken = jwt.sign({ sub: 'client-id@clients', gty: 'client-credentials', scope: 'read:resources write:resources' }, config.AUTH_SECRET)
+
+  describe('authenticate', () => {
+    it('reads the user from the namespaced claims of a user token', () => {
+      const req = buildRequest({}, { Authorization: `Bearer ${userToken}` })
+      expect(run(authMiddleware.authenticate, req)).to.equal(undefined)
+      expect(req.authUser).to.deep.equal({ isMachine: false, userId: '123', handle: 'member', scopes: [], roles: ['topcoder user'] })
+    })
+
+    it('reads the scopes of an M2M token', () => {
+      const req = buildRequest({}, { Authorization: `Bearer ${machineToken}` })
+      expect(run(authMiddleware.authenticate, req)).to.equal(undefined)
+      expect(req.authUser).to.include({ isMachine: true, userId: 'client-id@clients' })
+      expect(req.authUser.scopes).to.deep.equal(['read:resources', 'write:resources'])
+    })
+
+    it('rejects a missing, malformed or wrongly signed token with 401', () => {
+      const tokens = [undefined, 'Basic abc', `Bearer ${jwt.sign({ handle: 'member', userId: 1 }, 'another-secret')}`]
+      for (const authorization of tokens) {
+        const error = run(authMiddleware.authenticate, buildRequest({}, { Authorization: authorization }))
+        expect(error.httpStatus).to.equal(401)
+      }
+    })
+  })
+
+  describe('authorize', () => {
+    const def = { access: [UserRoles.Copilot], scopes: [Scopes.WriteResources] }
+
+    it('allows the administrators, the users with a route role and the M2M tokens with a route scope', () => {
+      const authUsers = [
+        { isMachine: false, roles: [UserRoles.Admin] },
+        { isMachine: false, roles: [UserRoles.Copilot] },
+        { isMachine: true, roles: [], scopes: [Scopes.WriteResources] }
+      ]
+      for (const authUser of authUsers) {
+        expect(run(authMiddleware.authorize(def), buildRequest({ authUser }))).to.equal(undefined)
+      }
+    })
+
+    it('rejects the other callers with 403', () => {
+      const authUsers = [
+        { isMachine: false, roles: [UserRoles.User] },
+        { isMachine: true, roles: [], scopes: [Scopes.ReadResources] }
+      ]
+      for (const authUser of authUsers) {
+        expect(run(authMiddleware.authorize(def), buildRequest({ authUser })).httpStatus).to.equal(403)
+      }
+    })
+  })
+
+  describe('fillActorFields', () => {
+    it('replaces the actor fields sent by the client with the handle of the token', () => {
+      const req = buildRequest({ method: 'PATCH', authUser: { handle: 'member' }, body: { createdBy: 'someone', updatedBy: 'someone' } })
+      run(authMiddleware.fillActorFields, req)
+      expect(req.actor).to.equal('member')
+      expect(req.body).to.deep.equal({ updatedBy: 'member' })
+    })
+
+    it('fills each item of a bulk request', () => {
+      const req = buildRequest({ method: 'POST', authUser: { handle: 'admin' }, body: [{ memberId: '1' }, { memberId: '2', createdBy: 'x' }] })
+      run(authMiddleware.fillActorFields, req)
+      expect(req.body).to.deep.equal([{ memberId: '1', createdBy: 'admin' }, { memberId: '2', createdBy: 'admin' }])
+    })
+  })
+})
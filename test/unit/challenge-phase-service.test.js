@@ -0,0 +1,96 @@
+/* eslint-env mocha */
+/*
+ * Unit tests of the challenge phase service
+ */
+
+const _ = require('lodash')
+const { expect } = require('chai')
+const prisma = require('./prisma-stub')
+const ChallengePhaseService = require('../../challenge-phase-service')
+
+describe('challenge phase service', () => {
+  let challengePhase
+  let audits
+
+  beforeEach(() => {
+    audits = []
+    challengePhase = {
+      id: 'challenge-review-id',
+      challengeId: 'challenge-id',
+      phaseId: 'review-id',
+      phase: { id: 'review-id', name: 'Review' },
+      status: 'scheduled',
+      version: 1
+    }
+    prisma.challengePhase.findUnique = async ({ where }) => where.id === challengePhase.id ? challengePhase : null
+    prisma.challengePhase.findFirst = async ({ where }) => _.isMatch(challengePhase, where) ? challengePhase : null
+    prisma.challengePhase.update = async ({ where, data }) => _.assign({}, challengePhase, data, { version: where.version + 1 })
+    prisma.auditLog.create = async ({ data }) => {
+      audits.push(data)
+      return data
+    }
+  })
+
+  afterEach(() => prisma.reset())
+
+  describe('createChallengePhase', () => {
+    it('rejects a phase already scheduled on the challenge with 409', async () => {
+      prisma.phase.findUnique = async () => challengePhase.phase
+      const error = await expect(ChallengePhaseService.createChallengePhase({ challengeId: 'challenge-id', phaseId: 'review-id', createdBy: 'admin' }))
+        .to.be.rejected
+      expect(error.name).to.equal('ConflictError')
+    })
+
+    it('rejects a scheduled end date before the start date', async () => {
+      await expect(ChallengePhaseService.createChallengePhase({
+        challengeId: 'challenge-id',
+        phaseId: 'review-id',
+        scheduledStartDate: '2026-10-20T00:00:00Z',
+        scheduledEndDate: '2026-10-19T00:00:00Z',
+        createdBy: 'admin'
+      })).to.be.rejectedWith(/Invalid/)
+    })
+  })
+
+  describe('openChallengePhase', () => {
+    it('opens a scheduled phase with its actual start date', async () => {
+      const result = await ChallengePhaseService.openChallengePhase('challenge-id', 'challenge-review-id', 'copilot')
+      expect(result.status).to.equal('open')
+      expect(result.actualStartDate).to.be.an.instanceOf(Date)
+      expect(audits.map(audit => [audit.entityType, audit.action])).to.deep.equal([['challenge_phase', 'open']])
+    })
+
+    it('rejects a phase that is not scheduled with 409', async () => {
+      challengePhase.status = 'closed'
+      const error = await expect(ChallengePhaseService.openChallengePhase('challenge-id', 'challenge-review-id', 'copilot')).to.be.rejected
+      expect(error.name).to.equal('ConflictError')
+    })
+
+    it('rejects an opening racing with another change with 412', async () => {
+      prisma.challengePhase.update = async () => {
+        throw Object.assign(new Error('Record to update not found.'), { code: 'P2025' })
+      }
+      const error = await expect(ChallengePhaseService.openChallengePhase('challenge-id', 'challenge-review-id', 'copilot')).to.be.rejected
+      expect(error.name).to.equal('PreconditionFailedError')
+    })
+  })
+
+  describe('updateChallengePhase', () => {
+    it('rejects a scheduled end date before the kept start date with 400', async () => {
+      challengePhase.scheduledStartDate = new Date('2026-10-20T00:00:00Z')
+      const error = await expect(ChallengePhaseService.updateChallengePhase('challenge-id', 'challenge-review-id', {
+        scheduledEndDate: '2026-10-19T00:00:00Z',
+        updatedBy: 'copilot'
+      })).to.be.rejected
+      expect(error.name).to.equal('BadRequestError')
+    })
+  })
+
+  describe('deleteChallengePhase', () => {
+    it('rejects a phase that has been opened with 409', async () => {
+      challengePhase.status = 'open'
+      const error = await expect(ChallengePhaseService.deleteChallengePhase('challenge-id', 'challenge-review-id', 'copilot')).to.be.rejected
+      expect(error.name).to.equal('ConflictError')
+    })
+  })
+})
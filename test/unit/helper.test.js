@@ -0,0 +1,84 @@
+/* eslint-env mocha */
+/*
+ * Unit tests of the helper: the If-Match header and the version guard of the writes
+ */
+
+const { expect } = require('chai')
+const helper = require('../../helper')
+const errors = require('../../errors')
+
+/**
+ * Build a request with an If-Match header
+ * @param {String} ifMatch the header value
+ * @returns {Object} the request
+ */
+function withIfMatch (ifMatch) {
+  return { get: (name) => name === 'If-Match' ? ifMatch : undefined }
+}
+
+describe('helper', () => {
+  describe('generateUUID', () => {
+    it('generates a different UUID on each call', () => {
+      const id = helper.generateUUID()
+      expect(id).to.match(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/)
+      expect(helper.generateUUID()).not.to.equal(id)
+    })
+  })
+
+  describe('getIfMatchVersion', () => {
+    it('reads the version of a strong or weak ETag', () => {
+      expect(helper.getIfMatchVersion(withIfMatch('"3"'))).to.equal(3)
+      expect(helper.getIfMatchVersion(withIfMatch('W/"4"'))).to.equal(4)
+    })
+
+    it('accepts any version without the header or with *', () => {
+      expect(helper.getIfMatchVersion(withIfMatch(undefined))).to.equal(undefined)
+      expect(helper.getIfMatchVersion(withIfMatch('*'))).to.equal(undefined)
+    })
+
+    it('rejects a malformed header with 400', () => {
+      expect(() => helper.getIfMatchVersion(withIfMatch('abc'))).to.throw(errors.BadRequestError)
+        .with.property('httpStatus', 400)
+    })
+  })
+
+  describe('ensureVersion', () => {
+    it('accepts the current version or no version', () => {
+      expect(() => helper.ensureVersion({ version: 2 }, 2)).not.to.throw()
+      expect(() => helper.ensureVersion({ version: 2 }, undefined)).not.to.throw()
+    })
+
+    it('rejects a stale version with 412', () => {
+      expect(() => helper.ensureVersion({ version: 2 }, 1)).to.throw(errors.PreconditionFailedError)
+        .with.property('httpStatus', 412)
+    })
+  })
+
+  describe('guardVersion', () => {
+    it('returns the result of the write', async () => {
+      expect(await helper.guardVersion(Promise.resolve({ id: 'id' }), { version: 1 })).to.deep.equal({ id: 'id' })
+    })
+
+    it('reports a write rejected with P2025 as 412', async () => {
+      const write = Promise.reject(Object.assign(new Error('Record to update not found.'), { code: 'P2025' }))
+      await expect(helper.guardVersion(write, { version: 1 })).to.be.rejectedWith(errors.PreconditionFailedError)
+    })
+
+    it('rethrows the other errors', async () => {
+      const write = Promise.reject(new Error('connection lost'))
+      await expect(helper.guardVersion(write, { version: 1 })).to.be.rejectedWith('connection lost')
+    })
+  })
+
+  describe('guardReferences', () => {
+    it('reports a delete rejected with P2003 as 409', async () => {
+      const write = Promise.reject(Object.assign(new Error('Foreign key constraint failed'), { code: 'P2003' }))
+      await expect(helper.guardReferences(write, 'Phase review-id is in use')).to.be.rejectedWith(errors.ConflictError, 'Phase review-id is in use')
+    })
+
+    it('rethrows the other errors', async () => {
+      const write = Promise.reject(Object.assign(new Error('Record to delete does not exist.'), { code: 'P2025' }))
+      await expect(helper.guardReferences(write, 'Phase review-id is in use')).to.be.rejectedWith('Record to delete does not exist.')
+    })
+  })
+})
@@ -0,0 +1,167 @@
+/* eslint-env mocha */
+/*
+ * Unit tests of the permission service
+ */
+
+const _ = require('lodash')
+const { expect } = require('chai')
+const prisma = require('./prisma-stub')
+const PermissionService = require('../../permission-service')
+
+describe('permission service', () => {
+  const manageResources = { id: 'manage-id', name: 'manage:resources' }
+  const viewSubmissions = { id: 'view-id', name: 'view:submissions' }
+  let rolePermissions
+  let audits
+
+  beforeEach(() => {
+    audits = []
+    rolePermissions = [
+      { id: 'reviewer-manage-id', roleId: 'reviewer-id', permissionId: 'manage-id', createdBy: 'admin' }
+    ]
+    prisma.role.findUnique = async ({ where }) => ({
+      id: where.id,
+      name: 'Reviewer',
+      fullAccess: false,
+      permissions: _.filter(rolePermissions, { roleId: where.id })
+        .map(rp => _.assign({}, rp, { permission: _.find([manageResources, viewSubmissions], { id: rp.permissionId }) }))
+    })
+    prisma.rolePermission.findMany = async ({ where }) => _.filter(rolePermissions, where)
+    prisma.auditLog.create = async ({ data }) => {
+      audits.push(data)
+      return data
+    }
+    prisma.auditLog.createMany = async ({ data }) => {
+      audits.push(...data)
+      return { count: data.length }
+    }
+  })
+
+  afterEach(() => prisma.reset())
+
+  describe('getEffectivePermissions', () => {
+    it('grants the assigned permissions of the roles', async () => {
+      const permissions = await PermissionService.getEffectivePermissions([
+        { permissions: [{ permission: viewSubmissions }] },
+        { permissions: [{ permission: manageResources }, { permission: viewSubmissions }] }
+      ])
+      expect(permissions).to.deep.equal(['manage:resources', 'view:submissions'])
+    })
+
+    it('grants every permission to a full access role', async () => {
+      prisma.permission.findMany = async () => [{ id: 'edit-id', name: 'edit:scorecards' }]
+      const permissions = await PermissionService.getEffectivePermissions([{ fullAccess: true, permissions: [] }])
+      expect(permissions).to.deep.equal(['edit:scorecards', 'manage:resources', 'view:submissions'])
+    })
+  })
+
+  describe('createPermission', () => {
+    it('rejects a name already in the catalog with 409', async () => {
+      prisma.permission.findUnique = async () => manageResources
+      const error = await expect(PermissionService.createPermission({ name: 'manage:resources', createdBy: 'admin' })).to.be.rejected
+      expect(error.name).to.equal('ConflictError')
+    })
+
+    it('records the created permission in the audit log', async () => {
+      prisma.permission.findUnique = async () => null
+      prisma.permission.create = async ({ data }) => data
+      const result = await PermissionService.createPermission({ name: 'edit:scorecards', createdBy: 'admin' })
+      expect(audits).to.have.length(1)
+      expect(audits[0]).to.include({ entityType: 'permission', entityId: result.id, action: 'create', actor: 'admin' })
+    })
+  })
+
+  describe('deletePermission', () => {
+    it('records the permission and its removal from the roles in the audit log', async () => {
+      prisma.permission.findUnique = async () => manageResources
+      prisma.permission.delete = async () => manageResources
+      await PermissionService.deletePermission('manage-id', 'admin')
+      expect(audits.map(audit => [audit.entityType, audit.action, audit.entityId])).to.deep.equal([
+        ['role_permission', 'delete', 'reviewer-manage-id'],
+        ['permission', 'delete', 'manage-id']
+      ])
+    })
+  })
+
+  describe('setRolePermissions', () => {
+    it('replaces the permissions of the role and audits each change', async () => {
+      let removed
+      prisma.permission.findMany = async () => [viewSubmissions]
+      prisma.rolePermission.deleteMany = async ({ where }) => {
+        removed = where
+        rolePermissions = rolePermissions.filter(rp => where.permissionId.notIn.includes(rp.permissionId))
+        return { count: 1 }
+      }
+      prisma.rolePermission.createMany = async ({ data }) => {
+        rolePermissions.push(...data)
+        return { count: data.length }
+      }
+
+      const result = await PermissionService.setRolePermissions('reviewer-id', ['view-id'], 'admin')
+      expect(removed).to.deep.equal({ roleId: 'reviewer-id', permissionId: { notIn: ['view-id'] } })
+      expect(result.permissions.map(permission => permission.name)).to.deep.equal(['view:submissions'])
+      expect(audits.map(audit => [audit.entityType, audit.action, audit.entityId])).to.deep.equal([
+        ['role_permission', 'delete', 'reviewer-manage-id'],
+        ['role_permission', 'create', rolePermissions[0].id]
+      ])
+      expect(audits[1].after).to.include({ roleId: 'reviewer-id', permissionId: 'view-id', createdBy: 'admin' })
+    })
+
+    it('rejects unknown permissions with 400 before any write', async () => {
+      prisma.permission.findMany = async () => []
+      const error = await expect(PermissionService.setRolePermissions('reviewer-id', ['unknown-id'], 'admin')).to.be.rejected
+      expect(error.name).to.equal('BadRequestError')
+    })
+  })
+
+  describe('addRolePermission', () => {
+    it('rejects a permission the role already has with 409', async () => {
+      prisma.permission.findUnique = async () => manageResources
+      const error = await expect(PermissionService.addRolePermission('reviewer-id', 'manage-id', 'admin')).to.be.rejected
+      expect(error.name).to.equal('ConflictError')
+    })
+
+    it('records the assigned permission in the audit log', async () => {
+      prisma.permission.findUnique = async () => viewSubmissions
+      prisma.rolePermission.create = async ({ data }) => {
+        rolePermissions.push(data)
+        return data
+      }
+      const result = await PermissionService.addRolePermission('reviewer-id', 'view-id', 'admin')
+      expect(result.effectivePermissions).to.deep.equal(['manage:resources', 'view:submissions'])
+      expect(audits).to.have.length(1)
+      expect(audits[0]).to.include({ entityType: 'role_permission', action: 'create', actor: 'admin' })
+    })
+  })
+
+  describe('removeRolePermission', () => {
+    it('records the removed permission in the audit log', async () => {
+      prisma.rolePermission.delete = async ({ where }) => _.find(rolePermissions, { id: where.id })
+      await PermissionService.removeRolePermission('reviewer-id', 'manage-id', 'admin')
+      expect(audits).to.have.length(1)
+      expect(audits[0]).to.include({ entityType: 'role_permission', entityId: 'reviewer-manage-id', action: 'delete', actor: 'admin' })
+      expect(audits[0].before).to.deep.equal({ id: 'reviewer-manage-id', roleId: 'reviewer-id', permissionId: 'manage-id', createdBy: 'admin' })
+    })
+
+    it('rejects a permission the role does not have with 404', async () => {
+      const error = await expect(PermissionService.removeRolePermission('reviewer-id', 'view-id', 'admin')).to.be.rejected
+      expect(error.name).to.equal('NotFoundError')
+    })
+  })
+
+  describe('getRolePermissions', () => {
+    it('reports the permissions the role inherits from its ancestors as effective', async () => {
+      const primaryReviewer = { id: 'primary-reviewer-id', name: 'Primary Reviewer', parentId: 'reviewer-id', fullAccess: false, permissions: [] }
+      const findRole = prisma.role.findUnique
+      prisma.role.findUnique = async (query) => query.where.id === 'primary-reviewer-id' ? primaryReviewer : findRole(query)
+
+      const result = await PermissionService.getRolePermissions('primary-reviewer-id')
+      expect(result).to.deep.equal({
+        roleId: 'primary-reviewer-id',
+        fullAccess: false,
+        permissions: [],
+        effectivePermissions: ['manage:resources']
+      })
+    })
+  })
+})
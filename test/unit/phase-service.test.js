@@ -0,0 +1,114 @@
+/* eslint-env mocha */
+/*
+ * Unit tests of the phase service
+ */
+
+const _ = require('lodash')
+const { expect } = require('chai')
+const prisma = require('./prisma-stub')
+const PhaseService = require('../../phase-service')
+
+describe('phase service', () => {
+  let phase
+  let audits
+
+  beforeEach(() => {
+    audits = []
+    phase = { id: 'review-id', name: 'Review', description: 'Review phase', createdBy: 'admin', version: 1 }
+    prisma.phase.findUnique = async ({ where }) => where.id === phase.id || where.name === phase.name ? phase : null
+    prisma.auditLog.create = async ({ data }) => {
+      audits.push(data)
+      return data
+    }
+  })
+
+  afterEach(() => prisma.reset())
+
+  describe('updatePhase', () => {
+    let update
+
+    beforeEach(() => {
+      prisma.phase.update = async (query) => {
+        update = query
+        return _.assign({}, phase, _.omit(query.data, 'version'), { version: 2 })
+      }
+    })
+
+    it('clears the omitted fields in a full update', async () => {
+      const result = await PhaseService.updatePhase('review-id', { name: 'Final Review', updatedBy: 'admin' }, { isFull: true })
+      expect(update.data).to.include({ name: 'Final Review', description: null })
+      expect(result).to.include({ name: 'Final Review', description: null, version: 2 })
+    })
+
+    it('keeps the omitted fields and clears the null ones in a partial update', async () => {
+      await PhaseService.updatePhase('review-id', { name: 'Final Review', updatedBy: 'admin' })
+      expect(update.data).to.include({ name: 'Final Review', description: 'Review phase' })
+
+      await PhaseService.updatePhase('review-id', { description: null, updatedBy: 'admin' })
+      expect(update.data).to.include({ name: 'Review', description: null })
+    })
+
+    it('requires the name in a full update', async () => {
+      await expect(PhaseService.updatePhase('review-id', { description: 'Review', updatedBy: 'admin' }, { isFull: true }))
+        .to.be.rejectedWith(/Invalid phase data/)
+    })
+  })
+
+  describe('deletePhase', () => {
+    beforeEach(() => {
+      prisma.challengePhase.count = async () => 0
+      prisma.phaseTemplateStep.count = async () => 0
+    })
+
+    it('counts the resources, the challenges and the templates of the phase in the transaction deleting it', async () => {
+      let deleted = false
+      delete prisma.challengePhase.count
+      delete prisma.phaseTemplateStep.count
+      prisma.$transaction = async (fn) => {
+        prisma.resourcePhase.count = async () => 0
+        prisma.challengePhase.count = async () => 0
+        prisma.phaseTemplateStep.count = async () => 0
+        prisma.phase.delete = async () => {
+          deleted = true
+          return phase
+        }
+        return fn(prisma)
+      }
+      await PhaseService.deletePhase('review-id', 'admin')
+      expect(deleted).to.equal(true)
+      expect(audits.map(audit => audit.action)).to.deep.equal(['delete'])
+    })
+
+    it('rejects a phase used by a resource with 409', async () => {
+      prisma.resourcePhase.count = async () => 2
+      const error = await expect(PhaseService.deletePhase('review-id', 'admin')).to.be.rejected
+      expect(error.name).to.equal('ConflictError')
+      expect(error.message).to.equal('Phase review-id is used by 2 resource(s)')
+    })
+
+    it('rejects a phase scheduled on a challenge with 409', async () => {
+      prisma.resourcePhase.count = async () => 0
+      prisma.challengePhase.count = async () => 3
+      const error = await expect(PhaseService.deletePhase('review-id', 'admin')).to.be.rejected
+      expect(error.message).to.equal('Phase review-id is scheduled on 3 challenge(s)')
+    })
+
+    it('rejects a phase used by a phase template with 409', async () => {
+      prisma.resourcePhase.count = async () => 0
+      prisma.phaseTemplateStep.count = async () => 1
+      const error = await expect(PhaseService.deletePhase('review-id', 'admin')).to.be.rejected
+      expect(error.message).to.equal('Phase review-id is used by 1 phase template(s)')
+    })
+
+    it('rejects a phase referenced since the count with 409', async () => {
+      prisma.resourcePhase.count = async () => 0
+      prisma.phase.delete = async () => {
+        throw Object.assign(new Error('Foreign key constraint failed on the field: `phaseId`'), { code: 'P2003' })
+      }
+      const error = await expect(PhaseService.deletePhase('review-id', 'admin')).to.be.rejected
+      expect(error.name).to.equal('ConflictError')
+      expect(error.httpStatus).to.equal(409)
+      expect(audits).to.have.length(0)
+    })
+  })
+})
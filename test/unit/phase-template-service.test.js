@@ -0,0 +1,111 @@
+/* eslint-env mocha */
+/*
+ * Unit tests of the phase template service
+ */
+
+const { expect } = require('chai')
+const prisma = require('./prisma-stub')
+const PhaseTemplateService = require('../../phase-template-service')
+
+describe('phase template service', () => {
+  const phases = [
+    { id: 'registration-id', name: 'Registration' },
+    { id: 'submission-id', name: 'Submission' },
+    { id: 'review-id', name: 'Review' }
+  ]
+  let template
+  let audits
+
+  beforeEach(() => {
+    audits = []
+    template = {
+      id: 'template-id',
+      name: 'Code Challenge',
+      version: 1,
+      steps: phases.map((phase, index) => ({ step: index + 1, phaseId: phase.id, phase, predecessorIds: [] }))
+    }
+    prisma.phase.findMany = async ({ where }) => phases.filter(phase => where.id.in.includes(phase.id))
+    prisma.phaseTemplate.findUnique = async ({ where }) => where.id === template.id ? template : null
+    prisma.auditLog.create = async ({ data }) => {
+      audits.push(data)
+      return data
+    }
+  })
+
+  afterEach(() => prisma.reset())
+
+  describe('createTemplate', () => {
+    const steps = [
+      { phaseId: 'registration-id' },
+      { phaseId: 'submission-id', predecessors: ['review-id'] },
+      { phaseId: 'review-id', predecessors: ['submission-id'] }
+    ]
+
+    it('rejects cyclic step dependencies with 400 naming the cycle', async () => {
+      const error = await expect(PhaseTemplateService.createTemplate({ name: 'Design Challenge', steps, createdBy: 'admin' })).to.be.rejected
+      expect(error.name).to.equal('BadRequestError')
+      expect(error.message).to.equal('Phase template steps have a cyclic dependency: Submission -> Review -> Submission')
+    })
+
+    it('rejects a step placed before its predecessors with 400', async () => {
+      const error = await expect(PhaseTemplateService.createTemplate({
+        name: 'Design Challenge',
+        steps: [{ phaseId: 'review-id', predecessors: ['submission-id'] }, { phaseId: 'submission-id' }],
+        createdBy: 'admin'
+      })).to.be.rejected
+      expect(error.message).to.equal('Phase review-id must come after its predecessors submission-id')
+    })
+
+    it('rejects unknown phases with 400', async () => {
+      const error = await expect(PhaseTemplateService.createTemplate({ name: 'Design Challenge', steps: [{ phaseId: 'unknown-id' }], createdBy: 'admin' }))
+        .to.be.rejected
+      expect(error.name).to.equal('BadRequestError')
+    })
+  })
+
+  describe('updateTemplate', () => {
+    it('rejects an update racing with another change with 412', async () => {
+      prisma.phaseTemplate.update = async () => {
+        throw Object.assign(new Error('Record to update not found.'), { code: 'P2025' })
+      }
+      const error = await expect(PhaseTemplateService.updateTemplate('template-id', { name: 'Code', updatedBy: 'admin' }, { version: 1 }))
+        .to.be.rejected
+      expect(error.name).to.equal('PreconditionFailedError')
+    })
+
+    it('rejects a stale If-Match version with 412 before any write', async () => {
+      const error = await expect(PhaseTemplateService.updateTemplate('template-id', { name: 'Code', updatedBy: 'admin' }, { version: 2 }))
+        .to.be.rejected
+      expect(error.name).to.equal('PreconditionFailedError')
+    })
+  })
+
+  describe('deleteTemplate', () => {
+    it('deletes the template guarded by its version and records it in the audit log', async () => {
+      let deleted
+      prisma.phaseTemplate.delete = async (query) => {
+        deleted = query.where
+        return template
+      }
+      await PhaseTemplateService.deleteTemplate('template-id', 'admin')
+      expect(deleted).to.deep.equal({ id: 'template-id', version: 1 })
+      expect(audits.map(audit => [audit.entityType, audit.action])).to.deep.equal([['phase_template', 'delete']])
+    })
+  })
+
+  describe('getPhaseIdsFromStep', () => {
+    it('returns the phases from the step on, in order', async () => {
+      expect(await PhaseTemplateService.getPhaseIdsFromStep('template-id', 2)).to.deep.equal(['submission-id', 'review-id'])
+    })
+
+    it('rejects a step beyond the last step with 400', async () => {
+      const error = await expect(PhaseTemplateService.getPhaseIdsFromStep('template-id', 4)).to.be.rejected
+      expect(error.message).to.equal('Phase template Code Challenge has only 3 step(s)')
+    })
+
+    it('rejects an unknown template with 400', async () => {
+      const error = await expect(PhaseTemplateService.getPhaseIdsFromStep('unknown-id', 1)).to.be.rejected
+      expect(error.name).to.equal('BadRequestError')
+    })
+  })
+})
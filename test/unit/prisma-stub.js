@@ -0,0 +1,56 @@
+/*
+ * The Prisma client stub of the unit tests.
+ * A test sets the model methods it expects, e.g. prisma.resource.findUnique = async () => resource,
+ * any other model method fails the test. The transactions run with the stub as transaction client.
+ */
+
+/**
+ * Build the stub of a model, the methods not set by the test fail
+ * @param {String} model the model name
+ * @returns {Object} the model stub
+ */
+function stubModel (model) {
+  return new Proxy({}, {
+    get (target, method) {
+      if (method in target) {
+        return target[method]
+      }
+      return async () => {
+        throw new Error(`Unexpected call to prisma.${model}.${String(method)}`)
+      }
+    }
+  })
+}
+
+const client = {}
+
+// The models are stubbed on first use, e.g. prisma.resource
+const prisma = new Proxy(client, {
+  get (target, name) {
+    if (!(name in target) && typeof name === 'string') {
+      target[name] = stubModel(name)
+    }
+    return target[name]
+  }
+})
+
+/**
+ * Reset the stub, each test starts without any model method
+ */
+function reset () {
+  for (const name of Object.keys(client)) {
+    delete client[name]
+  }
+  client.reset = reset
+  // The raw queries, i.e. the row locks, run by the tests
+  client.queries = []
+  client.$transaction = async (fn) => fn(prisma)
+  client.$queryRaw = async (strings, ...values) => {
+    client.queries.push({ sql: strings.join('?'), values })
+    return []
+  }
+}
+
+reset()
+
+module.exports = prisma
@@ -0,0 +1,195 @@
+/* eslint-env mocha */
+/*
+ * Unit tests of the resource authorization service
+ */
+
+const _ = require('lodash')
+const { expect } = require('chai')
+const prisma = require('./prisma-stub')
+const ResourceAuthorizationService = require('../../resource-authorization-service')
+
+const admin = { isMachine: false, userId: 'admin-id', handle: 'admin', scopes: [], roles: ['administrator'] }
+const member = { isMachine: false, userId: 'member-id', handle: 'member', scopes: [], roles: ['topcoder user'] }
+const machine = { isMachine: true, userId: 'client-id@clients', handle: 'client-id@clients', scopes: ['write:resources'], roles: [] }
+
+describe('resource authorization service', () => {
+  const submitter = { id: 'submitter-id', name: 'Submitter', selfObtainable: true, permissions: [] }
+  const reviewer = { id: 'reviewer-id', name: 'Reviewer', selfObtainable: false, permissions: [] }
+  const copilot = { id: 'copilot-id', name: 'Copilot', fullAccess: true, permissions: [] }
+  const manager = { id: 'manager-id', name: 'Manager', fullAccess: false, permissions: [{ permission: { name: 'manage:resources' } }] }
+  const primaryManager = { id: 'primary-manager-id', name: 'Primary Manager', parentId: 'manager-id', permissions: [] }
+  // The resources held on the challenges
+  let resources
+
+  /**
+   * Give a role on a challenge to a member
+   * @param {String} challengeId the challenge id
+   * @param {Object} role the role
+   * @param {String} memberId the member id
+   */
+  function hold (challengeId, role, memberId = 'member-id') {
+    resources.push({
+      id: role.id.replace('-id', '-resource-id'),
+      challengeId,
+      memberId,
+      memberHandle: memberId.replace('-id', ''),
+      roleId: role.id,
+      role,
+      resourcePhases: []
+    })
+  }
+
+  beforeEach(() => {
+    resources = []
+    prisma.role.findUnique = async ({ where }) => _.find([submitter, reviewer, copilot, manager, primaryManager], { id: where.id }) || null
+    prisma.permission.findMany = async () => []
+    prisma.resource.findMany = async ({ where }) => resources.filter(resource => resource.challengeId === where.challengeId &&
+      (where.memberId.in ? where.memberId.in.includes(resource.memberId) : resource.memberId === where.memberId))
+  })
+
+  afterEach(() => prisma.reset())
+
+  describe('isTrusted', () => {
+    it('trusts the administrators and the M2M tokens only', () => {
+      expect(ResourceAuthorizationService.isTrusted(admin)).to.equal(true)
+      expect(ResourceAuthorizationService.isTrusted(machine)).to.equal(true)
+      expect(ResourceAuthorizationService.isTrusted(member)).to.equal(false)
+    })
+
+    it('denies a missing caller with 403', () => {
+      expect(() => ResourceAuthorizationService.isTrusted(undefined)).to.throw()
+        .with.property('httpStatus', 403)
+    })
+  })
+
+  describe('checkCreateAccess', () => {
+    it('lets a member register themselves with a self obtainable role and their own handle', async () => {
+      const resource = { challengeId: 'challenge-id', memberId: 'member-id', memberHandle: 'someone-else', roleId: 'submitter-id' }
+      await ResourceAuthorizationService.checkCreateAccess(member, resource, submitter)
+      expect(resource.memberHandle).to.equal('member')
+    })
+
+    it('rejects a member registering someone else with 403', async () => {
+      const resource = { challengeId: 'challenge-id', memberId: 'other-id', roleId: 'submitter-id' }
+      const error = await expect(ResourceAuthorizationService.checkCreateAccess(member, resource, submitter)).to.be.rejected
+      expect(error.httpStatus).to.equal(403)
+    })
+
+    it('rejects a member taking a role that is not self obtainable with 403', async () => {
+      const resource = { challengeId: 'challenge-id', memberId: 'member-id', roleId: 'reviewer-id' }
+      const error = await expect(ResourceAuthorizationService.checkCreateAccess(member, resource, reviewer)).to.be.rejected
+      expect(error.httpStatus).to.equal(403)
+    })
+
+    it('lets an administrator create any resource', async () => {
+      const resource = { challengeId: 'challenge-id', memberId: 'other-id', memberHandle: 'other', roleId: 'reviewer-id' }
+      await ResourceAuthorizationService.checkCreateAccess(admin, resource, reviewer)
+      expect(resource.memberHandle).to.equal('other')
+    })
+
+    it('denies a missing caller with 403', async () => {
+      const resource = { challengeId: 'challenge-id', memberId: 'member-id', roleId: 'submitter-id' }
+      const error = await expect(ResourceAuthorizationService.checkCreateAccess(undefined, resource, submitter)).to.be.rejected
+      expect(error.httpStatus).to.equal(403)
+    })
+  })
+
+  describe('checkDeleteAccess', () => {
+    it('lets a member unregister their own self obtained resource only', async () => {
+      await ResourceAuthorizationService.checkDeleteAccess(member, { challengeId: 'challenge-id', memberId: 'member-id' }, submitter)
+
+      for (const [resource, role] of [[{ memberId: 'other-id' }, submitter], [{ memberId: 'member-id' }, reviewer]]) {
+        const error = await expect(ResourceAuthorizationService.checkDeleteAccess(member, resource, role)).to.be.rejected
+        expect(error.httpStatus).to.equal(403)
+      }
+    })
+  })
+
+  describe('full access role', () => {
+    beforeEach(() => {
+      hold('challenge-id', copilot)
+    })
+
+    it('lets a full access role holder create, update and delete any resource of their challenge', async () => {
+      const resource = { challengeId: 'challenge-id', memberId: 'other-id', memberHandle: 'other', roleId: 'reviewer-id' }
+      await ResourceAuthorizationService.checkCreateAccess(member, resource, reviewer)
+      expect(resource.memberHandle).to.equal('other')
+      await ResourceAuthorizationService.checkUpdateAccess(member, resource, resource)
+      await ResourceAuthorizationService.checkDeleteAccess(member, resource, reviewer)
+    })
+
+    it('rejects the resources of another challenge with 403', async () => {
+      const resource = { challengeId: 'other-challenge-id', memberId: 'other-id', roleId: 'reviewer-id' }
+      for (const check of [
+        () => ResourceAuthorizationService.checkCreateAccess(member, resource, reviewer),
+        () => ResourceAuthorizationService.checkUpdateAccess(member, resource, resource),
+        () => ResourceAuthorizationService.checkDeleteAccess(member, resource, reviewer)
+      ]) {
+        const error = await expect(check()).to.be.rejected
+        expect(error.httpStatus).to.equal(403)
+      }
+    })
+
+    it('rejects a resource moved to a challenge where the holder has no full access role with 403', async () => {
+      const existingResource = { challengeId: 'challenge-id', memberId: 'other-id', roleId: 'reviewer-id' }
+      const error = await expect(ResourceAuthorizationService.checkUpdateAccess(member, existingResource,
+        { challengeId: 'other-challenge-id', memberId: 'other-id', roleId: 'reviewer-id' })).to.be.rejected
+      expect(error.message).to.equal('You are not allowed to update this resource: no role granting manage:resources on the challenge')
+    })
+  })
+
+  describe('manage:resources permission', () => {
+    it('lets a holder of a role granting the permission manage the resources of their challenge only', async () => {
+      hold('challenge-id', manager)
+      const resource = { challengeId: 'challenge-id', memberId: 'other-id', memberHandle: 'other', roleId: 'reviewer-id' }
+      await ResourceAuthorizationService.checkCreateAccess(member, resource, reviewer)
+      await ResourceAuthorizationService.checkUpdateAccess(member, resource, resource)
+      await ResourceAuthorizationService.checkDeleteAccess(member, resource, reviewer)
+
+      const error = await expect(ResourceAuthorizationService.checkDeleteAccess(member, _.assign({}, resource, { challengeId: 'other-challenge-id' }), reviewer))
+        .to.be.rejected
+      expect(error.httpStatus).to.equal(403)
+    })
+
+    it('lets a holder of a role inheriting the permission from its parent manage the resources of their challenge', async () => {
+      hold('challenge-id', primaryManager)
+      const resource = { challengeId: 'challenge-id', memberId: 'other-id', memberHandle: 'other', roleId: 'reviewer-id' }
+      await ResourceAuthorizationService.checkDeleteAccess(member, resource, reviewer)
+    })
+  })
+
+  describe('getMembersAccess', () => {
+    beforeEach(() => {
+      hold('challenge-id', submitter)
+      resources[0].resourcePhases = [{ phase: { id: 'submission-id', name: 'Submission' } }]
+      hold('challenge-id', copilot, 'other-id')
+    })
+
+    it('combines the roles, phases and capabilities of the resources of each member', async () => {
+      prisma.permission.findMany = async () => [{ id: 'view-id', name: 'view:submissions' }]
+      const [own, other, none] = await ResourceAuthorizationService.getMembersAccess(admin, 'challenge-id', ['member-id', 'other-id', 'unknown-id'])
+      expect(own).to.deep.include({
+        challengeId: 'challenge-id',
+        memberId: 'member-id',
+        memberHandle: 'member',
+        fullAccess: false,
+        phases: [{ id: 'submission-id', name: 'Submission' }],
+        capabilities: ['view:challenge', 'unregister:self']
+      })
+      expect(other).to.deep.include({ permissions: ['manage:resources', 'view:submissions'] })
+      expect(other.capabilities).to.deep.equal(['view:challenge', 'manage:resources', 'view:submissions'])
+      expect(none).to.deep.include({ memberHandle: null, roles: [], capabilities: [] })
+    })
+
+    it('lets a member get their own access only, unless they hold a full access role on the challenge', async () => {
+      const access = await ResourceAuthorizationService.getMemberAccess(member, 'challenge-id', 'member-id')
+      expect(access.roles.map(role => role.resourceId)).to.deep.equal(['submitter-resource-id'])
+
+      const error = await expect(ResourceAuthorizationService.getMemberAccess(member, 'challenge-id', 'other-id')).to.be.rejected
+      expect(error.httpStatus).to.equal(403)
+
+      hold('challenge-id', copilot)
+      expect(await ResourceAuthorizationService.getMemberAccess(member, 'challenge-id', 'other-id')).to.include({ fullAccess: true })
+    })
+  })
+})
@@ -0,0 +1,139 @@
+/* eslint-env mocha */
+/*
+ * Unit tests of the role phase dependencies enforced on the phase assignments
+ */
+
+const { expect } = require('chai')
+const prisma = require('./prisma-stub')
+const ResourceDependencyService = require('../../resource-dependency-service (1)')
+
+const role = { id: 'role-id', name: 'Reviewer' }
+const phases = {
+  'review-id': { id: 'review-id', name: 'Review' },
+  'submission-id': { id: 'submission-id', name: 'Submission' }
+}
+
+describe('resource dependency service', () => {
+  let allowedPhaseIds
+
+  beforeEach(() => {
+    allowedPhaseIds = ['review-id']
+    prisma.role.findUnique = async () => role
+    prisma.phase.findUnique = async ({ where }) => phases[where.id] || null
+    prisma.resourceRolePhaseDependency.findMany = async ({ where }) => allowedPhaseIds
+      .filter(phaseId => where.phaseId.in.includes(phaseId))
+      .map(phaseId => ({ resourceRoleId: role.id, phaseId }))
+  })
+
+  afterEach(() => prisma.reset())
+
+  describe('ensureRolePhasesDependency', () => {
+    it('accepts no phases without any query', async () => {
+      delete prisma.role.findUnique
+      await ResourceDependencyService.ensureRolePhasesDependency(role.id, [])
+    })
+
+    it('accepts the phases the role is allowed in', async () => {
+      await ResourceDependencyService.ensureRolePhasesDependency(role.id, ['review-id', 'review-id'])
+    })
+
+    it('rejects the phases the role is not allowed in with 400 and the violating pairs', async () => {
+      const error = await expect(ResourceDependencyService.ensureRolePhasesDependency(role.id, ['review-id', 'submission-id']))
+        .to.be.rejectedWith('Role Reviewer is not allowed in phases: Submission')
+      expect(error.name).to.equal('BadRequestError')
+      expect(error.details).to.deep.equal([{ roleId: role.id, roleName: 'Reviewer', phaseId: 'submission-id', phaseName: 'Submission' }])
+    })
+
+    it('rejects an unknown role or phase with 404', async () => {
+      await expect(ResourceDependencyService.ensureRolePhasesDependency(role.id, ['unknown-id']))
+        .to.be.rejectedWith('Phase with id unknown-id not found')
+      prisma.role.findUnique = async () => null
+      await expect(ResourceDependencyService.ensureRolePhasesDependency(role.id, ['review-id']))
+        .to.be.rejectedWith('Role with id role-id not found')
+    })
+  })
+
+  describe('getResourcePhases', () => {
+    beforeEach(() => {
+      prisma.resource.findUnique = async () => ({
+        id: 'resource-id',
+        challengeId: 'challenge-id',
+        resourcePhases: [{ phaseId: 'review-id', phase: phases['review-id'] }, { phaseId: 'submission-id', phase: phases['submission-id'] }]
+      })
+    })
+
+    it('reports a phase as active while it is open on the challenge of the resource', async () => {
+      prisma.challengePhase.findMany = async () => [
+        { id: 'challenge-review-id', phaseId: 'review-id', status: 'open' },
+        { id: 'challenge-submission-id', phaseId: 'submission-id', status: 'closed' }
+      ]
+      const result = await ResourceDependencyService.getResourcePhases('resource-id')
+      expect(result.map(phase => [phase.id, phase.status, phase.active])).to.deep.equal([
+        ['review-id', 'open', true],
+        ['submission-id', 'closed', false]
+      ])
+    })
+
+    it('reports the phases not scheduled on the challenge as inactive', async () => {
+      prisma.challengePhase.findMany = async () => []
+      const result = await ResourceDependencyService.getResourcePhases('resource-id')
+      expect(result[0]).to.include({ challengePhaseId: null, status: null, active: false })
+    })
+  })
+
+  describe('phase assignment window and completion', () => {
+    const member = { isMachine: false, userId: 'member-id', handle: 'member', scopes: [], roles: ['topcoder user'] }
+    let resourcePhase
+
+    beforeEach(() => {
+      resourcePhase = { id: 'resource-phase-id', resourceId: 'resource-id', phaseId: 'review-id', completionStatus: 'pending' }
+      prisma.resource.findUnique = async () => ({ id: 'resource-id', challengeId: 'challenge-id', memberId: 'member-id', roleId: role.id, role })
+      prisma.resource.findMany = async () => []
+      prisma.resource.update = async () => ({})
+      prisma.resourcePhase.findFirst = async () => resourcePhase
+      prisma.resourcePhase.update = async ({ data }) => Object.assign(resourcePhase, data, { phase: phases['review-id'] })
+      prisma.auditLog.create = async ({ data }) => data
+    })
+
+    it('reports an open phase as inactive outside the assignment window', async () => {
+      prisma.resource.findUnique = async () => ({
+        id: 'resource-id',
+        challengeId: 'challenge-id',
+        resourcePhases: [{ phaseId: 'review-id', phase: phases['review-id'], effectiveFrom: new Date(Date.now() + 86400000) }]
+      })
+      prisma.challengePhase.findMany = async () => [{ id: 'challenge-review-id', phaseId: 'review-id', status: 'open' }]
+      const [result] = await ResourceDependencyService.getResourcePhases('resource-id')
+      expect(result).to.include({ status: 'open', active: false })
+    })
+
+    it('rejects an assignment ending before it starts with 400', async () => {
+      await expect(ResourceDependencyService.createResourcePhases('resource-id', [
+        { phaseId: 'review-id', effectiveFrom: '2024-05-05T00:00:00Z', effectiveTo: '2024-05-03T00:00:00Z' }
+      ], 'user-id')).to.be.rejectedWith(/Invalid resource phases data/)
+    })
+
+    it('lets the member of the resource complete their own phase', async () => {
+      const result = await ResourceDependencyService.completeResourcePhase('resource-id', 'review-id', 'member-id', { authUser: member })
+      expect(result).to.include({ id: 'review-id', completionStatus: 'completed', completedBy: 'member-id' })
+    })
+
+    it('rejects another member without manage:resources on the challenge with 403', async () => {
+      const other = Object.assign({}, member, { userId: 'other-id', handle: 'other' })
+      const error = await expect(ResourceDependencyService.completeResourcePhase('resource-id', 'review-id', 'other-id', { authUser: other }))
+        .to.be.rejected
+      expect(error.httpStatus).to.equal(403)
+    })
+
+    it('rejects completing an assignment before it is effective or twice with 409', async () => {
+      resourcePhase.effectiveFrom = new Date(Date.now() + 86400000)
+      await expect(ResourceDependencyService.completeResourcePhase('resource-id', 'review-id', 'member-id', { authUser: member }))
+        .to.be.rejectedWith(/can not be completed before/)
+
+      resourcePhase.effectiveFrom = null
+      resourcePhase.completionStatus = 'completed'
+      const error = await expect(ResourceDependencyService.completeResourcePhase('resource-id', 'review-id', 'member-id', { authUser: member }))
+        .to.be.rejectedWith('Phase review-id of resource resource-id is already completed')
+      expect(error.httpStatus).to.equal(409)
+    })
+  })
+})
@@ -0,0 +1,207 @@
+/* eslint-env mocha */
+/*
+ * Unit tests of the invitations: creation with a signed token and the pending, accepted, declined and revoked states
+ */
+
+const _ = require('lodash')
+const { expect } = require('chai')
+const config = require('config')
+const jwt = require('jsonwebtoken')
+const prisma = require('./prisma-stub')
+const errors = require('../../errors')
+const ResourceInvitationService = require('../../resource-invitation-service')
+
+const admin = { userId: 'admin-id', handle: 'admin', roles: ['administrator'] }
+const invited = { userId: 'invited-id', handle: 'Invited', roles: ['topcoder user'] }
+const other = { userId: 'other-id', handle: 'other', roles: ['topcoder user'] }
+const SUBMISSION_ID = '6950164f-3c5e-4bdc-abc8-22aaf5a1bd49'
+const role = { id: 'role-id', name: 'Reviewer', isActive: true, selfObtainable: false, maxPerChallenge: null }
+
+describe('resource invitation service', () => {
+  const sign = jwt.sign
+  const secret = config.INVITATION_TOKEN_SECRET
+  let invitation
+  let update
+  let created
+
+  /**
+   * Create the invitation of the tests
+   * @returns {String} its token
+   */
+  async function invite () {
+    const result = await ResourceInvitationService.createInvitation({
+      challengeId: 'challenge-id',
+      memberHandle: 'invited',
+      roleId: 'role-id',
+      createdBy: 'admin'
+    }, { authUser: admin })
+    invitation = _.assign({ version: 1, role }, _.omit(result, 'token'))
+    return result.token
+  }
+
+  before(() => {
+    config.INVITATION_TOKEN_SECRET = secret || 'invitation-secret'
+  })
+
+  after(() => {
+    config.INVITATION_TOKEN_SECRET = secret
+  })
+
+  beforeEach(() => {
+    update = null
+    created = null
+    prisma.role.findUnique = async () => role
+    prisma.roleQuota.findUnique = async () => null
+    prisma.roleExclusion.findMany = async () => []
+    prisma.resource.findFirst = async () => null
+    prisma.resource.findMany = async () => []
+    prisma.resource.create = async ({ data }) => {
+      created = data
+      return data
+    }
+    prisma.resource.findUnique = async () => _.assign({ role, resourcePhases: [] }, created)
+    prisma.auditLog.create = async ({ data }) => data
+    prisma.resourceInvitation.findFirst = async () => null
+    prisma.resourceInvitation.create = async ({ data }) => _.assign({ role }, data)
+    prisma.resourceInvitation.findUnique = async () => invitation
+    prisma.resourceInvitation.update = async (query) => {
+      update = query
+      return _.assign({}, invitation, _.omit(query.data, 'version'), { version: invitation.version + 1 })
+    }
+  })
+
+  afterEach(() => {
+    jwt.sign = sign
+    prisma.reset()
+  })
+
+  describe('createInvitation', () => {
+    it('creates a pending invitation with its token', async () => {
+      const token = await invite()
+      expect(invitation.status).to.equal('pending')
+      expect(jwt.verify(token, config.INVITATION_TOKEN_SECRET)).to.include({ invitationId: invitation.id, memberHandle: 'invited' })
+    })
+
+    it('stores nothing when the token can not be signed', async () => {
+      jwt.sign = () => {
+        throw new Error('secretOrPrivateKey must have a value')
+      }
+      delete prisma.resourceInvitation.create
+      await expect(invite()).to.be.rejectedWith('secretOrPrivateKey must have a value')
+    })
+
+    it('rejects an invitation with 503 when the token secret is not configured, before any check', async () => {
+      config.INVITATION_TOKEN_SECRET = ''
+      delete prisma.role.findUnique
+      delete prisma.resourceInvitation.create
+      const error = await expect(invite()).to.be.rejectedWith(errors.ServiceUnavailableError)
+      expect(error.message).to.match(/INVITATION_TOKEN_SECRET is not configured/)
+      config.INVITATION_TOKEN_SECRET = secret || 'invitation-secret'
+    })
+
+    it('rejects the phases the role is not allowed in with 400', async () => {
+      prisma.phase.findUnique = async ({ where }) => ({ id: where.id, name: 'Submission' })
+      prisma.role.findMany = async () => []
+      prisma.resourceRolePhaseDependency.findMany = async () => []
+      delete prisma.resourceInvitation.create
+      await expect(ResourceInvitationService.createInvitation({
+        challengeId: 'challenge-id',
+        memberHandle: 'invited',
+        roleId: 'role-id',
+        phases: [SUBMISSION_ID],
+        createdBy: 'admin'
+      }, { authUser: admin })).to.be.rejectedWith(errors.BadRequestError, 'Role Reviewer is not allowed in phases: Submission')
+    })
+
+    it('rejects a member holding a role excluded with the role with 409', async () => {
+      prisma.roleExclusion.findMany = async () => [{ id: 'exclusion-id', roleId: 'role-id', excludedRoleId: 'submitter-id' }]
+      prisma.resource.findMany = async ({ where }) => {
+        expect(where).to.deep.include({ memberHandle: { equals: 'invited', mode: 'insensitive' }, roleId: { in: ['submitter-id'] } })
+        return [{ id: 'submitter-resource-id', roleId: 'submitter-id', role: { name: 'Submitter' } }]
+      }
+      delete prisma.resourceInvitation.create
+      const error = await expect(invite()).to.be.rejectedWith(errors.ConflictError, /can not hold role role-id together with Submitter/)
+      expect(error.details).to.deep.equal([{ resourceId: 'submitter-resource-id', roleId: 'submitter-id', roleName: 'Submitter' }])
+    })
+
+    it('rejects an invitation by a member not managing the challenge with 403', async () => {
+      await expect(ResourceInvitationService.createInvitation({
+        challengeId: 'challenge-id',
+        memberHandle: 'invited',
+        roleId: 'role-id',
+        createdBy: 'other'
+      }, { authUser: other })).to.be.rejectedWith(errors.ForbiddenError)
+    })
+  })
+
+  describe('acceptInvitation', () => {
+    it('accepts a pending invitation with the resource created in the same transaction', async () => {
+      const token = await invite()
+      const result = await ResourceInvitationService.acceptInvitation(token, invited)
+      expect(result).to.include({ status: 'accepted', memberId: 'invited-id', resourceId: created.id })
+      expect(created).to.include({ challengeId: 'challenge-id', memberId: 'invited-id', memberHandle: 'Invited', roleId: 'role-id' })
+      expect(update.where).to.deep.equal({ id: invitation.id, version: 1 })
+    })
+
+    it('rejects an acceptance by another member with 403', async () => {
+      const token = await invite()
+      await expect(ResourceInvitationService.acceptInvitation(token, other)).to.be.rejectedWith(errors.ForbiddenError)
+    })
+
+    it('rejects an acceptance racing with a revocation with 412', async () => {
+      const token = await invite()
+      prisma.resourceInvitation.update = async () => {
+        throw Object.assign(new Error('Record to update not found.'), { code: 'P2025' })
+      }
+      await expect(ResourceInvitationService.acceptInvitation(token, invited)).to.be.rejectedWith(errors.PreconditionFailedError)
+    })
+
+    it('rejects an invalid token with 400', async () => {
+      await expect(ResourceInvitationService.acceptInvitation('invalid', invited)).to.be.rejectedWith(errors.BadRequestError)
+    })
+
+    it('rejects an expired invitation with 409', async () => {
+      const token = await invite()
+      invitation.expiresAt = new Date(Date.now() - 1000)
+      await expect(ResourceInvitationService.acceptInvitation(token, invited)).to.be.rejectedWith(errors.ConflictError, /expired/)
+      expect(created).to.equal(null)
+    })
+  })
+
+  describe('declineInvitation', () => {
+    it('declines a pending invitation', async () => {
+      const token = await invite()
+      const result = await ResourceInvitationService.declineInvitation(token, 'busy', invited)
+      expect(result).to.include({ status: 'declined', reason: 'busy', memberId: 'invited-id' })
+      expect(created).to.equal(null)
+    })
+  })
+
+  describe('revokeInvitation', () => {
+    it('revokes a pending invitation', async () => {
+      await invite()
+      const result = await ResourceInvitationService.revokeInvitation(invitation.id, 'admin', { authUser: admin })
+      expect(result.status).to.equal('revoked')
+    })
+
+    it('rejects a revocation with a stale If-Match version with 412', async () => {
+      await invite()
+      await expect(ResourceInvitationService.revokeInvitation(invitation.id, 'admin', { version: 2, authUser: admin }))
+        .to.be.rejectedWith(errors.PreconditionFailedError)
+    })
+  })
+
+  describe('answered invitations', () => {
+    for (const status of ['accepted', 'declined', 'revoked']) {
+      it(`can not answer or revoke an invitation that is ${status}`, async () => {
+        const token = await invite()
+        invitation.status = status
+        await expect(ResourceInvitationService.acceptInvitation(token, invited)).to.be.rejectedWith(errors.ConflictError)
+        await expect(ResourceInvitationService.declineInvitation(token, null, invited)).to.be.rejectedWith(errors.ConflictError)
+        await expect(ResourceInvitationService.revokeInvitation(invitation.id, 'admin', { authUser: admin }))
+          .to.be.rejectedWith(errors.ConflictError)
+        expect(update).to.equal(null)
+      })
+    }
+  })
+})
@@ -0,0 +1,195 @@
+/* eslint-env mocha */
+/*
+ * Unit tests of the resource requests: creation and the pending, approved, rejected and expired states
+ */
+
+const _ = require('lodash')
+const { expect } = require('chai')
+const prisma = require('./prisma-stub')
+const errors = require('../../errors')
+const ResourceRequestService = require('../../resource-request-service')
+
+const admin = { userId: 'admin-id', handle: 'admin', roles: ['administrator'] }
+const member = { userId: 'member-id', handle: 'member', roles: ['topcoder user'] }
+const REVIEW_ID = 'aa5a3f78-79e0-4bf7-93ff-b11e8f5b398b'
+const SUBMISSION_ID = '6950164f-3c5e-4bdc-abc8-22aaf5a1bd49'
+const role = { id: 'role-id', name: 'Reviewer', isActive: true, selfObtainable: false, maxPerChallenge: null }
+
+/**
+ * Build a DB request
+ * @param {Object} fields the fields differing from a pending request
+ * @returns {Object} the DB request
+ */
+function buildRequest (fields) {
+  return _.assign({
+    id: 'request-id',
+    challengeId: 'challenge-id',
+    memberId: 'member-id',
+    memberHandle: 'member',
+    roleId: 'role-id',
+    phases: [],
+    status: 'pending',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    createdBy: 'member',
+    version: 1,
+    role
+  }, fields)
+}
+
+describe('resource request service', () => {
+  let request
+  let update
+  let created
+
+  beforeEach(() => {
+    request = buildRequest()
+    update = null
+    created = null
+    prisma.role.findUnique = async () => role
+    prisma.roleQuota.findUnique = async () => null
+    prisma.roleExclusion.findMany = async () => []
+    prisma.resource.findFirst = async () => null
+    prisma.resource.findMany = async () => []
+    prisma.resource.create = async ({ data }) => {
+      created = data
+      return data
+    }
+    prisma.resource.findUnique = async () => _.assign({ role, resourcePhases: [] }, created)
+    prisma.auditLog.create = async ({ data }) => data
+    prisma.resourceRequest.findUnique = async () => request
+    prisma.resourceRequest.update = async (query) => {
+      update = query
+      return _.assign({}, request, _.omit(query.data, 'version'), { version: request.version + 1 })
+    }
+  })
+
+  afterEach(() => prisma.reset())
+
+  describe('createRequest', () => {
+    const data = () => ({ challengeId: 'challenge-id', memberId: 'member-id', memberHandle: 'someone-else', roleId: 'role-id', createdBy: 'member' })
+
+    beforeEach(() => {
+      prisma.resourceRequest.findFirst = async () => null
+      prisma.resourceRequest.create = async ({ data }) => _.assign({ role }, data)
+    })
+
+    it('files a pending request under the handle of the caller', async () => {
+      const result = await ResourceRequestService.createRequest(data(), { authUser: member })
+      expect(result).to.include({ status: 'pending', memberId: 'member-id', memberHandle: 'member' })
+    })
+
+    it('rejects a request of a member for another member with 403', async () => {
+      await expect(ResourceRequestService.createRequest(_.assign(data(), { memberId: 'other-id' }), { authUser: member }))
+        .to.be.rejectedWith(errors.ForbiddenError)
+    })
+
+    it('keeps the requested phases the role is allowed in', async () => {
+      prisma.phase.findUnique = async ({ where }) => ({ id: where.id, name: 'Review' })
+      prisma.role.findMany = async () => []
+      prisma.resourceRolePhaseDependency.findMany = async () => [{ resourceRoleId: 'role-id', phaseId: REVIEW_ID }]
+      const result = await ResourceRequestService.createRequest(_.assign(data(), { phases: [REVIEW_ID, REVIEW_ID] }), { authUser: member })
+      expect(result.phases).to.deep.equal([REVIEW_ID])
+    })
+
+    it('rejects the phases the role is not allowed in with 400', async () => {
+      prisma.phase.findUnique = async ({ where }) => ({ id: where.id, name: 'Submission' })
+      prisma.role.findMany = async () => []
+      prisma.resourceRolePhaseDependency.findMany = async () => []
+      prisma.resourceRequest.create = async () => {
+        throw new Error('The request must not be created')
+      }
+      await expect(ResourceRequestService.createRequest(_.assign(data(), { phases: [SUBMISSION_ID] }), { authUser: member }))
+        .to.be.rejectedWith(errors.BadRequestError, 'Role Reviewer is not allowed in phases: Submission')
+    })
+
+    it('rejects a second pending request with 409', async () => {
+      prisma.resourceRequest.findFirst = async () => buildRequest()
+      await expect(ResourceRequestService.createRequest(data(), { authUser: member }))
+        .to.be.rejectedWith(errors.ConflictError)
+    })
+
+    it('rejects a request without authenticated user with 403', async () => {
+      await expect(ResourceRequestService.createRequest(data(), {}))
+        .to.be.rejectedWith(errors.ForbiddenError)
+    })
+  })
+
+  describe('approveRequest', () => {
+    it('approves a pending request with the resource created in the same transaction', async () => {
+      const result = await ResourceRequestService.approveRequest('request-id', 'admin', { reason: 'welcome', authUser: admin })
+      expect(result).to.include({ status: 'approved', reason: 'welcome', resourceId: created.id, decidedBy: 'admin' })
+      expect(created).to.include({ challengeId: 'challenge-id', memberId: 'member-id', memberHandle: 'member', roleId: 'role-id' })
+      expect(update.where).to.deep.equal({ id: 'request-id', version: 1 })
+    })
+
+    it('rejects an approval racing with another decision with 412, rolling the resource back', async () => {
+      let rolledBack = false
+      prisma.$transaction = async (fn) => {
+        try {
+          return await fn(prisma)
+        } catch (e) {
+          rolledBack = true
+          throw e
+        }
+      }
+      prisma.resourceRequest.update = async () => {
+        throw Object.assign(new Error('Record to update not found.'), { code: 'P2025' })
+      }
+      await expect(ResourceRequestService.approveRequest('request-id', 'admin', { authUser: admin }))
+        .to.be.rejectedWith(errors.PreconditionFailedError)
+      expect(rolledBack).to.equal(true)
+    })
+
+    it('rejects an approval with a stale If-Match version with 412', async () => {
+      await expect(ResourceRequestService.approveRequest('request-id', 'admin', { version: 2, authUser: admin }))
+        .to.be.rejectedWith(errors.PreconditionFailedError)
+    })
+
+    it('rejects an approval of a full role with 409, without deciding the request', async () => {
+      prisma.role.findUnique = async () => _.assign({}, role, { maxPerChallenge: 1 })
+      prisma.resource.count = async () => 1
+      const error = await expect(ResourceRequestService.approveRequest('request-id', 'admin', { authUser: admin }))
+        .to.be.rejectedWith(errors.ConflictError)
+      expect(error.details).to.include({ count: 1, limit: 1 })
+      expect(update).to.equal(null)
+    })
+
+    it('rejects an approval by a member not managing the challenge with 403', async () => {
+      await expect(ResourceRequestService.approveRequest('request-id', 'member', { authUser: member }))
+        .to.be.rejectedWith(errors.ForbiddenError)
+    })
+  })
+
+  describe('rejectRequest', () => {
+    it('rejects a pending request', async () => {
+      const result = await ResourceRequestService.rejectRequest('request-id', 'admin', { reason: 'full', authUser: admin })
+      expect(result).to.include({ status: 'rejected', reason: 'full', decidedBy: 'admin' })
+      expect(result.resourceId).to.equal(undefined)
+    })
+  })
+
+  describe('decided and expired requests', () => {
+    for (const status of ['approved', 'rejected', 'expired']) {
+      it(`can not decide a request that is ${status}`, async () => {
+        request = buildRequest({ status })
+        await expect(ResourceRequestService.approveRequest('request-id', 'admin', { authUser: admin }))
+          .to.be.rejectedWith(errors.ConflictError)
+        await expect(ResourceRequestService.rejectRequest('request-id', 'admin', { authUser: admin }))
+          .to.be.rejectedWith(errors.ConflictError)
+      })
+    }
+
+    it('can not decide a pending request past its expiry date', async () => {
+      request = buildRequest({ expiresAt: new Date(Date.now() - 1000) })
+      await expect(ResourceRequestService.approveRequest('request-id', 'admin', { authUser: admin }))
+        .to.be.rejectedWith(errors.ConflictError, /expired/)
+      expect(update).to.equal(null)
+    })
+
+    it('reports a pending request past its expiry date as expired', async () => {
+      request = buildRequest({ expiresAt: new Date(Date.now() - 1000) })
+      const result = await ResourceRequestService.getRequest('request-id', { authUser: member })
+      expect(result.status).to.equal('expired')
+    })
+  })
+})
@@ -0,0 +1,144 @@
+/* eslint-env mocha */
+/*
+ * Unit tests of the role phase dependency service
+ */
+
+const _ = require('lodash')
+const { expect } = require('chai')
+const prisma = require('./prisma-stub')
+const DependencyService = require('../../resource-role-phase-dependency-service')
+
+describe('resource role phase dependency service', () => {
+  let dependencies
+  let audits
+
+  beforeEach(() => {
+    audits = []
+    dependencies = [
+      { id: 'review-dependency-id', resourceRoleId: 'reviewer-id', phaseId: 'review-id', created: new Date() },
+      { id: 'appeals-dependency-id', resourceRoleId: 'reviewer-id', phaseId: 'appeals-id', created: new Date() }
+    ]
+    prisma.role.findUnique = async ({ where }) => ({ id: where.id, name: 'Reviewer' })
+    prisma.phase.findUnique = async ({ where }) => ({ id: where.id })
+    prisma.resourceRolePhaseDependency.findMany = async ({ where }) => dependencies.filter(dependency =>
+      (!where.resourceRoleId || dependency.resourceRoleId === where.resourceRoleId) &&
+      (!where.phaseId || dependency.phaseId === where.phaseId))
+    prisma.auditLog.create = async ({ data }) => {
+      audits.push(data)
+      return data
+    }
+    prisma.auditLog.createMany = async ({ data }) => {
+      audits.push(...data)
+      return { count: data.length }
+    }
+  })
+
+  afterEach(() => prisma.reset())
+
+  describe('createDependency', () => {
+    it('rejects a second dependency for the same role and phase with 409', async () => {
+      prisma.resourceRolePhaseDependency.findFirst = async () => dependencies[0]
+      const error = await expect(DependencyService.createDependency({ resourceRoleId: 'reviewer-id', phaseId: 'review-id', createdBy: 'admin' }))
+        .to.be.rejected
+      expect(error.name).to.equal('ConflictError')
+    })
+
+    it('rejects an unknown phase with 400', async () => {
+      prisma.phase.findUnique = async () => null
+      const error = await expect(DependencyService.createDependency({ resourceRoleId: 'reviewer-id', phaseId: 'unknown-id', createdBy: 'admin' }))
+        .to.be.rejected
+      expect(error.name).to.equal('BadRequestError')
+    })
+
+    it('records the created dependency in the audit log', async () => {
+      prisma.resourceRolePhaseDependency.findFirst = async () => null
+      prisma.resourceRolePhaseDependency.create = async ({ data }) => data
+      const result = await DependencyService.createDependency({ resourceRoleId: 'reviewer-id', phaseId: 'screening-id', createdBy: 'admin' })
+      expect(audits).to.have.length(1)
+      expect(audits[0]).to.include({ entityType: 'role_phase_dependency', entityId: result.id, action: 'create', actor: 'admin' })
+      expect(audits[0].after).to.include({ resourceRoleId: 'reviewer-id', phaseId: 'screening-id' })
+    })
+  })
+
+  describe('deleteDependency', () => {
+    it('records the deleted dependency in the audit log', async () => {
+      prisma.resourceRolePhaseDependency.findUnique = async ({ where }) => _.find(dependencies, { id: where.id }) || null
+      prisma.resourceRolePhaseDependency.delete = async ({ where }) => _.find(dependencies, { id: where.id })
+      await DependencyService.deleteDependency('review-dependency-id', 'admin')
+      expect(audits).to.have.length(1)
+      expect(audits[0]).to.include({ entityId: 'review-dependency-id', action: 'delete', actor: 'admin' })
+      expect(audits[0].before).to.include({ resourceRoleId: 'reviewer-id', phaseId: 'review-id' })
+    })
+  })
+
+  describe('setRolePhases', () => {
+    it('removes the phases no longer allowed and adds the new ones', async () => {
+      let removed
+      let added
+      prisma.phase.findMany = async ({ where }) => where.id.in.map(id => ({ id }))
+      prisma.resourceRolePhaseDependency.deleteMany = async ({ where }) => {
+        removed = where
+        dependencies = dependencies.filter(dependency => where.phaseId.notIn.includes(dependency.phaseId))
+        return { count: 1 }
+      }
+      prisma.resourceRolePhaseDependency.createMany = async ({ data }) => {
+        added = data.map(dependency => dependency.phaseId)
+        dependencies.push(...data)
+        return { count: data.length }
+      }
+
+      const result = await DependencyService.setRolePhases('reviewer-id', ['review-id', 'screening-id'], 'admin')
+      expect(removed).to.deep.equal({ resourceRoleId: 'reviewer-id', phaseId: { notIn: ['review-id', 'screening-id'] } })
+      expect(added).to.deep.equal(['screening-id'])
+      expect(result.map(dependency => dependency.phaseId)).to.deep.equal(['review-id', 'screening-id'])
+      expect(audits.map(audit => [audit.action, audit.entityId])).to.deep.equal([
+        ['delete', 'appeals-dependency-id'],
+        ['create', result[1].id]
+      ])
+    })
+
+    it('rejects unknown phases with 400 before any write', async () => {
+      prisma.phase.findMany = async () => [{ id: 'review-id' }]
+      await expect(DependencyService.setRolePhases('reviewer-id', ['review-id', 'unknown-id'], 'admin'))
+        .to.be.rejectedWith('Phases with ids unknown-id do not exist')
+    })
+
+    it('rejects duplicate phases', async () => {
+      await expect(DependencyService.setRolePhases('reviewer-id', ['review-id', 'review-id'], 'admin'))
+        .to.be.rejectedWith(/Invalid role phases data/)
+    })
+  })
+
+  describe('getDependencyMatrix', () => {
+    beforeEach(() => {
+      prisma.role.findMany = async () => [
+        { id: 'primary-reviewer-id', name: 'Primary Reviewer', parentId: 'reviewer-id' },
+        { id: 'reviewer-id', name: 'Reviewer' },
+        { id: 'submitter-id', name: 'Submitter' }
+      ]
+      prisma.phase.findMany = async () => [{ id: 'appeals-id', name: 'Appeals' }, { id: 'review-id', name: 'Review' }]
+    })
+
+    it('reports for each role whether it is allowed in each phase', async () => {
+      const matrix = await DependencyService.getDependencyMatrix({})
+      expect(matrix.phases).to.deep.equal([{ id: 'appeals-id', name: 'Appeals' }, { id: 'review-id', name: 'Review' }])
+      expect(_.keyBy(matrix.roles, 'id')['reviewer-id'].phases).to.deep.equal([
+        { phaseId: 'appeals-id', allowed: true, inheritedFrom: null },
+        { phaseId: 'review-id', allowed: true, inheritedFrom: null }
+      ])
+      expect(_.keyBy(matrix.roles, 'id')['submitter-id'].phases).to.deep.equal([
+        { phaseId: 'appeals-id', allowed: false, inheritedFrom: null },
+        { phaseId: 'review-id', allowed: false, inheritedFrom: null }
+      ])
+    })
+
+    it('reports the phases a role inherits from its ancestors, even for a single role', async () => {
+      const matrix = await DependencyService.getDependencyMatrix({ roleId: 'primary-reviewer-id' })
+      expect(matrix.roles).to.have.length(1)
+      expect(matrix.roles[0].phases).to.deep.equal([
+        { phaseId: 'appeals-id', allowed: true, inheritedFrom: 'reviewer-id' },
+        { phaseId: 'review-id', allowed: true, inheritedFrom: 'reviewer-id' }
+      ])
+    })
+  })
+})
@@ -0,0 +1,829 @@
+/* eslint-env mocha */
+/*
+ * Unit tests of the resource service
+ */
+
+const _ = require('lodash')
+const { expect } = require('chai')
+const prisma = require('./prisma-stub')
+const ResourceService = require('../../resource-service (1)')
+
+const REVIEW_ID = '0b1d5bd3-3c42-4c1e-9c2a-2b6ff8c0a001'
+const SUBMISSION_ID = '0b1d5bd3-3c42-4c1e-9c2a-2b6ff8c0a002'
+
+const admin = { isMachine: false, userId: 'admin-id', handle: 'admin', scopes: [], roles: ['administrator'] }
+const member = { isMachine: false, userId: 'member-id', handle: 'member', scopes: [], roles: ['topcoder user'] }
+const machine = { isMachine: true, userId: 'client-id@clients', handle: 'client-id@clients', scopes: ['read:resources'], roles: [] }
+
+/**
+ * Build the error of Prisma for a guarded write matching no row
+ * @returns {Error} the error
+ */
+function recordNotFound () {
+  return Object.assign(new Error('Record to update not found.'), { code: 'P2025' })
+}
+
+/**
+ * Build a DB resource
+ * @param {Object} fields the fields differing from the defaults
+ * @returns {Object} the DB resource
+ */
+function buildResource (fields) {
+  return _.assign({
+    id: 'resource-id',
+    challengeId: 'challenge-id',
+    memberId: 'member-id',
+    memberHandle: 'member',
+    roleId: 'reviewer-id',
+    createdBy: 'admin',
+    created: new Date(),
+    updated: new Date(),
+    version: 1
+  }, fields)
+}
+
+describe('resource service', () => {
+  let roles
+  let created
+  let audits
+
+  beforeEach(() => {
+    created = []
+    audits = []
+    roles = {
+      'reviewer-id': { id: 'reviewer-id', name: 'Reviewer', isActive: true },
+      'submitter-id': { id: 'submitter-id', name: 'Submitter', isActive: true }
+    }
+    // The reviewers are allowed in the review phase only, the submitters in the submission phase only
+    const allowed = { 'reviewer-id': [REVIEW_ID], 'submitter-id': [SUBMISSION_ID] }
+    prisma.role.findUnique = async ({ where }) => roles[where.id] || null
+    prisma.phase.findUnique = async ({ where }) => ({ id: where.id, name: where.id === REVIEW_ID ? 'Review' : 'Submission' })
+    prisma.resourceRolePhaseDependency.findMany = async ({ where }) => _.flatMap(where.resourceRoleId.in, roleId => (allowed[roleId] || [])
+      .filter(phaseId => where.phaseId.in.includes(phaseId))
+      .map(phaseId => ({ resourceRoleId: roleId, phaseId })))
+    prisma.resource.findFirst = async () => null
+    prisma.roleQuota.findUnique = async () => null
+    prisma.roleExclusion.findMany = async () => []
+    prisma.resource.create = async ({ data }) => {
+      created.push(data)
+      return data
+    }
+    prisma.resourcePhase.createMany = async ({ data }) => ({ count: data.length })
+    prisma.resource.findUnique = async ({ where }) => _.find(created, { id: where.id }) || null
+    prisma.auditLog.create = async ({ data }) => {
+      audits.push(data)
+      return data
+    }
+  })
+
+  afterEach(() => prisma.reset())
+
+  describe('createResource', () => {
+    const resource = (phases) => ({ challengeId: 'challenge-id', memberId: 'member-id', roleId: 'reviewer-id', createdBy: 'admin', phases })
+
+    it('creates a resource in the phases its role is allowed in', async () => {
+      const result = await ResourceService.createResource(resource([REVIEW_ID]), { authUser: admin })
+      expect(result).to.include({ challengeId: 'challenge-id', memberId: 'member-id', roleId: 'reviewer-id' })
+      expect(created).to.have.length(1)
+      expect(audits).to.have.length(1)
+      expect(audits[0]).to.include({ entityType: 'resource', entityId: created[0].id, action: 'create', actor: 'admin' })
+      expect(audits[0].after.phases).to.deep.equal([REVIEW_ID])
+    })
+
+    it('rejects a resource in a phase its role is not allowed in with 400, before any write', async () => {
+      const error = await expect(ResourceService.createResource(resource([REVIEW_ID, SUBMISSION_ID]), { authUser: admin }))
+        .to.be.rejected
+      expect(error.name).to.equal('BadRequestError')
+      expect(error.details).to.deep.equal([{ roleId: 'reviewer-id', roleName: 'Reviewer', phaseId: SUBMISSION_ID, phaseName: 'Submission' }])
+      expect(created).to.have.length(0)
+    })
+
+    it('rejects an inactive role with 400', async () => {
+      roles['reviewer-id'].isActive = false
+      const error = await expect(ResourceService.createResource(resource([REVIEW_ID]), { authUser: admin })).to.be.rejected
+      expect(error.message).to.equal('Role Reviewer is inactive and can not be assigned')
+      expect(created).to.have.length(0)
+    })
+
+    it('creates a resource in the phases of a template from a step on', async () => {
+      prisma.phaseTemplate.findUnique = async () => ({
+        id: 'template-id',
+        name: 'Code Challenge',
+        steps: [{ step: 1, phaseId: SUBMISSION_ID }, { step: 2, phaseId: REVIEW_ID }]
+      })
+      const data = _.assign(_.omit(resource(), 'phases'), { phasesFrom: { templateId: 'template-id', fromStep: 2 } })
+      await ResourceService.createResource(data, { authUser: admin })
+      expect(audits[0].after.phases).to.deep.equal([REVIEW_ID])
+    })
+
+    it('rejects phases listed along with a template with 400', async () => {
+      const data = _.assign(resource([REVIEW_ID]), { phasesFrom: { templateId: 'template-id', fromStep: 1 } })
+      const error = await expect(ResourceService.createResource(data, { authUser: admin })).to.be.rejected
+      expect(error.name).to.equal('ValidationError')
+    })
+
+    it('creates a resource in the phases its role inherits from its parent', async () => {
+      roles['primary-reviewer-id'] = { id: 'primary-reviewer-id', name: 'Primary Reviewer', parentId: 'reviewer-id', isActive: true }
+      const result = await ResourceService.createResource(_.assign(resource([REVIEW_ID]), { roleId: 'primary-reviewer-id' }), { authUser: admin })
+      expect(result.roleId).to.equal('primary-reviewer-id')
+    })
+  })
+
+  describe('updateResource', () => {
+    beforeEach(() => {
+      created.push(buildResource())
+      prisma.resourcePhase.findMany = async () => [{ resourceId: 'resource-id', phaseId: REVIEW_ID }]
+      prisma.resource.update = async ({ data }) => _.assign(created[0], data)
+    })
+
+    it('rejects a new role not allowed in the kept phases with 400', async () => {
+      const error = await expect(ResourceService.updateResource('resource-id', { roleId: 'submitter-id', updatedBy: 'admin' }, { authUser: admin }))
+        .to.be.rejected
+      expect(error.name).to.equal('BadRequestError')
+      expect(error.details).to.deep.equal([{ roleId: 'submitter-id', roleName: 'Submitter', phaseId: REVIEW_ID, phaseName: 'Review' }])
+    })
+
+    it('accepts a new role with new phases it is allowed in', async () => {
+      prisma.resourcePhase.deleteMany = async () => ({ count: 1 })
+      const result = await ResourceService.updateResource('resource-id', { roleId: 'submitter-id', phases: [SUBMISSION_ID], updatedBy: 'admin' }, { authUser: admin })
+      expect(result.roleId).to.equal('submitter-id')
+    })
+
+    it('clears the omitted fields and removes the omitted phases in a full update', async () => {
+      let update
+      let removed
+      prisma.resource.update = async (query) => {
+        update = query
+        return _.assign(created[0], query.data)
+      }
+      prisma.resourcePhase.deleteMany = async ({ where }) => {
+        removed = where
+        return { count: 1 }
+      }
+      await ResourceService.updateResource('resource-id', { challengeId: 'challenge-id', roleId: 'reviewer-id', updatedBy: 'admin' }, { isFull: true, authUser: admin })
+      expect(update.data).to.include({ challengeId: 'challenge-id', roleId: 'reviewer-id', memberId: null, memberHandle: null })
+      expect(removed.resourceId).to.equal('resource-id')
+    })
+
+    it('keeps the omitted fields and phases and clears the null fields in a partial update', async () => {
+      let update
+      prisma.resource.update = async (query) => {
+        update = query
+        return _.assign(created[0], query.data)
+      }
+      await ResourceService.updateResource('resource-id', { memberHandle: null, updatedBy: 'admin' }, { authUser: admin })
+      expect(update.data).to.include({ challengeId: 'challenge-id', memberId: 'member-id', roleId: 'reviewer-id', memberHandle: null })
+    })
+
+    it('keeps the assignment of the kept phases and only deletes the removed ones', async () => {
+      let removed
+      let added
+      prisma.resourcePhase.findMany = async () => [{ resourceId: 'resource-id', phaseId: REVIEW_ID }, { resourceId: 'resource-id', phaseId: 'appeals-id' }]
+      prisma.resourcePhase.deleteMany = async ({ where }) => {
+        removed = where
+        return { count: 1 }
+      }
+      prisma.resourcePhase.createMany = async ({ data }) => {
+        added = data
+        return { count: data.length }
+      }
+      await ResourceService.updateResource('resource-id', { phases: [REVIEW_ID], updatedBy: 'admin' }, { authUser: admin })
+      expect(removed).to.deep.equal({ resourceId: 'resource-id', phaseId: { in: ['appeals-id'] } })
+      expect(added).to.equal(undefined)
+    })
+
+    it('rejects a stale If-Match version with 412 before any write', async () => {
+      const error = await expect(ResourceService.updateResource('resource-id', { memberHandle: 'renamed', updatedBy: 'admin' }, { version: 0, authUser: admin }))
+        .to.be.rejected
+      expect(error.httpStatus).to.equal(412)
+      expect(audits).to.have.length(0)
+    })
+
+    it('updates the resource guarded by the version it was read with', async () => {
+      let update
+      prisma.resource.update = async (query) => {
+        update = query
+        return _.assign(created[0], query.data, { version: 2 })
+      }
+      const result = await ResourceService.updateResource('resource-id', { memberHandle: 'renamed', updatedBy: 'admin' }, { version: 1, authUser: admin })
+      expect(update.where).to.deep.equal({ id: 'resource-id', version: 1 })
+      expect(result).to.include({ memberHandle: 'renamed', version: 2 })
+    })
+
+    it('rejects an update racing with another one with 412', async () => {
+      prisma.resource.update = async () => {
+        throw recordNotFound()
+      }
+      const error = await expect(ResourceService.updateResource('resource-id', { memberHandle: 'renamed', updatedBy: 'admin' }, { authUser: admin }))
+        .to.be.rejected
+      expect(error.name).to.equal('PreconditionFailedError')
+    })
+  })
+
+  describe('deleteResource', () => {
+    it('soft deletes the resource with who deleted it and when', async () => {
+      created.push(buildResource())
+      let update
+      prisma.resource.update = async (query) => {
+        update = query
+        return _.assign(created[0], query.data)
+      }
+      await ResourceService.deleteResource('resource-id', 'admin', { authUser: admin })
+      expect(update.where).to.deep.equal({ id: 'resource-id', version: 1 })
+      expect(update.data).to.include({ deleted: true, deletedBy: 'admin' })
+      expect(update.data.deletedAt).to.be.an.instanceOf(Date)
+      expect(audits.map(audit => audit.action)).to.deep.equal(['delete'])
+    })
+
+    it('does not find a deleted resource', async () => {
+      created.push(buildResource({ deleted: true }))
+      const error = await expect(ResourceService.deleteResource('resource-id', 'admin', { authUser: admin })).to.be.rejected
+      expect(error.name).to.equal('NotFoundError')
+    })
+  })
+
+  describe('restoreResource', () => {
+    let duplicate
+
+    beforeEach(() => {
+      duplicate = null
+      created.push(buildResource({ deleted: true, deletedAt: new Date(), deletedBy: 'admin', role: roles['reviewer-id'] }))
+      prisma.resourcePhase.findMany = async () => [{ resourceId: 'resource-id', phaseId: REVIEW_ID }]
+      prisma.resource.update = async ({ data }) => _.assign(created[0], data, { resourcePhases: [] })
+      prisma.$transaction = async (fn) => {
+        // The duplicate check must run in the transaction restoring the resource
+        prisma.resource.findFirst = async () => duplicate
+        return fn(prisma)
+      }
+    })
+
+    it('restores a deleted resource', async () => {
+      const result = await ResourceService.restoreResource('resource-id', 'admin')
+      expect(result).to.include({ id: 'resource-id', updatedBy: 'admin' })
+      expect(result.deleted).to.equal(undefined)
+      expect(created[0]).to.include({ deleted: false, deletedAt: null, deletedBy: null })
+      expect(audits.map(audit => audit.action)).to.deep.equal(['restore'])
+    })
+
+    it('rejects a resource whose role has been deactivated with 400', async () => {
+      roles['reviewer-id'].isActive = false
+      const error = await expect(ResourceService.restoreResource('resource-id', 'admin')).to.be.rejected
+      expect(error.name).to.equal('BadRequestError')
+      expect(created[0].deleted).to.equal(true)
+    })
+
+    it('restores the resource guarded by the version it was read with', async () => {
+      let update
+      prisma.resource.update = async (query) => {
+        update = query
+        return _.assign(created[0], query.data, { resourcePhases: [] })
+      }
+      await ResourceService.restoreResource('resource-id', 'admin', { version: 1 })
+      expect(update.where).to.deep.equal({ id: 'resource-id', version: 1 })
+    })
+
+    it('rejects a stale If-Match version with 412', async () => {
+      const error = await expect(ResourceService.restoreResource('resource-id', 'admin', { version: 3 })).to.be.rejected
+      expect(error.name).to.equal('PreconditionFailedError')
+    })
+
+    it('rejects a restore racing with another change with 412', async () => {
+      prisma.resource.update = async () => {
+        throw recordNotFound()
+      }
+      const error = await expect(ResourceService.restoreResource('resource-id', 'admin')).to.be.rejected
+      expect(error.name).to.equal('PreconditionFailedError')
+      expect(audits).to.have.length(0)
+    })
+
+    it('rejects a resource created again since it was deleted with 409', async () => {
+      duplicate = buildResource({ id: 'other-id' })
+      const error = await expect(ResourceService.restoreResource('resource-id', 'admin')).to.be.rejected
+      expect(error.name).to.equal('ConflictError')
+      expect(created[0].deleted).to.equal(true)
+    })
+
+    it('rejects a resource whose role is no longer allowed in its phases with 400', async () => {
+      created[0].roleId = 'submitter-id'
+      const error = await expect(ResourceService.restoreResource('resource-id', 'admin')).to.be.rejected
+      expect(error.name).to.equal('BadRequestError')
+      expect(created[0].deleted).to.equal(true)
+    })
+
+    it('rejects a resource that is not deleted with 400', async () => {
+      created[0].deleted = false
+      const error = await expect(ResourceService.restoreResource('resource-id', 'admin')).to.be.rejected
+      expect(error.name).to.equal('BadRequestError')
+    })
+  })
+
+  describe('searchResources', () => {
+    let where
+
+    beforeEach(() => {
+      prisma.resource.count = async (query) => {
+        where = query.where
+        return 0
+      }
+      prisma.resource.findMany = async () => []
+    })
+
+    it('filters out the deleted resources by default', async () => {
+      await ResourceService.searchResources({ challengeId: 'challenge-id' })
+      expect(where).to.deep.equal({ challengeId: 'challenge-id', deleted: false })
+    })
+
+    it('includes the deleted resources or only them on demand of an administrator or an M2M token', async () => {
+      await ResourceService.searchResources({ challengeId: 'challenge-id', includeDeleted: true }, admin)
+      expect(where).to.deep.equal({ challengeId: 'challenge-id' })
+      await ResourceService.searchResources({ challengeId: 'challenge-id', onlyDeleted: true }, machine)
+      expect(where).to.deep.equal({ challengeId: 'challenge-id', deleted: true })
+    })
+
+    it('rejects a search of the deleted resources by another user with 403', async () => {
+      for (const criteria of [{ includeDeleted: true }, { onlyDeleted: true }]) {
+        const error = await expect(ResourceService.searchResources(_.assign({ challengeId: 'challenge-id' }, criteria), member))
+          .to.be.rejected
+        expect(error.httpStatus).to.equal(403)
+      }
+      await ResourceService.searchResources({ challengeId: 'challenge-id', includeDeleted: false }, member)
+      expect(where).to.deep.equal({ challengeId: 'challenge-id', deleted: false })
+    })
+  })
+
+  describe('purgeDeletedResources', () => {
+    it('deletes the resources deleted before the retention period', async () => {
+      let where
+      prisma.resource.deleteMany = async (query) => {
+        where = query.where
+        return { count: 2 }
+      }
+      expect(await ResourceService.purgeDeletedResources(30)).to.equal(2)
+      expect(where.deleted).to.equal(true)
+      expect(Date.now() - where.deletedAt.lt.getTime()).to.be.closeTo(30 * 24 * 60 * 60 * 1000, 1000)
+    })
+
+    it('rejects an invalid retention period', async () => {
+      await expect(ResourceService.purgeDeletedResources('-1')).to.be.rejectedWith('Invalid retention days: -1')
+    })
+  })
+
+  describe('createResources', () => {
+    const resources = () => [
+      { challengeId: 'challenge-id', memberId: 'member-1', roleId: 'reviewer-id', createdBy: 'admin', phases: [REVIEW_ID] },
+      { challengeId: 'challenge-id', memberId: 'member-2', roleId: 'reviewer-id', createdBy: 'admin', phases: [SUBMISSION_ID] },
+      { challengeId: 'challenge-id', memberId: 'member-3', roleId: 'unknown-role-id', createdBy: 'admin' },
+      { challengeId: 'challenge-id', memberId: 'member-1', roleId: 'reviewer-id', createdBy: 'admin' }
+    ]
+
+    beforeEach(() => {
+      prisma.role.findMany = async ({ where }) => where.id.in.map(id => roles[id]).filter(Boolean)
+      prisma.resource.findMany = async ({ where }) => where.OR
+        ? []
+        : created.filter(resource => where.id.in.includes(resource.id))
+    })
+
+    it('creates the valid resources and reports the invalid ones in partial mode', async () => {
+      const result = await ResourceService.createResources(resources(), 'partial')
+      expect(_.pick(result, ['mode', 'total', 'created', 'failed'])).to.deep.equal({ mode: 'partial', total: 4, created: 1, failed: 3 })
+      expect(result.results.map(item => item.status)).to.deep.equal(['created', 'failed', 'failed', 'failed'])
+      expect(result.results.map(item => item.error && item.error.name)).to.deep.equal([undefined, 'BadRequestError', 'BadRequestError', 'ConflictError'])
+      expect(result.results[0].resource).to.include({ memberId: 'member-1', roleId: 'reviewer-id' })
+      expect(created.map(resource => resource.memberId)).to.deep.equal(['member-1'])
+      expect(audits).to.have.length(1)
+    })
+
+    it('creates no resource when one of them is invalid in atomic mode', async () => {
+      const result = await ResourceService.createResources(resources(), 'atomic')
+      expect(_.pick(result, ['total', 'created', 'failed'])).to.deep.equal({ total: 4, created: 0, failed: 3 })
+      expect(result.results.map(item => item.status)).to.deep.equal(['skipped', 'failed', 'failed', 'failed'])
+      expect(result.results[0].resource).to.equal(undefined)
+      expect(created).to.have.length(0)
+    })
+
+    it('creates all the resources in one transaction in atomic mode', async () => {
+      let transactions = 0
+      prisma.$transaction = async (fn) => {
+        transactions++
+        return fn(prisma)
+      }
+      const result = await ResourceService.createResources([resources()[0], resources()[1]].map(resource => _.omit(resource, 'phases')), 'atomic')
+      expect(result.results.map(item => item.status)).to.deep.equal(['created', 'created'])
+      expect(transactions).to.equal(1)
+      expect(created.map(resource => resource.memberId)).to.deep.equal(['member-1', 'member-2'])
+    })
+
+    it('rejects an unknown mode or an empty batch', async () => {
+      await expect(ResourceService.createResources(resources(), 'best-effort')).to.be.rejectedWith(/Invalid bulk resources data/)
+      await expect(ResourceService.createResources([], 'partial')).to.be.rejectedWith(/Invalid bulk resources data/)
+    })
+  })
+
+  describe('copyResources', () => {
+    beforeEach(() => {
+      created.push(
+        buildResource({ id: 'reviewer-resource-id', memberId: 'member-1', resourcePhases: [{ phaseId: REVIEW_ID }] }),
+        buildResource({ id: 'submitter-resource-id', memberId: 'member-2', roleId: 'submitter-id', resourcePhases: [{ phaseId: REVIEW_ID }] }),
+        buildResource({ id: 'copied-resource-id', challengeId: 'target-id', memberId: 'member-3', resourcePhases: [] }),
+        buildResource({ id: 'existing-resource-id', memberId: 'member-3', resourcePhases: [] })
+      )
+      prisma.resource.findMany = async ({ where }) => where.id
+        ? created.filter(resource => where.id.in.includes(resource.id))
+        : created.filter(resource => resource.challengeId === where.challengeId).map(resource => _.assign({ role: roles[resource.roleId] }, resource))
+    })
+
+    it('copies the resources with their phases and skips the ones not valid in the target challenge', async () => {
+      let phases
+      prisma.resourcePhase.createMany = async ({ data }) => {
+        phases = data
+        return { count: data.length }
+      }
+      const result = await ResourceService.copyResources({ sourceChallengeId: 'challenge-id', targetChallengeId: 'target-id', createdBy: 'copilot' })
+      expect(result.copied.map(resource => resource.memberId)).to.deep.equal(['member-1'])
+      expect(created[4]).to.include({ challengeId: 'target-id', memberId: 'member-1', roleId: 'reviewer-id', createdBy: 'copilot' })
+      expect(phases.map(phase => phase.phaseId)).to.deep.equal([REVIEW_ID])
+      expect(result.skipped.map(item => [item.sourceResourceId, item.error.name])).to.deep.equal([
+        ['submitter-resource-id', 'BadRequestError'],
+        ['existing-resource-id', 'ConflictError']
+      ])
+    })
+
+    it('rejects a copy to the source challenge', async () => {
+      await expect(ResourceService.copyResources({ sourceChallengeId: 'challenge-id', targetChallengeId: 'challenge-id', createdBy: 'copilot' }))
+        .to.be.rejectedWith(/Invalid copy resources data/)
+    })
+
+    it('skips the resources with an inactive role', async () => {
+      roles['reviewer-id'].isActive = false
+      const result = await ResourceService.copyResources({ sourceChallengeId: 'challenge-id', targetChallengeId: 'target-id', roleIds: ['reviewer-id'], createdBy: 'copilot' })
+      expect(result.copied).to.deep.equal([])
+      expect(result.skipped[0]).to.deep.include({ sourceResourceId: 'reviewer-resource-id' })
+      expect(result.skipped[0].error.message).to.equal('Role Reviewer is inactive and can not be assigned')
+    })
+  })
+
+  describe('deleteChallengeResources', () => {
+    it('soft deletes the resources of the role in one update', async () => {
+      created.push(buildResource({ id: 'first-id' }), buildResource({ id: 'second-id', memberId: 'member-2' }))
+      let update
+      prisma.resource.findMany = async ({ where }) => where.id
+        ? created.filter(resource => where.id.in.includes(resource.id))
+        : created.filter(resource => resource.roleId === where.roleId && !resource.deleted)
+      prisma.resource.updateMany = async (query) => {
+        update = query
+        created.forEach(resource => _.assign(resource, query.data))
+        return { count: created.length }
+      }
+      prisma.auditLog.createMany = async ({ data }) => {
+        audits.push(...data)
+        return { count: data.length }
+      }
+
+      const result = await ResourceService.deleteChallengeResources('challenge-id', { roleId: 'reviewer-id' }, 'admin')
+      expect(result).to.deep.equal({ challengeId: 'challenge-id', deleted: ['first-id', 'second-id'] })
+      expect(update.where).to.deep.equal({ OR: [{ id: 'first-id', version: 1 }, { id: 'second-id', version: 1 }], deleted: false })
+      expect(update.data).to.include({ deleted: true, deletedBy: 'admin' })
+      expect(audits.map(audit => [audit.entityId, audit.action])).to.deep.equal([['first-id', 'delete'], ['second-id', 'delete']])
+    })
+
+    it('rejects a deletion racing with a change of one of the resources with 412', async () => {
+      created.push(buildResource({ id: 'first-id' }), buildResource({ id: 'second-id', memberId: 'member-2' }))
+      prisma.resource.findMany = async () => created
+      prisma.resource.updateMany = async () => ({ count: 1 })
+      const error = await expect(ResourceService.deleteChallengeResources('challenge-id', {}, 'admin')).to.be.rejected
+      expect(error.name).to.equal('PreconditionFailedError')
+    })
+  })
+
+  describe('replaceChallengeResources', () => {
+    let transactionOptions
+
+    beforeEach(() => {
+      created.push(
+        buildResource({ id: 'kept-id', memberId: 'member-1' }),
+        buildResource({ id: 'removed-id', memberId: 'member-2' })
+      )
+      prisma.role.findMany = async ({ where }) => where.id.in.map(id => roles[id]).filter(Boolean)
+      prisma.resource.findMany = async ({ where }) => where.id
+        ? created.filter(resource => where.id.in.includes(resource.id))
+        : created.filter(resource => !resource.deleted)
+      prisma.resource.updateMany = async ({ where, data }) => {
+        const ids = where.OR.map(condition => condition.id)
+        created.filter(resource => ids.includes(resource.id)).forEach(resource => _.assign(resource, data))
+        return { count: ids.length }
+      }
+      prisma.resource.createMany = async ({ data }) => {
+        created.push(...data)
+        return { count: data.length }
+      }
+      prisma.auditLog.createMany = async ({ data }) => {
+        audits.push(...data)
+        return { count: data.length }
+      }
+      prisma.$transaction = async (fn, options) => {
+        transactionOptions = options
+        return fn(prisma)
+      }
+    })
+
+    it('deletes the missing members, adds the new ones and keeps the others', async () => {
+      const result = await ResourceService.replaceChallengeResources('challenge-id', {
+        resources: [
+          { memberId: 'member-1', roleId: 'reviewer-id' },
+          { memberId: 'member-3', roleId: 'submitter-id', phases: [SUBMISSION_ID] }
+        ],
+        updatedBy: 'copilot'
+      })
+      expect(result.unchanged.map(resource => resource.id)).to.deep.equal(['kept-id'])
+      expect(result.removed.map(resource => resource.id)).to.deep.equal(['removed-id'])
+      expect(result.added.map(resource => resource.memberId)).to.deep.equal(['member-3'])
+      expect(audits.map(audit => audit.action)).to.deep.equal(['delete', 'create'])
+      expect(transactionOptions).to.deep.equal({ timeout: 60000 })
+    })
+
+    it('keeps the resources of an inactive role but rejects adding new ones with 400', async () => {
+      roles['reviewer-id'].isActive = false
+      const result = await ResourceService.replaceChallengeResources('challenge-id', {
+        resources: [{ memberId: 'member-1', roleId: 'reviewer-id' }],
+        updatedBy: 'copilot'
+      })
+      expect(result.unchanged.map(resource => resource.id)).to.deep.equal(['kept-id'])
+
+      const error = await expect(ResourceService.replaceChallengeResources('challenge-id', {
+        resources: [{ memberId: 'member-1', roleId: 'reviewer-id' }, { memberId: 'member-4', roleId: 'reviewer-id' }],
+        updatedBy: 'copilot'
+      })).to.be.rejected
+      expect(error.name).to.equal('BadRequestError')
+    })
+
+    it('counts the added resources of each role against its quota once the removed ones are deleted', async () => {
+      const counted = []
+      roles['submitter-id'].maxPerChallenge = 2
+      prisma.resource.count = async ({ where }) => {
+        counted.push(where.roleId)
+        return created.filter(resource => resource.roleId === where.roleId && !resource.deleted).length
+      }
+      const resources = [{ memberId: 'member-3', roleId: 'submitter-id' }, { memberId: 'member-4', roleId: 'submitter-id' }]
+      await ResourceService.replaceChallengeResources('challenge-id', { resources, updatedBy: 'copilot' })
+      expect(counted).to.deep.equal(['submitter-id'])
+
+      resources.push({ memberId: 'member-5', roleId: 'submitter-id' })
+      const error = await expect(ResourceService.replaceChallengeResources('challenge-id', { resources, updatedBy: 'copilot' }))
+        .to.be.rejected
+      expect(error.httpStatus).to.equal(409)
+      expect(error.details).to.include({ count: 2, limit: 2 })
+    })
+
+    it('rejects a member in a phase its role is not allowed in before the transaction', async () => {
+      prisma.$transaction = async () => {
+        throw new Error('Unexpected transaction')
+      }
+      const error = await expect(ResourceService.replaceChallengeResources('challenge-id', {
+        resources: [{ memberId: 'member-3', roleId: 'submitter-id', phases: [REVIEW_ID] }],
+        updatedBy: 'copilot'
+      })).to.be.rejected
+      expect(error.name).to.equal('BadRequestError')
+    })
+
+    it('rejects an unknown role with 400', async () => {
+      const error = await expect(ResourceService.replaceChallengeResources('challenge-id', {
+        resources: [{ memberId: 'member-3', roleId: 'unknown-role-id' }],
+        updatedBy: 'copilot'
+      })).to.be.rejected
+      expect(error.message).to.equal('Roles with ids unknown-role-id do not exist')
+    })
+  })
+
+  describe('mergeRoles', () => {
+    let updates
+    let requestUpdates
+    let invitationUpdates
+    let deletedRole
+
+    beforeEach(() => {
+      updates = []
+      requestUpdates = []
+      invitationUpdates = []
+      deletedRole = null
+      roles['reviewer-id'] = _.assign(roles['reviewer-id'], {
+        version: 1,
+        phaseDependencies: [{ id: 'review-dependency-id', resourceRoleId: 'reviewer-id', phaseId: REVIEW_ID }],
+        permissions: [{ id: 'reviewer-manage-id', roleId: 'reviewer-id', permissionId: 'manage-id' }],
+        quotas: [
+          { id: 'reviewer-quota-id', roleId: 'reviewer-id', challengeId: 'challenge-id', maxResources: 5 },
+          { id: 'reviewer-other-quota-id', roleId: 'reviewer-id', challengeId: 'other-challenge-id', maxResources: 5 }
+        ],
+        exclusions: [{ id: 'reviewer-copilot-exclusion-id', roleId: 'reviewer-id', excludedRoleId: 'copilot-id' }],
+        excludedBy: [{ id: 'submitter-reviewer-exclusion-id', roleId: 'submitter-id', excludedRoleId: 'reviewer-id' }]
+      })
+      roles['submitter-id'] = _.assign(roles['submitter-id'], {
+        version: 1,
+        phaseDependencies: [],
+        permissions: [],
+        quotas: [{ id: 'submitter-other-quota-id', roleId: 'submitter-id', challengeId: 'other-challenge-id', maxResources: 2 }],
+        exclusions: [{ id: 'submitter-reviewer-exclusion-id', roleId: 'submitter-id', excludedRoleId: 'reviewer-id' }],
+        excludedBy: []
+      })
+      created.push(
+        buildResource({ id: 'moved-id', memberId: 'member-1', resourcePhases: [] }),
+        buildResource({ id: 'deleted-id', memberId: 'member-2', deleted: true, resourcePhases: [] }),
+        buildResource({ id: 'merged-id', memberId: 'member-2', resourcePhases: [{ phaseId: REVIEW_ID }] }),
+        buildResource({ id: 'target-id', memberId: 'member-2', roleId: 'submitter-id', resourcePhases: [] })
+      )
+      prisma.role.findMany = async () => []
+      prisma.resource.findMany = async ({ where }) => where.id
+        ? created.filter(resource => where.id.in.includes(resource.id))
+        : created.filter(resource => resource.roleId === where.roleId && (_.isUndefined(where.deleted) || !resource.deleted))
+      prisma.resource.updateMany = async ({ where, data }) => {
+        updates.push({ where, data })
+        const ids = where.OR.map(condition => condition.id)
+        created.filter(resource => ids.includes(resource.id)).forEach(resource => _.assign(resource, data))
+        return { count: ids.length }
+      }
+      prisma.resourcePhase.createMany = async ({ data }) => ({ count: data.length })
+      prisma.resourceRolePhaseDependency.createMany = async ({ data }) => ({ count: data.length })
+      prisma.rolePermission.createMany = async ({ data }) => ({ count: data.length })
+      prisma.roleQuota.updateMany = async () => ({ count: 1 })
+      prisma.roleQuota.findMany = async ({ where }) => roles['reviewer-id'].quotas
+        .filter(quota => where.id.in.includes(quota.id))
+        .map(quota => _.assign({}, quota, { roleId: 'submitter-id' }))
+      prisma.roleExclusion.update = async ({ where, data }) => _.assign({ id: where.id, roleId: 'reviewer-id', excludedRoleId: 'copilot-id' }, data)
+      prisma.resourceRequest.count = async () => 2
+      prisma.resourceRequest.updateMany = async ({ where, data }) => {
+        requestUpdates.push({ where, data })
+        return { count: 2 }
+      }
+      prisma.resourceInvitation.count = async () => 1
+      prisma.resourceInvitation.updateMany = async ({ where, data }) => {
+        invitationUpdates.push({ where, data })
+        return { count: 1 }
+      }
+      prisma.role.delete = async ({ where }) => {
+        deletedRole = where
+        return roles[where.id]
+      }
+      prisma.auditLog.createMany = async ({ data }) => {
+        audits.push(...data)
+        return { count: data.length }
+      }
+    })
+
+    it('reports the changes without making them in dry run mode', async () => {
+      const summary = await ResourceService.mergeRoles('reviewer-id', 'submitter-id', 'admin', { dryRun: true })
+      expect(summary.movedResources.map(resource => resource.id)).to.deep.equal(['moved-id', 'deleted-id'])
+      expect(summary.mergedResources).to.deep.equal([{
+        resourceId: 'merged-id',
+        targetResourceId: 'target-id',
+        challengeId: 'challenge-id',
+        memberId: 'member-2',
+        memberHandle: 'member',
+        addedPhases: [REVIEW_ID]
+      }])
+      expect(summary).to.deep.include({ copiedPhaseDependencies: [REVIEW_ID], addedPermissions: ['manage-id'], movedQuotas: ['challenge-id'] })
+      expect(summary.movedExclusions).to.deep.equal(['reviewer-copilot-exclusion-id'])
+      expect(summary.movedRequests).to.equal(2)
+      expect(summary.movedInvitations).to.equal(1)
+      expect(updates).to.deep.equal([])
+      expect(requestUpdates).to.deep.equal([])
+      expect(invitationUpdates).to.deep.equal([])
+      expect(deletedRole).to.equal(null)
+    })
+
+    it('moves the deleted resources with the versioned and audited updates', async () => {
+      await ResourceService.mergeRoles('reviewer-id', 'submitter-id', 'admin')
+      // The moved resources, the target resource getting the phases, then the merged resource deleted and moved
+      expect(updates.map(update => update.where.OR)).to.deep.equal([
+        [{ id: 'moved-id', version: 1 }, { id: 'deleted-id', version: 1 }],
+        [{ id: 'target-id', version: 1 }],
+        [{ id: 'merged-id', version: 1 }]
+      ])
+      expect(updates[2].data).to.include({ roleId: 'submitter-id', deleted: true })
+      expect(_.filter(created, { roleId: 'reviewer-id' })).to.deep.equal([])
+      expect(deletedRole).to.deep.equal({ id: 'reviewer-id', version: 1 })
+      expect(requestUpdates).to.have.length(1)
+      expect(requestUpdates[0].where).to.deep.equal({ roleId: 'reviewer-id' })
+      expect(requestUpdates[0].data).to.deep.include({ roleId: 'submitter-id', updatedBy: 'admin', version: { increment: 1 } })
+      expect(invitationUpdates).to.have.length(1)
+      expect(invitationUpdates[0].where).to.deep.equal({ roleId: 'reviewer-id' })
+      expect(invitationUpdates[0].data).to.deep.include({ roleId: 'submitter-id', updatedBy: 'admin', version: { increment: 1 } })
+      expect(audits.map(audit => [audit.entityType, audit.action, audit.entityId])).to.deep.equal([
+        ['resource', 'update', 'moved-id'],
+        ['resource', 'update', 'deleted-id'],
+        ['resource', 'phase_attach', 'target-id'],
+        ['resource', 'delete', 'merged-id'],
+        ['role_phase_dependency', 'create', audits[4].entityId],
+        ['role_permission', 'create', audits[5].entityId],
+        ['role_phase_dependency', 'delete', 'review-dependency-id'],
+        ['role_permission', 'delete', 'reviewer-manage-id'],
+        ['role_quota', 'update', 'reviewer-quota-id'],
+        ['role_quota', 'delete', 'reviewer-other-quota-id'],
+        ['role_exclusion', 'update', 'reviewer-copilot-exclusion-id'],
+        ['role_exclusion', 'delete', 'submitter-reviewer-exclusion-id'],
+        ['role', 'merge', 'reviewer-id']
+      ])
+    })
+
+    it('rejects moving more resources than the quota of the target role allows with 409, even in dry run mode', async () => {
+      prisma.roleQuota.findUnique = async ({ where }) => where.roleId_challengeId.roleId === 'submitter-id' ? { maxResources: 1 } : null
+      prisma.resource.count = async () => 1
+      for (const options of [{ dryRun: true }, {}]) {
+        const error = await expect(ResourceService.mergeRoles('reviewer-id', 'submitter-id', 'admin', options)).to.be.rejected
+        expect(error.httpStatus).to.equal(409)
+        expect(error.details).to.include({ count: 1, limit: 1 })
+      }
+      expect(updates).to.deep.equal([])
+    })
+
+    it('rejects moving a resource to a role excluded with another role of the member with 409', async () => {
+      prisma.roleExclusion.findMany = async () => [{ id: 'submitter-copilot-exclusion-id', roleId: 'submitter-id', excludedRoleId: 'copilot-id' }]
+      prisma.resource.findMany = async ({ where }) => where.OR
+        ? [buildResource({ id: 'copilot-resource-id', memberId: 'member-1', roleId: 'copilot-id', role: { name: 'Copilot' } })]
+        : created.filter(resource => resource.roleId === where.roleId && (_.isUndefined(where.deleted) || !resource.deleted))
+      const error = await expect(ResourceService.mergeRoles('reviewer-id', 'submitter-id', 'admin')).to.be.rejected
+      expect(error.httpStatus).to.equal(409)
+      expect(error.details).to.deep.equal([{ resourceId: 'copilot-resource-id', roleId: 'copilot-id', roleName: 'Copilot' }])
+      expect(prisma.queries[0].values).to.deep.equal([['copilot-id', 'submitter-id']])
+      expect(updates).to.deep.equal([])
+    })
+
+    it('rejects a merge racing with a change of the resources with 412', async () => {
+      prisma.resource.updateMany = async () => ({ count: 0 })
+      const error = await expect(ResourceService.mergeRoles('reviewer-id', 'submitter-id', 'admin')).to.be.rejected
+      expect(error.name).to.equal('PreconditionFailedError')
+      expect(deletedRole).to.equal(null)
+    })
+
+    it('rejects a target role inheriting from the source role with 400', async () => {
+      roles['submitter-id'].parentId = 'reviewer-id'
+      const error = await expect(ResourceService.mergeRoles('reviewer-id', 'submitter-id', 'admin')).to.be.rejected
+      expect(error.name).to.equal('BadRequestError')
+    })
+  })
+
+  describe('transferResource', () => {
+    let existing
+    let phaseUpdate
+
+    beforeEach(() => {
+      existing = buildResource({ memberId: 'member-1', memberHandle: 'first', deleted: false, version: 2 })
+      phaseUpdate = null
+      prisma.resource.findUnique = async ({ include }) => include
+        ? _.assign({}, existing, { memberId: 'member-2', memberHandle: 'second', version: 3, role: roles['reviewer-id'], resourcePhases: [] })
+        : existing
+      prisma.resourcePhase.findMany = async ({ where }) => where.completionStatus === 'completed' ? [{ phaseId: REVIEW_ID }] : []
+      prisma.resourcePhase.updateMany = async (query) => {
+        phaseUpdate = query
+        return { count: 1 }
+      }
+      prisma.resource.update = async ({ data }) => _.assign({}, existing, _.pick(data, ['memberId', 'memberHandle']), { version: 3 })
+    })
+
+    it('transfers the resource with its phase completions reset', async () => {
+      const result = await ResourceService.transferResource('resource-id', { memberId: 'member-2', memberHandle: 'second' }, 'admin',
+        { authUser: admin })
+      expect(result).to.include({ memberId: 'member-2', memberHandle: 'second' })
+      expect(phaseUpdate.where).to.deep.equal({ resourceId: 'resource-id', phaseId: { in: [REVIEW_ID] } })
+      expect(phaseUpdate.data).to.include({ completionStatus: 'pending', completedAt: null, completedBy: null })
+      expect(audits.map(audit => audit.action)).to.deep.equal(['transfer'])
+      expect(audits[0].before.completedPhases).to.deep.equal([REVIEW_ID])
+      expect(audits[0].after.completedPhases).to.deep.equal([])
+    })
+
+    it('rejects a transfer to a member already holding the role with 409, checked under the role lock', async () => {
+      prisma.resource.findFirst = async () => buildResource({ id: 'other-id', memberId: 'member-2' })
+      const error = await expect(ResourceService.transferResource('resource-id', { memberId: 'member-2', memberHandle: 'second' }, 'admin',
+        { authUser: admin })).to.be.rejected
+      expect(error.name).to.equal('ConflictError')
+      expect(prisma.queries).to.have.length(1)
+      expect(prisma.queries[0].values).to.deep.equal(['reviewer-id'])
+      expect(phaseUpdate).to.equal(null)
+    })
+
+    it('rejects a transfer to a member holding a role excluded with the role with 409', async () => {
+      prisma.roleExclusion.findMany = async () => [{ id: 'exclusion-id', roleId: 'submitter-id', excludedRoleId: 'reviewer-id' }]
+      prisma.resource.findMany = async ({ where }) => where.memberId === 'member-2'
+        ? [buildResource({ id: 'submitter-resource-id', memberId: 'member-2', roleId: 'submitter-id', role: roles['submitter-id'] })]
+        : []
+      const error = await expect(ResourceService.transferResource('resource-id', { memberId: 'member-2', memberHandle: 'second' }, 'admin',
+        { authUser: admin })).to.be.rejected
+      expect(error.name).to.equal('ConflictError')
+      expect(error.message).to.match(/can not hold role reviewer-id together with Submitter/)
+      expect(phaseUpdate).to.equal(null)
+    })
+
+    it('rejects a transfer with a stale If-Match version with 412', async () => {
+      const error = await expect(ResourceService.transferResource('resource-id', { memberId: 'member-2', memberHandle: 'second' }, 'admin',
+        { version: 1, authUser: admin })).to.be.rejected
+      expect(error.name).to.equal('PreconditionFailedError')
+    })
+
+    it('rejects a transfer racing with another change with 412', async () => {
+      prisma.resource.update = async () => {
+        throw recordNotFound()
+      }
+      const error = await expect(ResourceService.transferResource('resource-id', { memberId: 'member-2', memberHandle: 'second' }, 'admin',
+        { authUser: admin })).to.be.rejected
+      expect(error.name).to.equal('PreconditionFailedError')
+    })
+  })
+})
@@ -0,0 +1,141 @@
+/* eslint-env mocha */
+/*
+ * Unit tests of the role exclusion service
+ */
+
+const { expect } = require('chai')
+const prisma = require('./prisma-stub')
+const RoleExclusionService = require('../../role-exclusion-service')
+
+describe('role exclusion service', () => {
+  const exclusion = { id: 'exclusion-id', roleId: 'submitter-id', excludedRoleId: 'reviewer-id', reason: 'Conflict of interest' }
+  let audits
+
+  beforeEach(() => {
+    audits = []
+    prisma.roleExclusion.findMany = async () => [exclusion]
+    prisma.roleExclusion.findUnique = async ({ where }) => where.id === exclusion.id ? exclusion : null
+    prisma.auditLog.create = async ({ data }) => {
+      audits.push(data)
+      return data
+    }
+  })
+
+  afterEach(() => prisma.reset())
+
+  describe('ensureNoExclusion', () => {
+    const resource = { challengeId: 'challenge-id', memberId: 'member-id', roleId: 'reviewer-id' }
+
+    it('does not check the resources without challenge or member, nor the roles without rule', async () => {
+      delete prisma.roleExclusion.findMany
+      await RoleExclusionService.ensureNoExclusion(prisma, { challengeId: 'challenge-id', roleId: 'reviewer-id' })
+
+      prisma.roleExclusion.findMany = async () => []
+      await RoleExclusionService.ensureNoExclusion(prisma, resource)
+      expect(prisma.queries).to.have.length(0)
+    })
+
+    it('rejects a member holding an excluded role on the challenge with 409 and the conflicting resources', async () => {
+      let where
+      prisma.resource.findMany = async (query) => {
+        where = query.where
+        return [{ id: 'submitter-resource-id', roleId: 'submitter-id', role: { name: 'Submitter' } }]
+      }
+      const error = await expect(RoleExclusionService.ensureNoExclusion(prisma, resource, 'resource-id')).to.be.rejected
+      expect(error.httpStatus).to.equal(409)
+      expect(error.message).to.equal('Member member-id can not hold role reviewer-id together with Submitter on challenge challenge-id')
+      expect(error.details).to.deep.equal([{ resourceId: 'submitter-resource-id', roleId: 'submitter-id', roleName: 'Submitter' }])
+      expect(where).to.deep.include({ roleId: { in: ['submitter-id'] }, id: { not: 'resource-id' } })
+      // The roles are locked in a stable order before the resources are read
+      expect(prisma.queries[0].values).to.deep.equal([['reviewer-id', 'submitter-id']])
+    })
+  })
+
+  describe('createExclusion', () => {
+    beforeEach(() => {
+      prisma.role.findMany = async ({ where }) => where.id.in.map(id => ({ id }))
+      prisma.roleExclusion.findFirst = async () => null
+      prisma.roleExclusion.create = async ({ data }) => data
+    })
+
+    it('creates the rule with a create audit entry', async () => {
+      const result = await RoleExclusionService.createExclusion({ roleId: 'submitter-id', excludedRoleId: 'copilot-id', createdBy: 'admin' })
+      expect(result).to.include({ roleId: 'submitter-id', excludedRoleId: 'copilot-id' })
+      expect(audits.map(audit => [audit.entityType, audit.action, audit.entityId])).to.deep.equal([['role_exclusion', 'create', result.id]])
+    })
+
+    it('rejects a pair of roles already having a rule, in either order, with 409', async () => {
+      let where
+      prisma.roleExclusion.findFirst = async (query) => {
+        where = query.where
+        return exclusion
+      }
+      const error = await expect(RoleExclusionService.createExclusion({ roleId: 'reviewer-id', excludedRoleId: 'submitter-id', createdBy: 'admin' }))
+        .to.be.rejected
+      expect(error.httpStatus).to.equal(409)
+      expect(where.OR).to.deep.include({ roleId: 'submitter-id', excludedRoleId: 'reviewer-id' })
+      expect(audits).to.have.length(0)
+    })
+
+    it('rejects a role excluded with itself with 400', async () => {
+      await expect(RoleExclusionService.createExclusion({ roleId: 'reviewer-id', excludedRoleId: 'reviewer-id', createdBy: 'admin' }))
+        .to.be.rejectedWith(/Invalid role exclusion data/)
+    })
+  })
+
+  describe('updateExclusion and deleteExclusion', () => {
+    it('records the changes of the rule in the audit log', async () => {
+      prisma.roleExclusion.update = async ({ data }) => Object.assign({}, exclusion, data)
+      prisma.roleExclusion.delete = async () => exclusion
+      await RoleExclusionService.updateExclusion('exclusion-id', { reason: 'Same company', updatedBy: 'admin' })
+      await RoleExclusionService.deleteExclusion('exclusion-id', 'admin')
+      expect(audits.map(audit => [audit.entityType, audit.action, audit.entityId, audit.actor])).to.deep.equal([
+        ['role_exclusion', 'update', 'exclusion-id', 'admin'],
+        ['role_exclusion', 'delete', 'exclusion-id', 'admin']
+      ])
+      expect(audits[0].diff.reason).to.deep.equal({ from: 'Conflict of interest', to: 'Same company' })
+    })
+
+    it('rejects an unknown rule with 404', async () => {
+      await expect(RoleExclusionService.deleteExclusion('unknown-id', 'admin')).to.be.rejectedWith('Role exclusion with id unknown-id not found')
+    })
+  })
+
+  describe('getViolations', () => {
+    it('computes, counts and pages the violations in one query', async () => {
+      prisma.$queryRaw = async (strings, ...values) => {
+        prisma.queries.push({ sql: strings.join('?'), values })
+        return [{
+          total: BigInt(3),
+          challengeId: 'challenge-id',
+          memberId: 'member-id',
+          memberHandle: 'member',
+          exclusionId: 'exclusion-id',
+          resourceId: 'submitter-resource-id',
+          excludedResourceId: 'reviewer-resource-id'
+        }]
+      }
+      const result = await RoleExclusionService.getViolations({ challengeId: 'challenge-id', page: 2, perPage: 1 })
+      expect(result).to.deep.equal({
+        total: 3,
+        page: 2,
+        perPage: 1,
+        result: [{
+          challengeId: 'challenge-id',
+          memberId: 'member-id',
+          memberHandle: 'member',
+          exclusionId: 'exclusion-id',
+          resourceIds: ['submitter-resource-id', 'reviewer-resource-id']
+        }]
+      })
+      expect(prisma.queries).to.have.length(1)
+      expect(prisma.queries[0].values).to.deep.equal(['challenge-id', 'challenge-id', 1, 1])
+    })
+
+    it('reports the total of the violations on a page past the last one', async () => {
+      prisma.$queryRaw = async () => [{ total: BigInt(3), exclusionId: null }]
+      const result = await RoleExclusionService.getViolations({ page: 5 })
+      expect(result).to.deep.include({ total: 3, result: [] })
+    })
+  })
+})
@@ -0,0 +1,96 @@
+/* eslint-env mocha */
+/*
+ * Unit tests of the role quota service
+ */
+
+const { expect } = require('chai')
+const prisma = require('./prisma-stub')
+const RoleQuotaService = require('../../role-quota-service')
+
+describe('role quota service', () => {
+  let role
+  let quota
+  let count
+  let audits
+
+  beforeEach(() => {
+    audits = []
+    role = { id: 'reviewer-id', name: 'Reviewer', maxPerChallenge: 3 }
+    quota = null
+    count = 2
+    prisma.role.findUnique = async () => role
+    prisma.roleQuota.findUnique = async () => quota
+    prisma.resource.count = async () => count
+    prisma.auditLog.create = async ({ data }) => {
+      audits.push(data)
+      return data
+    }
+  })
+
+  afterEach(() => prisma.reset())
+
+  describe('ensureRoleQuota', () => {
+    it('does not limit the resources without challenge or the unlimited roles', async () => {
+      delete prisma.role.findUnique
+      await RoleQuotaService.ensureRoleQuota(prisma, null, role.id)
+
+      prisma.role.findUnique = async () => ({ id: 'reviewer-id', name: 'Reviewer', maxPerChallenge: null })
+      delete prisma.resource.count
+      await RoleQuotaService.ensureRoleQuota(prisma, 'challenge-id', role.id)
+      expect(prisma.queries).to.have.length(0)
+    })
+
+    it('counts the resources under the lock of the role row', async () => {
+      await RoleQuotaService.ensureRoleQuota(prisma, 'challenge-id', role.id)
+      expect(prisma.queries).to.deep.equal([{ sql: 'SELECT id FROM "Role" WHERE id = ? FOR UPDATE', values: ['reviewer-id'] }])
+    })
+
+    it('rejects a full role with 409 and the count and limit in the details', async () => {
+      const error = await expect(RoleQuotaService.ensureRoleQuota(prisma, 'challenge-id', role.id, 2)).to.be.rejected
+      expect(error.httpStatus).to.equal(409)
+      expect(error.details).to.deep.equal({ challengeId: 'challenge-id', roleId: 'reviewer-id', count: 2, limit: 3 })
+    })
+
+    it('applies the quota of the challenge over the default of the role', async () => {
+      quota = { maxResources: 2 }
+      await expect(RoleQuotaService.ensureRoleQuota(prisma, 'challenge-id', role.id)).to.be.rejectedWith('Role Reviewer is full on challenge challenge-id: 2 of 2 resource(s)')
+    })
+  })
+
+  describe('setChallengeQuota', () => {
+    beforeEach(() => {
+      prisma.roleQuota.upsert = async ({ create, update }) => quota ? Object.assign({}, quota, update) : create
+    })
+
+    it('creates the quota with a create audit entry', async () => {
+      const result = await RoleQuotaService.setChallengeQuota('challenge-id', role.id, 1, 'admin')
+      expect(result).to.include({ challengeId: 'challenge-id', roleId: 'reviewer-id', maxResources: 1 })
+      expect(audits.map(audit => [audit.entityType, audit.action, audit.entityId])).to.deep.equal([['role_quota', 'create', result.id]])
+    })
+
+    it('updates an existing quota with an update audit entry', async () => {
+      quota = { id: 'quota-id', challengeId: 'challenge-id', roleId: 'reviewer-id', maxResources: 1 }
+      await RoleQuotaService.setChallengeQuota('challenge-id', role.id, 4, 'admin')
+      expect(audits.map(audit => [audit.entityType, audit.action, audit.entityId])).to.deep.equal([['role_quota', 'update', 'quota-id']])
+      expect(audits[0].diff).to.deep.equal({ maxResources: { from: 1, to: 4 } })
+    })
+
+    it('rejects an unknown role with 404', async () => {
+      role = null
+      await expect(RoleQuotaService.setChallengeQuota('challenge-id', 'unknown-id', 1, 'admin')).to.be.rejectedWith('Role with id unknown-id not found')
+    })
+  })
+
+  describe('deleteChallengeQuota', () => {
+    it('deletes the quota with a delete audit entry', async () => {
+      quota = { id: 'quota-id', challengeId: 'challenge-id', roleId: 'reviewer-id', maxResources: 1 }
+      prisma.roleQuota.delete = async () => quota
+      await RoleQuotaService.deleteChallengeQuota('challenge-id', role.id, 'admin')
+      expect(audits.map(audit => [audit.entityType, audit.action, audit.entityId, audit.actor])).to.deep.equal([['role_quota', 'delete', 'quota-id', 'admin']])
+    })
+
+    it('rejects a role without quota on the challenge with 404', async () => {
+      await expect(RoleQuotaService.deleteChallengeQuota('challenge-id', role.id, 'admin')).to.be.rejectedWith('Role reviewer-id has no quota on challenge challenge-id')
+    })
+  })
+})
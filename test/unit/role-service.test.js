@@ -0,0 +1,150 @@
+/* eslint-env mocha */
+/*
+ * Unit tests of the role service
+ */
+
+const _ = require('lodash')
+const { expect } = require('chai')
+const prisma = require('./prisma-stub')
+const RoleService = require('../../role-service')
+
+describe('role service', () => {
+  let roles
+
+  beforeEach(() => {
+    roles = [
+      { id: 'reviewer-id', name: 'Reviewer', fullAccess: false, selfObtainable: false, version: 1, permissions: [], phaseDependencies: [] },
+      { id: 'primary-reviewer-id', name: 'Primary Reviewer', parentId: 'reviewer-id', fullAccess: false, selfObtainable: true, version: 1, permissions: [], phaseDependencies: [] }
+    ]
+    prisma.role.findUnique = async ({ where }) => _.find(roles, where.id ? { id: where.id } : { name: where.name }) || null
+  })
+
+  afterEach(() => prisma.reset())
+
+  describe('getRoleChain', () => {
+    it('returns the role followed by its ancestors', async () => {
+      const chain = await RoleService.getRoleChain('primary-reviewer-id')
+      expect(chain.map(role => role.id)).to.deep.equal(['primary-reviewer-id', 'reviewer-id'])
+    })
+
+    it('stops at a role already in the chain', async () => {
+      roles[0].parentId = 'primary-reviewer-id'
+      const chain = await RoleService.getRoleChain('primary-reviewer-id')
+      expect(chain.map(role => role.id)).to.deep.equal(['primary-reviewer-id', 'reviewer-id'])
+    })
+  })
+
+  describe('updateRole', () => {
+    it('rejects a parent making the hierarchy cyclic with 400', async () => {
+      const error = await expect(RoleService.updateRole('reviewer-id', { parentId: 'primary-reviewer-id', updatedBy: 'admin' })).to.be.rejected
+      expect(error.name).to.equal('BadRequestError')
+      expect(error.message).to.match(/would create a cycle/)
+    })
+
+    it('rejects a role as its own parent with 400', async () => {
+      const error = await expect(RoleService.updateRole('reviewer-id', { parentId: 'reviewer-id', updatedBy: 'admin' })).to.be.rejected
+      expect(error.name).to.equal('BadRequestError')
+    })
+  })
+
+  describe('deleteRole', () => {
+    it('rejects the parent of other roles with 409', async () => {
+      prisma.resource.count = async () => 0
+      prisma.role.count = async ({ where }) => _.filter(roles, where).length
+      const error = await expect(RoleService.deleteRole('reviewer-id', 'admin')).to.be.rejected
+      expect(error.name).to.equal('ConflictError')
+      expect(error.message).to.equal('Role reviewer-id is the parent of 1 role(s)')
+    })
+
+    it('rejects a role used by resource requests with 409', async () => {
+      prisma.resource.count = async () => 0
+      prisma.role.count = async () => 0
+      prisma.resourceRequest.count = async () => 2
+      const error = await expect(RoleService.deleteRole('reviewer-id', 'admin')).to.be.rejected
+      expect(error.name).to.equal('ConflictError')
+      expect(error.message).to.equal('Role reviewer-id is used by 2 resource request(s)')
+    })
+
+    it('rejects a role used by invitations with 409', async () => {
+      prisma.resource.count = async () => 0
+      prisma.role.count = async () => 0
+      prisma.resourceRequest.count = async () => 0
+      prisma.resourceInvitation.count = async () => 1
+      const error = await expect(RoleService.deleteRole('reviewer-id', 'admin')).to.be.rejected
+      expect(error.name).to.equal('ConflictError')
+      expect(error.message).to.equal('Role reviewer-id is used by 1 invitation(s)')
+    })
+
+    it('rejects a delete failing on a reference added concurrently with 409', async () => {
+      prisma.resource.count = async () => 0
+      prisma.role.count = async () => 0
+      prisma.resourceRequest.count = async () => 0
+      prisma.resourceInvitation.count = async () => 0
+      prisma.role.delete = async () => {
+        throw Object.assign(new Error('Foreign key constraint failed on the field: `roleId`'), { code: 'P2003' })
+      }
+      const error = await expect(RoleService.deleteRole('reviewer-id', 'admin')).to.be.rejected
+      expect(error.name).to.equal('ConflictError')
+      expect(error.message).to.equal('Role reviewer-id is in use')
+    })
+  })
+
+  describe('deactivateRole', () => {
+    it('deactivates the role and records it in the audit log', async () => {
+      const audits = []
+      let update
+      roles[0].isActive = true
+      prisma.role.update = async (query) => {
+        update = query
+        return _.assign({}, roles[0], { isActive: false, version: 2 })
+      }
+      prisma.auditLog.create = async ({ data }) => {
+        audits.push(data)
+        return data
+      }
+
+      const role = await RoleService.deactivateRole('reviewer-id', 'admin', { version: 1 })
+      expect(role).to.include({ isActive: false, version: 2 })
+      expect(update.where).to.deep.equal({ id: 'reviewer-id', version: 1 })
+      expect(audits.map(audit => [audit.action, audit.actor])).to.deep.equal([['deactivate', 'admin']])
+    })
+
+    it('rejects a deactivation racing with another change with 412', async () => {
+      roles[0].isActive = true
+      prisma.role.update = async () => {
+        throw Object.assign(new Error('Record to update not found.'), { code: 'P2025' })
+      }
+      const error = await expect(RoleService.deactivateRole('reviewer-id', 'admin')).to.be.rejected
+      expect(error.name).to.equal('PreconditionFailedError')
+    })
+
+    it('rejects a role already inactive with 409', async () => {
+      roles[0].isActive = false
+      const error = await expect(RoleService.deactivateRole('reviewer-id', 'admin')).to.be.rejected
+      expect(error.name).to.equal('ConflictError')
+    })
+  })
+
+  describe('getEffectiveRole', () => {
+    it('inherits the full access flag, the phases and the permissions but not selfObtainable', async () => {
+      roles[0].fullAccess = true
+      roles[0].phaseDependencies = [{ phaseId: 'review-id', phaseType: 'review', phase: { name: 'Review' } }]
+      prisma.permission.findMany = async () => []
+
+      const role = await RoleService.getEffectiveRole('primary-reviewer-id')
+      expect(role).to.deep.include({
+        id: 'primary-reviewer-id',
+        ancestors: [{ id: 'reviewer-id', name: 'Reviewer' }],
+        fullAccess: true,
+        selfObtainable: true,
+        phaseDependencies: [{ phaseId: 'review-id', phaseName: 'Review', phaseType: 'review', inheritedFrom: 'reviewer-id' }],
+        permissions: ['manage:resources', 'view:submissions']
+      })
+    })
+
+    it('rejects an unknown role with 404', async () => {
+      const error = await expect(RoleService.getEffectiveRole('unknown-id')).to.be.rejected
+      expect(error.name).to.equal('NotFoundError')
+    })
+  })
+})